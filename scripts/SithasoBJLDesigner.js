@@ -1,4 +1,104 @@
+/**
+ * Canvas previews keyed by component shortType. Each renderer gets the view's
+ * customProperties and a helper object (see SithasoBJLDesigner#_previewHelpers) and
+ * returns DaisyUI markup. Types without an entry are drawn as plain colored boxes.
+ */
+const COMPONENT_PREVIEWS = {
+  SDUI5Button: (p, h) => `
+    <button class="btn ${h.tone("btn", p.Color)} w-full h-full min-h-0" tabindex="-1">
+      ${h.bool(p.TextVisible, true) ? h.text(p.Text) : `<i class="ri-checkbox-blank-circle-line"></i>`}
+    </button>`,
+  SDUI5TextBox: (p, h) => h.field(p.Label, `
+    <input class="input ${h.tone("input", p.Color)} w-full" tabindex="-1" readonly
+      placeholder="${h.text(p.Placeholder)}" value="${h.text(p.Value)}">`),
+  SDUI5TextArea: (p, h) => h.field(p.Label, `
+    <textarea class="textarea ${h.tone("textarea", p.Color)} w-full flex-1 min-h-0 resize-none" tabindex="-1" readonly
+      placeholder="${h.text(p.Placeholder)}">${h.text(p.Value)}</textarea>`),
+  SDUI5Select: (p, h) => h.field(p.Label, `
+    <select class="select ${h.tone("select", p.Color)} w-full" tabindex="-1">
+      <option>${h.text(p.Value || p.Placeholder)}</option>
+    </select>`),
+  SDUI5Label: (p, h) => `<span class="preview-text">${h.text(p.Label)}</span>`,
+  SDUI5Text: (p, h) => `<span class="preview-text" style="color: ${h.css(p.TextColor, "inherit")};">${h.text(p.Text)}</span>`,
+  SDUI5Link: (p, h) => `<a class="link ${h.tone("link", p.Color)}">${h.text(p.Text)}</a>`,
+  SDUI5Badge: (p, h) => `<span class="badge ${h.tone("badge", p.Color)}">${h.text(p.Text)}</span>`,
+  SDUI5Kbd: (p, h) => `<kbd class="kbd">${h.text(p.Text)}</kbd>`,
+  SDUI5Divider: (p, h) => `<div class="divider ${h.tone("divider", p.Color)} w-full">${h.text(p.Text)}</div>`,
+  SDUI5Avatar: (p, h) => `
+    <div class="preview-avatar ${p.Mask === "circle" ? "rounded-full" : "rounded-box"}"
+      style="background: ${h.css(p.BackgroundColor, "var(--color-neutral)")};">
+      ${p.AvatarType === "image" ? `<i class="ri-user-3-line"></i>` : h.text(p.Placeholder)}
+    </div>`,
+  SDUI5Image: (p, h) => `
+    <div class="preview-image ${p.Mask === "circle" ? "rounded-full" : "rounded-box"}">
+      <i class="ri-image-line"></i><small>${h.text(p.Alt)}</small>
+    </div>`,
+  SDUI5CheckBox: (p, h) => `
+    <label class="preview-check">
+      <input type="checkbox" class="checkbox ${h.tone("checkbox", p.Color)}" tabindex="-1" ${h.bool(p.Checked) ? "checked" : ""}>
+      <span>${h.text(p.Label)}</span>
+    </label>`,
+  SDUI5Radio: (p, h) => `
+    <label class="preview-check">
+      <input type="radio" class="radio ${h.tone("radio", p.Color)}" tabindex="-1" ${h.bool(p.Checked) ? "checked" : ""}>
+      <span>${h.text(p.Label)}</span>
+    </label>`,
+  SDUI5Toggle: (p, h) => `
+    <label class="preview-check">
+      <input type="checkbox" class="toggle ${h.tone("toggle", p.Color)}" tabindex="-1" ${h.bool(p.Checked) ? "checked" : ""}>
+      <span>${h.text(p.Label)}</span>
+    </label>`,
+  SDUI5Progress: (p, h) => `
+    <progress class="progress ${h.tone("progress", p.Color)} w-full" value="${h.number(p.Value, 0)}" max="${h.number(p.MaxValue, 100)}"></progress>`,
+  SDUI5Range: (p, h) => h.field(p.Label, `
+    <input type="range" class="range ${h.tone("range", p.Color)} w-full" tabindex="-1"
+      min="${h.number(p.MinValue, 0)}" max="${h.number(p.MaxValue, 100)}" value="${h.number(p.Value, 0)}">`),
+  SDUI5Rating: (p, h) => `
+    <div class="preview-rating ${h.tone("text", p.Color)}">
+      ${[1, 2, 3, 4, 5].map((i) => `<i class="${i <= h.number(p.Value, 0) ? "ri-star-fill" : "ri-star-line"}"></i>`).join("")}
+    </div>`,
+  SDUI5Loading: (p, h) => `<span class="loading loading-spinner ${h.tone("text", p.Color)}"></span>`,
+  SDUI5Skeleton: () => `<div class="skeleton w-full h-full"></div>`,
+  SDUI5Alert: (p, h) => `
+    <div role="alert" class="alert ${h.tone("alert", p.Color)} w-full h-full">
+      <i class="ri-information-line"></i>
+      <div><div class="font-bold">${h.text(p.Title)}</div><div class="text-xs">${h.text(p.Text)}</div></div>
+    </div>`,
+  SDUI5Card: (p, h) => `
+    <div class="card ${h.bool(p.Border, true) ? "card-border" : ""} w-full h-full" style="background: ${h.css(p.BackgroundColor, "var(--color-base-100)")};">
+      <div class="card-body p-4">
+        ${h.bool(p.TitleVisible, true) ? `<h2 class="card-title">${h.text(p.Title)}</h2>` : ""}
+        <p>${h.text(p.RawContent)}</p>
+      </div>
+    </div>`,
+  SDUI5StatItem: (p, h) => `
+    <div class="stat">
+      <div class="stat-title">${h.text(p.Title)}</div>
+      <div class="stat-value">${h.text(p.Value)}</div>
+      <div class="stat-desc">${h.text(p.Desc)}</div>
+    </div>`,
+  SDUI5Tabs: (p, h) => `
+    <div role="tablist" class="tabs tabs-${h.text(p.Style || "lift")} w-full">
+      ${h.options(p.RawOptions).map(([key, label]) => `<a role="tab" class="tab ${key === p.Active ? "tab-active" : ""}">${h.text(label)}</a>`).join("")}
+    </div>`,
+  SDUI5Table: (p, h) => `
+    <div class="w-full h-full overflow-hidden bg-base-100 rounded-box">
+      ${h.bool(p.TitleVisible, true) ? `<div class="font-bold p-2">${h.text(p.Title)}</div>` : ""}
+      <table class="table table-xs">
+        <thead><tr><th>Column 1</th><th>Column 2</th><th>Column 3</th></tr></thead>
+        <tbody>${"<tr><td>—</td><td>—</td><td>—</td></tr>".repeat(3)}</tbody>
+      </table>
+    </div>`,
+};
+
 class SithasoBJLDesigner extends HTMLElement {
+  /**
+   * Preview renderers keyed by shortType; add entries to preview more component types.
+   */
+  static get previews() {
+    return COMPONENT_PREVIEWS;
+  }
+
   constructor() {
     super();
     this._engine = null;
@@ -14,13 +114,27 @@ class SithasoBJLDesigner extends HTMLElement {
     this._snapGrid = 10;
     this._magicMenuId = null;
     this._clipboard = null;
-    this._history = [];
-    this._redoStack = [];
+    this._history = []; // { label, state } where state is the layout JSON before the labelled change
+    this._redoStack = []; // { label, state } where state is the layout JSON after the labelled change
+    this._scriptEdit = null; // { index, timer } while keystrokes in one script share an undo step
+    this._projectStore = new SithasoProjectStore(); // IndexedDB: project layouts, assets, snapshots, undo history
+    this._folder = null; // { name, files } of the project folder shown in the Files pane
+    this._snapshotsFilename = null; // File whose snapshots the history panel lists
+    // Open layouts shown as tabs. The active one lives in _engine, _history, ... and is
+    // copied back into its entry by _stashDocument() before another tab is shown.
+    this._documents = []; // { id, engine, filename, history, redoStack, selectedIds, activeVariant, guides, previewSize }
+    this._activeDocumentId = null;
     this._initialized = false;
     this._currentFilename = "layout.bjl";
     this._autoSaveTimer = null;
     this._jsonContent = { json: {} };
     this._jsonMode = "tree";
+    this._activeVariant = 0; // Index into layout.Variants being edited
+    this._scriptPreview = false; // Overlay the designer-script result on the canvas
+    this._previewSize = null; // { width, height } shown instead of the variant size
+    this._guides = { x: [], y: [] }; // Ruler guides in workspace units, saved with the draft
+    this._problems = []; // Last lintLayout() result
+    this._compare = null; // { other, otherName, base, baseName, diff, merge } shown in the compare dialog
 
     // Default Settings
     this._defaultSettings = {
@@ -34,7 +148,9 @@ class SithasoBJLDesigner extends HTMLElement {
       undoHistoryLimit: 50,
       nudgeStep: 1,
       nudgeShiftStep: 10,
-      autoScroll: true
+      autoScroll: true,
+      nestViews: false, // Store views inside their Panel's :kids instead of flat under Main
+      canvasMode: "preview", // "preview" draws components, "wireframe" draws colored boxes
     };
     this._settings = { ...this._defaultSettings };
     this._loadSettings();
@@ -71,7 +187,13 @@ class SithasoBJLDesigner extends HTMLElement {
    */
   set engine(val) {
     this._engine = val;
+    if (this._engine) this._engine.nested = !!this._settings.nestViews;
+    const doc = this._createDocument(val, this._currentFilename);
+    this._documents = [doc];
+    this._activeDocumentId = doc.id;
+    this._updateDocumentTabs();
     this._syncEngineVariantBoundsFromLayout();
+    this.loadComponents();
     // Don't render here - engine starts empty
     // Render will happen in connectedCallback or when importing
     this._restoreDraft();
@@ -82,15 +204,42 @@ class SithasoBJLDesigner extends HTMLElement {
   }
 
   _syncEngineVariantBoundsFromLayout() {
-    if (
-      this._engine &&
-      typeof this._engine.syncVariantBoundsFromLayout === "function"
-    ) {
-      this._engine.syncVariantBoundsFromLayout();
+    if (!this._engine) return;
+    if (typeof this._engine.ensureVariants === "function") {
+      this._engine.ensureVariants();
+    }
+    const layout = this._engine.getLayout();
+    const count = Array.isArray(layout.Variants) ? layout.Variants.length : 1;
+    if (this._activeVariant >= count || this._activeVariant < 0) {
+      this._activeVariant = 0;
+      this._previewSize = null;
     }
+    if (typeof this._engine.syncVariantBoundsFromLayout === "function") {
+      this._engine.syncVariantBoundsFromLayout(layout, this._activeVariant);
+    }
+  }
+
+  /**
+   * Key of the per-view geometry object for the active variant (variant0, variant1, ...).
+   */
+  _getVariantKey() {
+    return `variant${this._activeVariant}`;
+  }
+
+  /**
+   * Geometry of a view in the active variant, or null when the view has none.
+   */
+  _getViewVariant(view) {
+    if (!view || typeof view !== "object") return null;
+    return view[this._getVariantKey()] || null;
   }
 
-  _getWorkspaceBaseSize() {
+  /**
+   * Size of the canvas: the preview size when one is set, else the active variant's size.
+   * With a variant index, that variant's own size.
+   */
+  _getWorkspaceBaseSize(variantIndex = null) {
+    if (this._previewSize && variantIndex === null) return { ...this._previewSize };
     const fallbackWidth =
       Number(this._engine && this._engine.variantWidth) > 0
         ? Number(this._engine.variantWidth)
@@ -104,10 +253,12 @@ class SithasoBJLDesigner extends HTMLElement {
       this._engine && typeof this._engine.getLayout === "function"
         ? this._engine.getLayout()
         : null;
-    const variant0 =
-      layout && Array.isArray(layout.Variants) ? layout.Variants[0] : null;
-    const width = Number(variant0 && variant0.Width);
-    const height = Number(variant0 && variant0.Height);
+    const variant =
+      layout && Array.isArray(layout.Variants)
+        ? layout.Variants[variantIndex ?? this._activeVariant] || layout.Variants[0]
+        : null;
+    const width = Number(variant && variant.Width);
+    const height = Number(variant && variant.Height);
 
     return {
       width: Number.isFinite(width) && width > 0 ? width : fallbackWidth,
@@ -241,7 +392,11 @@ class SithasoBJLDesigner extends HTMLElement {
     }
   }
 
-  _getResolvedLayoutState() {
+  /**
+   * Canvas rects of every view. Without a variant index they follow the canvas (the active
+   * variant, at the preview size when one is set); with one, that variant at its own size.
+   */
+  _getResolvedLayoutState(variantIndex = null) {
     const records = [];
     const map = new Map();
 
@@ -263,7 +418,8 @@ class SithasoBJLDesigner extends HTMLElement {
 
     const layout = this._engine.getLayout();
     const kids = layout && layout.Data ? layout.Data[":kids"] : null;
-    const base = this._getWorkspaceBaseSize();
+    const base = this._getWorkspaceBaseSize(variantIndex);
+    const variantKey = variantIndex === null ? this._getVariantKey() : `variant${variantIndex}`;
     const rootRect = {
       left: 0,
       top: 0,
@@ -275,8 +431,9 @@ class SithasoBJLDesigner extends HTMLElement {
 
     const walk = (childKids, parentRect, parentId) => {
       this._getOrderedKids(childKids).forEach((view) => {
-        if (!view || !view.name || !view.variant0) return;
-        const rect = this._resolveAnchoredRect(view.variant0, parentRect);
+        const variant = view && view[variantKey];
+        if (!view || !view.name || !variant) return;
+        const rect = this._resolveAnchoredRect(variant, parentRect);
         const record = {
           id: view.name,
           view,
@@ -430,9 +587,15 @@ class SithasoBJLDesigner extends HTMLElement {
     const designerView = this.querySelector(".workspace-view");
     const jsonView = this.querySelector(".json-editor-view");
     const sidebar = this.querySelector(".tree-sidebar");
+    const propertySidebar = this.querySelector(".property-sidebar");
     const btn = this.querySelector("#btnToggleJson");
     const isJsonActive = jsonView.classList.contains("active");
 
+    const scriptView = this.querySelector(".script-editor-view");
+    if (!isJsonActive && scriptView && scriptView.classList.contains("active")) {
+      this.toggleScriptView();
+    }
+
     if (!this._jsonEditor) {
       await this.initJsonEditor();
     }
@@ -455,6 +618,7 @@ class SithasoBJLDesigner extends HTMLElement {
         jsonView.classList.remove("active");
         designerView.style.display = "flex";
         sidebar.style.display = "flex";
+        if (propertySidebar) propertySidebar.style.display = "flex";
         btn.querySelector("i").className = "ri-code-s-line text-lg";
         btn.classList.remove("btn-active");
     } else {
@@ -466,12 +630,263 @@ class SithasoBJLDesigner extends HTMLElement {
         
         designerView.style.display = "none";
         sidebar.style.display = "none";
+        if (propertySidebar) propertySidebar.style.display = "none";
         jsonView.classList.add("active");
         btn.querySelector("i").className = "ri-layout-line text-lg";
         btn.classList.add("btn-active");
     }
   }
 
+  async toggleScriptView() {
+    const designerView = this.querySelector(".workspace-view");
+    const scriptView = this.querySelector(".script-editor-view");
+    const sidebar = this.querySelector(".tree-sidebar");
+    const propertySidebar = this.querySelector(".property-sidebar");
+    const btn = this.querySelector("#btnToggleScript");
+    if (!scriptView) return;
+
+    if (scriptView.classList.contains("active")) {
+      scriptView.classList.remove("active");
+      designerView.style.display = "flex";
+      sidebar.style.display = "flex";
+      if (propertySidebar) propertySidebar.style.display = "flex";
+      btn.classList.remove("btn-active");
+      return;
+    }
+
+    // Leave the JSON view first so its edits are applied (it refuses invalid JSON).
+    const jsonView = this.querySelector(".json-editor-view");
+    if (jsonView && jsonView.classList.contains("active")) {
+      await this.toggleJsonView();
+      if (jsonView.classList.contains("active")) return;
+    }
+
+    this._updateScriptEditor();
+    designerView.style.display = "none";
+    sidebar.style.display = "none";
+    if (propertySidebar) propertySidebar.style.display = "none";
+    scriptView.classList.add("active");
+    btn.classList.add("btn-active");
+  }
+
+  /**
+   * Loads the general script and one section per variant into the script editor.
+   */
+  _updateScriptEditor() {
+    const editor = this.querySelector("#scriptEditor");
+    if (!editor || !this._engine || typeof editor.setSections !== "function") return;
+    const scripts = this._engine.getDesignerScripts();
+    const variants = this._engine.getLayout().Variants || [];
+    editor.setSections([
+      { label: "All variants", text: scripts[0] },
+      ...variants.map((v, i) => ({
+        label: this._formatVariant(v),
+        text: scripts[i + 1],
+      })),
+    ]);
+    this._updateScriptProblems();
+  }
+
+  /**
+   * Runs the general script followed by one variant's script against that variant's view rects,
+   * at the variant's own size.
+   * Script rects are relative to each view's parent, as in B4X.
+   */
+  _runDesignerScript(variantIndex = this._activeVariant) {
+    const layout = this._engine.getLayout();
+    const variant = (layout.Variants || [])[variantIndex] || {};
+    const scripts = this._engine.getDesignerScripts();
+    const interpreter = new SithasoDesignerScript({
+      width: variant.Width,
+      height: variant.Height,
+      scale: variant.Scale,
+    });
+    const records = this._getResolvedLayoutState(variantIndex).records.map((r) => ({
+      id: r.id,
+      parentId: r.parentId,
+      left: r.left - r.parentRect.left,
+      top: r.top - r.parentRect.top,
+      width: r.width,
+      height: r.height,
+    }));
+    return interpreter.run(records, [
+      { section: 0, text: scripts[0] },
+      { section: variantIndex + 1, text: scripts[variantIndex + 1] },
+    ]);
+  }
+
+  /**
+   * Checks every variant's script and lists the errors in the script editor.
+   */
+  _updateScriptProblems() {
+    const editor = this.querySelector("#scriptEditor");
+    if (!editor || !this._engine || typeof editor.setProblems !== "function") return;
+    const variants = this._engine.getLayout().Variants || [];
+    const seen = new Set();
+    const problems = [];
+    variants.forEach((_, i) => {
+      this._runDesignerScript(i).errors.forEach((err) => {
+        // The general script runs once per variant; report each of its errors once.
+        const key = `${err.section}:${err.line}:${err.message}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        problems.push(err);
+      });
+    });
+    problems.sort((a, b) => a.section - b.section || a.line - b.line);
+    editor.setProblems(problems);
+  }
+
+  toggleScriptPreview() {
+    this._scriptPreview = !this._scriptPreview;
+    const btn = this.querySelector("#btnScriptPreview");
+    if (btn) btn.classList.toggle("btn-active", this._scriptPreview);
+    this._renderScriptPreview();
+  }
+
+  /**
+   * Draws where the designer script would place each view, on top of the design-time rects.
+   */
+  _renderScriptPreview() {
+    const workspace = this.querySelector("#workspace");
+    if (!workspace) return;
+    let layer = workspace.querySelector(".script-preview-layer");
+    if (!this._scriptPreview || !this._engine) {
+      if (layer) layer.remove();
+      return;
+    }
+    if (!layer) {
+      layer = document.createElement("div");
+      layer.className = "script-preview-layer";
+      workspace.appendChild(layer);
+    }
+
+    const { views, errors } = this._runDesignerScript();
+    const s = this._scale;
+    // Children follow where the script put their parent.
+    const origins = new Map();
+    const originOf = (id) => {
+      if (!id || !views.has(id)) return { left: 0, top: 0 };
+      if (!origins.has(id)) {
+        const v = views.get(id);
+        const parent = originOf(v.parentId);
+        origins.set(id, { left: parent.left + v.left, top: parent.top + v.top });
+      }
+      return origins.get(id);
+    };
+    layer.innerHTML =
+      Array.from(views.values())
+        .map(
+          (v) => `
+        <div class="script-preview-item ${v.visible ? "" : "is-hidden"}" style="left: ${originOf(v.id).left * s}px; top: ${originOf(v.id).top * s}px; width: ${Math.max(0, v.width) * s}px; height: ${Math.max(0, v.height) * s}px;">
+          <span>${v.id}</span>
+        </div>`,
+        )
+        .join("") +
+      (errors.length > 0
+        ? `<button class="script-preview-errors btn btn-error btn-xs"><i class="ri-error-warning-line"></i> ${errors.length} script error${errors.length === 1 ? "" : "s"}</button>`
+        : "");
+
+    const errorsBtn = layer.querySelector(".script-preview-errors");
+    if (errorsBtn) {
+      errorsBtn.onclick = () => {
+        const first = errors[0];
+        this.toggleScriptView().then(() => {
+          const editor = this.querySelector("#scriptEditor");
+          if (editor && first) editor.goToLine(first.section, first.line, first.column);
+        });
+      };
+    }
+  }
+
+  /**
+   * Lints the layout and refreshes the problems panel and its tab badge.
+   */
+  _updateProblems() {
+    if (!this._engine || typeof lintLayout !== "function") return;
+    this._problems = lintLayout(this._engine.getLayout(), this._engine.schemas);
+    const panel = this.querySelector("#problemsPanel");
+    if (panel && typeof panel.setDiagnostics === "function") panel.setDiagnostics(this._problems);
+
+    const badge = this.querySelector("#problemsBadge");
+    if (badge) {
+      const hasErrors = this._problems.some((d) => d.severity === "error");
+      badge.textContent = this._problems.length;
+      badge.classList.toggle("hidden", this._problems.length === 0);
+      badge.classList.toggle("badge-error", hasErrors);
+      badge.classList.toggle("badge-warning", !hasErrors);
+    }
+  }
+
+  /**
+   * Selects the view a diagnostic points at, switching to its variant first.
+   */
+  showProblem(diagnostic) {
+    if (!diagnostic || !this._engine) return;
+    if (Number.isInteger(diagnostic.variant) && diagnostic.variant !== this._activeVariant) {
+      this.setActiveVariant(diagnostic.variant);
+    }
+    if (this._engine._findView(this._engine.getLayout().Data, diagnostic.viewId)) {
+      this.selectElement(diagnostic.viewId, { clearExisting: true });
+      this._selectionAnchor = diagnostic.viewId;
+    }
+  }
+
+  /**
+   * Applies the quick-fixes of the given diagnostics as one undo step. Diagnostics are matched
+   * again after each fix, since an earlier fix can resolve or renumber later ones.
+   */
+  fixProblems(diagnostics) {
+    if (!this._engine || typeof applyLintFix !== "function" || !diagnostics.length) return;
+    const layout = this._engine.getLayout();
+    const schemas = this._engine.schemas;
+    const key = (d) => `${d.rule}|${d.viewId}|${d.property || ""}|${d.occurrence || 0}`;
+    const wanted = new Set(diagnostics.map(key));
+
+    // Try the first fix on a copy, so a run that changes nothing leaves no undo step.
+    const first = lintLayout(layout, schemas).find((d) => d.fix && wanted.has(key(d)));
+    if (!first || !applyLintFix(JSON.parse(JSON.stringify(layout)), first, schemas)) return;
+    this.saveState(diagnostics.length === 1 ? `${diagnostics[0].fix} ${diagnostics[0].viewId}` : `Fixed ${diagnostics.length} problems`);
+    let fixed = 0;
+    // Each pass fixes at most one diagnostic per wanted key; stop once nothing changes.
+    for (let pass = 0; pass < diagnostics.length; pass++) {
+      const next = lintLayout(layout, schemas).find((d) => d.fix && wanted.has(key(d)));
+      if (!next || !applyLintFix(layout, next, schemas)) break;
+      wanted.delete(key(next));
+      fixed++;
+    }
+    if (fixed === 0) return;
+
+    // Renamed views no longer match their canvas items, so rebuild them.
+    const workspace = this.querySelector("#workspace");
+    if (workspace) workspace.innerHTML = "";
+    this.updateWorkspace();
+    this._updateOutline();
+    this._autoSave();
+    this.dispatchEvent(new CustomEvent("problems-fixed", { detail: { count: fixed } }));
+  }
+
+  /**
+   * Applies a script edit. Typing in one script is one undo step until it pauses for a second
+   * or another change is recorded.
+   */
+  _onScriptChange(index, text) {
+    if (!this._engine) return;
+    if (!this._scriptEdit || this._scriptEdit.index !== index) {
+      this.saveState("Edited designer script");
+      this._scriptEdit = { index, timer: null };
+    }
+    clearTimeout(this._scriptEdit.timer);
+    this._scriptEdit.timer = setTimeout(() => (this._scriptEdit = null), 1000);
+    this._engine.setDesignerScript(index, text);
+    this._updateScriptProblems();
+    this._renderScriptPreview();
+    this._triggerAutoSave();
+    this.dispatchEvent(
+      new CustomEvent("script-change", { detail: { index, text } }),
+    );
+  }
+
   _getNextId(baseName) {
     const existingIds = [];
     const collectIds = (kids) => {
@@ -510,6 +925,26 @@ class SithasoBJLDesigner extends HTMLElement {
 
       this._closeMagicMenu();
 
+      const ruler = e.target.closest(".ruler[data-axis]");
+      const userGuide = e.target.closest(".user-guide");
+      if (ruler || userGuide) {
+        e.stopPropagation();
+        e.preventDefault();
+        if (ruler) this.startGuideDrag(e, ruler.dataset.axis);
+        else this.startGuideDrag(e, userGuide.dataset.axis, Number(userGuide.dataset.index));
+        return;
+      }
+
+      this._clearMeasurements();
+
+      const pin = e.target.closest(".anchor-pin");
+      if (pin) {
+        e.stopPropagation();
+        e.preventDefault();
+        this.toggleAnchor(pin.closest(".designer-item").dataset.id, pin.dataset.anchor);
+        return;
+      }
+
       if (handle) {
         e.stopPropagation();
         // Allow resize for single and multi-selection
@@ -552,6 +987,24 @@ class SithasoBJLDesigner extends HTMLElement {
       }
     });
 
+    // Hovering a view while another is selected shows the distances between the two.
+    this.addEventListener("mouseover", (e) => {
+      const item = e.target.closest(".designer-item");
+      if (e.buttons !== 0 || !item || !this._lastSelectedId || item.dataset.id === this._lastSelectedId) {
+        this._clearMeasurements();
+        return;
+      }
+      this._renderMeasurements(this._lastSelectedId, item.dataset.id);
+    });
+    this.addEventListener("mouseleave", () => this._clearMeasurements());
+
+    this.addEventListener("dblclick", (e) => {
+      const userGuide = e.target.closest(".user-guide");
+      if (!userGuide) return;
+      e.stopPropagation();
+      this.removeGuide(userGuide.dataset.axis, Number(userGuide.dataset.index));
+    });
+
     // Right-click on a workspace element opens the same magic menu at cursor location.
     this.addEventListener("contextmenu", (e) => {
       const item = e.target.closest(".designer-item");
@@ -573,7 +1026,17 @@ class SithasoBJLDesigner extends HTMLElement {
       );
     });
 
+    // Drafts survive a reload in the project store, but the files they came from do not change.
+    window.addEventListener("beforeunload", (e) => {
+      if (!this._documents.some((doc) => this._isDirty(doc))) return;
+      e.preventDefault();
+      e.returnValue = "";
+    });
+
     window.addEventListener("keydown", (e) => {
+      // Leave keystrokes alone while the user is typing in a form field (e.g. the property grid).
+      if (e.target && e.target.closest && e.target.closest("input, textarea, select, [contenteditable]")) return;
+
       const step = e.shiftKey ? this._settings.nudgeShiftStep : this._settings.nudgeStep;
       let handled = false;
 
@@ -581,6 +1044,13 @@ class SithasoBJLDesigner extends HTMLElement {
         this.clearSelection();
         this._closeMagicMenu();
         handled = true;
+      } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "s") {
+        if (e.shiftKey) this.saveAs();
+        else this.save();
+        handled = true;
+      } else if ((e.ctrlKey || e.metaKey) && e.key === "o") {
+        this.openFile();
+        handled = true;
       } else if ((e.ctrlKey || e.metaKey) && e.key === "a") {
         e.preventDefault();
         this.selectAll();
@@ -607,19 +1077,19 @@ class SithasoBJLDesigner extends HTMLElement {
         this.duplicate();
         handled = true;
       } else if (this._selectedIds.size > 0 && e.key === "ArrowLeft") {
-        this.saveState();
+        this.saveState(this._historyLabel("Nudged"));
         this.nudge(-step, 0);
         handled = true;
       } else if (this._selectedIds.size > 0 && e.key === "ArrowRight") {
-        this.saveState();
+        this.saveState(this._historyLabel("Nudged"));
         this.nudge(step, 0);
         handled = true;
       } else if (this._selectedIds.size > 0 && e.key === "ArrowUp") {
-        this.saveState();
+        this.saveState(this._historyLabel("Nudged"));
         this.nudge(0, -step);
         handled = true;
       } else if (this._selectedIds.size > 0 && e.key === "ArrowDown") {
-        this.saveState();
+        this.saveState(this._historyLabel("Nudged"));
         this.nudge(0, step);
         handled = true;
       }
@@ -692,7 +1162,11 @@ class SithasoBJLDesigner extends HTMLElement {
     const workspaceView = this.querySelector(".workspace-view");
     if (workspaceView) {
       workspaceView.addEventListener("scroll", () => this._closeMagicMenu(), true);
+      workspaceView.addEventListener("scroll", () => this._updateRulers());
     }
+    const scaler = this.querySelector(".workspace-scaler");
+    if (scaler) scaler.addEventListener("transitionend", () => this._updateRulers());
+    window.addEventListener("resize", () => this._updateRulers());
   }
 
   _toggleMagicMenu(id, trigger = null, position = null, forceOpen = false) {
@@ -813,7 +1287,7 @@ class SithasoBJLDesigner extends HTMLElement {
     if (!this._engine) return [];
     const layout = this._engine.getLayout();
     if (!layout || !layout.Data[':kids']) return [];
-    return Object.values(layout.Data[':kids']).map(view => view.name);
+    return this._getViewsInLayoutOrder().map(view => view.name);
   }
 
   /**
@@ -882,137 +1356,1081 @@ class SithasoBJLDesigner extends HTMLElement {
     this._selectionAnchor = id;
   }
 
-  saveState() {
+  /**
+   * Records the layout before a change as one undo step.
+   * @param {string} label - What the change does, shown in the history panel ("Moved Button1")
+   */
+  saveState(label = "Edit") {
     if (!this._engine) return;
-    const state = JSON.stringify(this._engine.getLayout().Data);
-    // Only push if different from last state
-    if (
-      this._history.length === 0 ||
-      this._history[this._history.length - 1] !== state
-    ) {
-      this._history.push(state);
-      this._redoStack = []; // Clear redo on new action
-      if (this._history.length > 50) this._history.shift(); // Limit history
+    this._endScriptEdit();
+    const state = JSON.stringify(this._engine.getLayout());
+    const last = this._history[this._history.length - 1];
+    if (last && last.state === state) {
+      // The previous step changed nothing, so this change takes its place.
+      last.label = label;
       this._updateHistoryControls();
-      this._triggerAutoSave();
+      return;
     }
+    this._history.push({ label, state });
+    this._redoStack = []; // Clear redo on new action
+    // The change itself follows this call, so refresh the unsaved-changes dot once it is made.
+    setTimeout(() => this._updateTitle(), 0);
+    const limit = Math.max(1, parseInt(this._settings.undoHistoryLimit, 10) || 50);
+    if (this._history.length > limit) this._history.splice(0, this._history.length - limit);
+    this._updateHistoryControls();
+    this._triggerAutoSave();
   }
 
-  undo() {
-    if (this._history.length === 0) return;
+  /**
+   * Renames the latest undo step, for changes whose result (such as pasted names) is only
+   * known after saveState().
+   */
+  _relabelLastStep(label) {
+    const last = this._history[this._history.length - 1];
+    if (!last) return;
+    last.label = label;
+    this._updateHistoryControls();
+  }
 
-    // Save current state to redo stack before going back
-    const currentState = JSON.stringify(this._engine.getLayout().Data);
-    this._redoStack.push(currentState);
+  /**
+   * Label for a change to some views: "Moved Button1" or "Moved 3 items".
+   */
+  _historyLabel(verb, ids = this._selectedIds) {
+    const list = Array.from(ids);
+    return list.length === 1 ? `${verb} ${list[0]}` : `${verb} ${list.length} items`;
+  }
 
-    // Restore last saved state
-    const prevState = this._history.pop();
-    this._engine.getLayout().Data = JSON.parse(prevState);
+  /**
+   * Ends the script edit session, so the next keystroke records a new undo step.
+   */
+  _endScriptEdit() {
+    if (!this._scriptEdit) return;
+    clearTimeout(this._scriptEdit.timer);
+    this._scriptEdit = null;
+  }
 
-    this.updateWorkspace();
-    this._updateOutline();
-    this._updateHistoryControls();
+  undo() {
+    this.jumpToHistory(this._history.length - 1);
   }
 
   redo() {
-    if (this._redoStack.length === 0) return;
-
-    // Save current state to history before going forward
-    const currentState = JSON.stringify(this._engine.getLayout().Data);
-    this._history.push(currentState);
+    this.jumpToHistory(this._history.length + 1);
+  }
 
-    // Restore next state
-    const state = this._redoStack.pop();
-    this._engine.getLayout().Data = JSON.parse(state);
+  /**
+   * Undoes or redoes steps until the layout is at a history panel step. Step 0 is the oldest
+   * kept layout, step _history.length the current one, and later steps can be redone.
+   */
+  jumpToHistory(index) {
+    if (!this._engine) return;
+    const target = Math.max(0, Math.min(index, this._history.length + this._redoStack.length));
+    if (target === this._history.length) return;
+    this._endScriptEdit();
+
+    let state = JSON.stringify(this._engine.getLayout());
+    while (this._history.length > target) {
+      const step = this._history.pop();
+      this._redoStack.push({ label: step.label, state });
+      state = step.state;
+    }
+    while (this._history.length < target) {
+      const step = this._redoStack.pop();
+      this._history.push({ label: step.label, state });
+      state = step.state;
+    }
 
-    this.updateWorkspace();
-    this._updateOutline();
+    this._engine.layout = JSON.parse(state);
+    const data = this._engine.getLayout().Data;
+    Array.from(this._selectedIds).forEach((id) => {
+      if (!this._engine._findView(data, id)) this._selectedIds.delete(id);
+    });
+    this.refresh();
+    this._updatePropertyGrid();
     this._updateHistoryControls();
+    this._updateTitle();
+    this._triggerAutoSave();
+    this.dispatchEvent(new CustomEvent("history-jump", { detail: { index: target } }));
   }
 
-  cut() {
-    if (this._selectedIds.size === 0) return;
-    this.copy();
-    this.deleteSelected();
-    this._updateClipboardControls();
+  /**
+   * Steps shown in the history panel, oldest first, and the index of the current one.
+   */
+  getHistorySteps() {
+    const steps = [{ label: "Start" }, ...this._history.map((step) => ({ label: step.label }))];
+    for (let i = this._redoStack.length - 1; i >= 0; i--) steps.push({ label: this._redoStack[i].label });
+    return { steps, current: this._history.length };
   }
 
-  copy() {
-    if (this._selectedIds.size === 0 || !this._engine) return;
-    
-    // Copy all selected elements
-    const views = Array.from(this._selectedIds)
-      .map(id => this._engine._findView(this._engine.getLayout().Data, id))
-      .filter(view => view);
-    
-    if (views.length > 0) {
-      // Store as array for multi-select support
-      this._clipboard = views.map(view => JSON.parse(JSON.stringify(view)));
-      this._updateClipboardControls();
+  /* ---------- Snapshots (IndexedDB) ---------- */
+
+  _dbRequest(storeName, mode, makeRequest) {
+    return this._projectStore.request(storeName, mode, makeRequest);
+  }
+
+  /**
+   * Stores the current layout under a name. Asks for the name when none is given.
+   * @returns {Promise<number|null>} The snapshot id
+   */
+  async saveSnapshot(name = null) {
+    if (!this._engine) return null;
+    if (!name) {
+      const result = await Swal.fire({
+        title: "Save Snapshot",
+        input: "text",
+        inputValue: `${this._currentFilename} ${new Date().toLocaleString()}`,
+        inputPlaceholder: "Snapshot name",
+        showCancelButton: true,
+        confirmButtonColor: "#3b82f6",
+        cancelButtonColor: "#6b7280",
+        confirmButtonText: "Save",
+        background: this._theme === "dark" ? "#1e1e1e" : "#ffffff",
+        color: this._theme === "dark" ? "#ffffff" : "#1a1a1a",
+        inputValidator: (value) => (!String(value || "").trim() ? "Enter a name" : undefined),
+      });
+      if (!result.isConfirmed) return null;
+      name = String(result.value).trim();
+    }
+    try {
+      const id = await this._dbRequest("snapshots", "readwrite", (store) => store.add({
+        name,
+        filename: this._currentFilename,
+        created: Date.now(),
+        layout: JSON.parse(JSON.stringify(this._engine.getLayout())),
+      }));
+      await this._updateSnapshots();
+      this.dispatchEvent(new CustomEvent("snapshot-saved", { detail: { id, name } }));
+      return id;
+    } catch (error) {
+      console.error("Saving snapshot failed:", error);
+      Swal.fire("Snapshot Error", "The snapshot could not be saved.", "error");
+      return null;
     }
   }
 
-  paste() {
-    if (!this._clipboard || this._clipboard.length === 0 || !this._engine) return;
-    this.saveState();
+  /**
+   * Lists the stored snapshots of one file, newest first, without their layouts.
+   */
+  async listSnapshots(filename = this._currentFilename) {
+    const all = await this._dbRequest("snapshots", "readonly", (store) => store.getAll());
+    return (all || [])
+      .filter((snapshot) => snapshot.filename === filename)
+      .map(({ id, name, filename, created }) => ({ id, name, filename, created }))
+      .sort((a, b) => b.created - a.created);
+  }
 
-    // Ensure _clipboard is an array (backward compatibility)
-    const clipboardArray = Array.isArray(this._clipboard) ? this._clipboard : [this._clipboard];
-    const layout = this._engine.getLayout();
-    if (!layout || !layout.Data) return;
-    if (!layout.Data[":kids"]) layout.Data[":kids"] = {};
+  /**
+   * Replaces the layout with a snapshot as one undo step. Only snapshots of the current file
+   * are restored, so saving never writes one layout over another layout's file.
+   */
+  async restoreSnapshot(id) {
+    if (!this._engine) return false;
+    const snapshot = await this._dbRequest("snapshots", "readonly", (store) => store.get(id));
+    if (!snapshot || !snapshot.layout || snapshot.filename !== this._currentFilename) return false;
+    this.saveState(`Restored snapshot "${snapshot.name}"`);
+    this._engine.layout = JSON.parse(JSON.stringify(snapshot.layout));
+    this._updateTitle();
+    this.clearSelection();
+    this.refresh();
+    this._autoSave();
+    this.dispatchEvent(new CustomEvent("snapshot-restored", { detail: { id, name: snapshot.name } }));
+    return true;
+  }
 
-    const margin = Math.max(1, Number(this._engine.innerMargin) || this._snapGrid);
-    const sourceItemsById = new Map(
-      clipboardArray
-        .filter((item) => item && item.name && item.variant0)
-        .map((item, orderIndex) => [
-          item.name,
-          {
-            item,
-            orderIndex,
-            left: Number(item.variant0.left) || 0,
-            top: Number(item.variant0.top) || 0,
-            width: Math.max(this._snapGrid, Number(item.variant0.width) || this._snapGrid),
-            height: Math.max(this._snapGrid, Number(item.variant0.height) || this._snapGrid),
-          },
-        ]),
-    );
+  async deleteSnapshot(id) {
+    await this._dbRequest("snapshots", "readwrite", (store) => store.delete(id));
+    await this._updateSnapshots();
+  }
 
-    const sourceRecords = Array.from(sourceItemsById.entries()).map(([id, rec]) => ({
-      id,
-      orderIndex: rec.orderIndex,
-      left: rec.left,
-      top: rec.top,
-      width: rec.width,
-      height: rec.height,
-      right: rec.left + rec.width,
-      bottom: rec.top + rec.height,
-      area: rec.width * rec.height,
-      internalParentId: "",
-    }));
+  async _updateSnapshots() {
+    const panel = this.querySelector("#historyPanel");
+    if (!panel || typeof panel.setSnapshots !== "function") return;
+    this._snapshotsFilename = this._currentFilename;
+    try {
+      panel.setSnapshots(await this.listSnapshots());
+    } catch (error) {
+      console.warn("Snapshots unavailable:", error);
+    }
+  }
 
-    const strictlyContains = (outer, inner) =>
-      inner.left > outer.left &&
-      inner.top > outer.top &&
-      inner.right < outer.right &&
-      inner.bottom < outer.bottom;
+  /**
+   * Keeps the undo stacks next to the draft so they survive a reload. The saved layout lets
+   * _restoreHistory() check that the stacks still belong to the restored draft.
+   */
+  _saveHistory() {
+    if (!this._engine || !this._activeDocumentId) return;
+    const record = {
+      key: `draft:${this._activeDocumentId}`,
+      current: JSON.stringify(this._engine.getLayout()),
+      history: this._history,
+      redo: this._redoStack,
+    };
+    this._dbRequest("history", "readwrite", (store) => store.put(record))
+      .catch((error) => console.warn("Undo history not saved:", error));
+  }
 
-    // Build internal hierarchy within the clipboard set itself.
-    sourceRecords.forEach((child) => {
-      const candidates = sourceRecords.filter(
-        (candidate) =>
-          candidate.id !== child.id && strictlyContains(candidate, child),
-      );
-      if (candidates.length === 0) return;
-      const parent = candidates.sort((a, b) => {
-        if (a.area !== b.area) return a.area - b.area;
-        return a.orderIndex - b.orderIndex;
-      })[0];
-      child.internalParentId = parent.id;
-    });
+  async _restoreHistory(documents = this._documents) {
+    try {
+      for (const doc of documents) {
+        const record = await this._dbRequest("history", "readonly", (store) => store.get(`draft:${doc.id}`));
+        if (!record || record.current !== JSON.stringify(doc.engine.getLayout())) continue;
+        doc.history = Array.isArray(record.history) ? record.history : [];
+        doc.redoStack = Array.isArray(record.redo) ? record.redo : [];
+        if (doc.id === this._activeDocumentId) {
+          this._history = doc.history;
+          this._redoStack = doc.redoStack;
+        }
+      }
+      this._updateHistoryControls();
+    } catch (error) {
+      console.warn("Undo history not restored:", error);
+    }
+  }
 
-    const bySourceId = new Map(sourceRecords.map((r) => [r.id, r]));
+  /* ---------- Documents (tabs) ---------- */
+
+  _createDocument(engine, filename = "layout.bjl", id = null) {
+    return {
+      id: id || SithasoProjectStore.newId(),
+      engine,
+      filename,
+      history: [],
+      redoStack: [],
+      selectedIds: [],
+      activeVariant: 0,
+      guides: { x: [], y: [] },
+      previewSize: null,
+      fileHandle: null, // FileSystemFileHandle the layout was opened from or saved to
+      diskState: null, // Layout JSON as last read from or written to disk
+      dirty: false,
+    };
+  }
+
+  /**
+   * A new engine for another tab, sharing the loaded component schemas.
+   */
+  _createEngine() {
+    const engine = new SithasoLib.Engine();
+    if (this._engine) engine.schemas = this._engine.schemas;
+    engine.nested = !!this._settings.nestViews;
+    return engine;
+  }
+
+  _activeDocument() {
+    return this._documents.find((doc) => doc.id === this._activeDocumentId) || null;
+  }
+
+  /**
+   * Copies the designer's working state back into the active tab's entry.
+   */
+  _stashDocument() {
+    const doc = this._activeDocument();
+    if (!doc) return;
+    doc.engine = this._engine;
+    doc.filename = this._currentFilename;
+    doc.history = this._history;
+    doc.redoStack = this._redoStack;
+    doc.selectedIds = Array.from(this._selectedIds);
+    doc.activeVariant = this._activeVariant;
+    doc.guides = this._guides;
+    doc.previewSize = this._previewSize;
+  }
+
+  _loadDocument(doc) {
+    this._endScriptEdit();
+    this._engine = doc.engine;
+    this._currentFilename = doc.filename;
+    this._history = doc.history;
+    this._redoStack = doc.redoStack;
+    this._activeVariant = doc.activeVariant;
+    this._previewSize = doc.previewSize;
+    this._setGuides(doc.guides);
+    this._compare = null;
+    this._selectedIds.clear();
+    this._lastSelectedId = null;
+    this._selectionAnchor = null;
+
+    this._updateTitle();
+    this.refresh();
+    const data = this._engine.getLayout().Data;
+    const selected = doc.selectedIds.filter((id) => this._engine._findView(data, id));
+    if (selected.length > 0) this.selectElement(selected, { clearExisting: true });
+    else this.clearSelection();
+    this._updatePreviewSizeControls();
+    this._updateHistoryControls();
+    this._updateDocumentTabs();
+  }
+
+  /**
+   * Shows another open layout. The clipboard is shared, so views copied in one tab can be
+   * pasted into another.
+   */
+  switchDocument(id) {
+    const doc = this._documents.find((d) => d.id === id);
+    if (!doc || id === this._activeDocumentId) return;
+    this._stashDocument();
+    this._saveHistory();
+    this._activeDocumentId = id;
+    this._loadDocument(doc);
+    this._autoSave();
+    this.dispatchEvent(new CustomEvent("document-change", { detail: { id, filename: doc.filename } }));
+  }
+
+  /**
+   * Opens an empty layout in a new tab.
+   * @returns {string} The tab's document id
+   */
+  newDocument(filename = null) {
+    if (!this._engine) return null;
+    const taken = new Set(this._documents.map((d) => (d.id === this._activeDocumentId ? this._currentFilename : d.filename).toLowerCase()));
+    let name = filename || "layout.bjl";
+    for (let n = 2; !filename && taken.has(name.toLowerCase()); n++) name = `layout${n}.bjl`;
+    const doc = this._createDocument(this._createEngine(), name);
+    this._stashDocument();
+    this._saveHistory();
+    this._documents.push(doc);
+    this._activeDocumentId = doc.id;
+    this._loadDocument(doc);
+    this._autoSave();
+    this.dispatchEvent(new CustomEvent("document-change", { detail: { id: doc.id, filename: doc.filename } }));
+    return doc.id;
+  }
+
+  /**
+   * An untouched tab (no views, no undo steps) that a file can be opened into instead of a new tab.
+   */
+  _isBlankDocument() {
+    if (!this._engine || this._history.length > 0 || this._redoStack.length > 0) return false;
+    const kids = this._engine.getLayout().Data[":kids"];
+    return !kids || Object.keys(kids).length === 0;
+  }
+
+  /**
+   * Closes a tab. Its layout stays in the project store and can be reopened from File > Recent.
+   * Closing the last tab leaves an empty layout.
+   */
+  closeDocument(id) {
+    const index = this._documents.findIndex((d) => d.id === id);
+    if (index < 0) return false;
+    this._autoSave();
+    const doc = this._documents[index];
+    this._documents.splice(index, 1);
+    if (this._documents.length === 0) {
+      const engine = doc.engine;
+      engine.layout = engine.newLayout();
+      this._documents.push(this._createDocument(engine));
+    }
+    if (id === this._activeDocumentId || this._documents.length === 1) {
+      const next = this._documents[Math.min(index, this._documents.length - 1)];
+      this._activeDocumentId = next.id;
+      this._loadDocument(next);
+    }
+    this._autoSave();
+    this.dispatchEvent(new CustomEvent("document-close", { detail: { id, filename: doc.filename } }));
+    return true;
+  }
+
+  /* ---------- Project (IndexedDB) ---------- */
+
+  /**
+   * Opens a stored layout, switching to its tab when it is already open. An untouched empty
+   * tab is reused.
+   */
+  async openProjectLayout(id) {
+    if (!this._engine) return false;
+    if (this._documents.some((d) => d.id === id)) {
+      this.switchDocument(id);
+      return true;
+    }
+    const record = await this._projectStore.getLayout(id);
+    if (!record || !record.layout) return false;
+
+    this._stashDocument();
+    this._saveHistory();
+    const reuse = this._isBlankDocument() ? this._activeDocument() : null;
+    const doc = this._documentFromDraft(this._draftFromRecord(record), reuse ? this._engine : this._createEngine());
+    if (reuse) this._documents.splice(this._documents.indexOf(reuse), 1, doc);
+    else this._documents.push(doc);
+    this._activeDocumentId = doc.id;
+    this._loadDocument(doc);
+    await this._restoreHistory([doc]);
+    this._autoSave();
+    this.dispatchEvent(new CustomEvent("document-change", { detail: { id, filename: doc.filename } }));
+    return true;
+  }
+
+  async renameProjectLayout(id, name) {
+    await this._projectStore.renameLayout(id, name);
+    const doc = this._documents.find((d) => d.id === id);
+    if (doc) {
+      doc.filename = name;
+      if (id === this._activeDocumentId) {
+        this._currentFilename = name;
+        this._updateTitle();
+      }
+      this._autoSave();
+    }
+  }
+
+  async deleteProjectLayout(id) {
+    if (this._documents.some((d) => d.id === id)) this.closeDocument(id);
+    await this._projectStore.deleteLayout(id);
+    await this._dbRequest("history", "readwrite", (store) => store.delete(`draft:${id}`));
+    this._autoSave();
+  }
+
+  /**
+   * Downloads every stored layout, schema and asset as one zip.
+   */
+  async exportProject() {
+    this._autoSave();
+    const blob = await this._projectStore.exportZip();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "project.zip";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    this.dispatchEvent(new CustomEvent("export-project", { detail: { size: blob.size } }));
+    return blob;
+  }
+
+  _formatModified(time) {
+    const seconds = Math.round((Date.now() - Number(time)) / 1000);
+    if (!Number.isFinite(seconds)) return "";
+    if (seconds < 60) return "just now";
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+    return new Date(time).toLocaleDateString();
+  }
+
+  async _updateRecentMenu() {
+    const list = this.querySelector("#recentList");
+    if (!list) return;
+    let layouts = [];
+    try {
+      layouts = (await this._projectStore.listLayouts()).slice(0, 8);
+    } catch (error) {
+      console.warn("Recent layouts unavailable:", error);
+    }
+    const esc = (value) => this._escapeHtml(value);
+    list.innerHTML = layouts.length
+      ? layouts
+        .map((l) => `<li><a data-recent="${esc(l.id)}" title="${esc(l.name)}"><span class="truncate flex-1">${esc(l.name)}</span><span class="text-[10px] opacity-50">${esc(this._formatModified(l.modified))}</span></a></li>`)
+        .join("")
+      : `<li class="menu-disabled"><a>No stored layouts</a></li>`;
+  }
+
+  _showProject() {
+    const modal = this.querySelector("#modalProject");
+    if (!modal) return;
+    this._autoSave();
+    this._renderProject();
+    modal.showModal();
+  }
+
+  async _renderProject() {
+    const layoutsEl = this.querySelector("#projectLayouts");
+    const assetsEl = this.querySelector("#projectAssets");
+    if (!layoutsEl || !assetsEl) return;
+    const esc = (value) => this._escapeHtml(value);
+    let layouts = [];
+    let assets = [];
+    try {
+      [layouts, assets] = await Promise.all([this._projectStore.listLayouts(), this._projectStore.listAssets()]);
+    } catch (error) {
+      layoutsEl.innerHTML = `<div class="text-error text-sm">The project store is not available in this browser: ${esc(error.message)}</div>`;
+      assetsEl.innerHTML = "";
+      return;
+    }
+
+    layoutsEl.innerHTML = layouts.length
+      ? `<table class="table table-sm">
+          <thead><tr><th>Layout</th><th>Views</th><th>Modified</th><th></th></tr></thead>
+          <tbody>${layouts.map((l) => `
+            <tr>
+              <td class="font-mono"><a class="link link-hover" data-project-action="open" data-id="${esc(l.id)}">${esc(l.name)}</a>${this._documents.some((d) => d.id === l.id) ? ` <span class="badge badge-xs badge-primary">open</span>` : ""}</td>
+              <td>${l.views}</td>
+              <td title="${esc(new Date(l.modified).toLocaleString())}">${esc(this._formatModified(l.modified))}</td>
+              <td class="text-right whitespace-nowrap">
+                <button class="btn btn-xs btn-ghost btn-square" data-project-action="rename" data-id="${esc(l.id)}" title="Rename"><i class="ri-edit-line"></i></button>
+                <button class="btn btn-xs btn-ghost btn-square" data-project-action="duplicate" data-id="${esc(l.id)}" title="Duplicate"><i class="ri-file-copy-line"></i></button>
+                <button class="btn btn-xs btn-ghost btn-square text-error" data-project-action="delete" data-id="${esc(l.id)}" title="Delete"><i class="ri-delete-bin-line"></i></button>
+              </td>
+            </tr>`).join("")}
+          </tbody>
+        </table>`
+      : `<div class="opacity-50 text-sm p-2">No stored layouts yet. Layouts are added when you edit them.</div>`;
+
+    const stored = new Set(assets.map((a) => a.name.toLowerCase()));
+    const missing = Array.from(new Set(layouts.flatMap((l) => l.files))).filter((name) => !stored.has(name.toLowerCase()));
+    assetsEl.innerHTML = `
+      ${assets.map((a) => `
+        <div class="flex items-center gap-2 py-1">
+          <i class="ri-file-line"></i>
+          <span class="font-mono flex-1 truncate">${esc(a.name)}</span>
+          <span class="opacity-50">${(a.size / 1024).toFixed(1)} KB</span>
+          <button class="btn btn-xs btn-ghost btn-square text-error" data-project-action="delete-asset" data-id="${esc(a.name)}" title="Delete"><i class="ri-delete-bin-line"></i></button>
+        </div>`).join("")}
+      ${missing.map((name) => `
+        <div class="flex items-center gap-2 py-1 text-warning" title="Listed in a layout's Files but not stored">
+          <i class="ri-error-warning-line"></i>
+          <span class="font-mono flex-1 truncate">${esc(name)}</span>
+          <span class="opacity-70">missing</span>
+        </div>`).join("")}
+      ${assets.length + missing.length === 0 ? `<div class="opacity-50 p-2">No asset files</div>` : ""}`;
+  }
+
+  async _onProjectAction(action, id) {
+    const swalTheme = {
+      background: this._theme === "dark" ? "#1e1e1e" : "#ffffff",
+      color: this._theme === "dark" ? "#ffffff" : "#1a1a1a",
+    };
+    try {
+      switch (action) {
+        case "open":
+          this.querySelector("#modalProject").close();
+          await this.openProjectLayout(id);
+          return;
+        case "rename": {
+          const record = await this._projectStore.getLayout(id);
+          if (!record) return;
+          const result = await Swal.fire({
+            title: "Rename Layout",
+            input: "text",
+            inputValue: record.name,
+            showCancelButton: true,
+            confirmButtonColor: "#3b82f6",
+            cancelButtonColor: "#6b7280",
+            confirmButtonText: "Rename",
+            inputValidator: (value) => {
+              if (!value) return "Please enter a filename";
+              if (!/\.(bjl|bal)$/i.test(value)) return "Filename must end with .bjl or .bal";
+            },
+            ...swalTheme,
+          });
+          if (!result.isConfirmed) return;
+          await this.renameProjectLayout(id, result.value);
+          break;
+        }
+        case "duplicate":
+          await this._projectStore.duplicateLayout(id);
+          break;
+        case "delete": {
+          const record = await this._projectStore.getLayout(id);
+          const result = await Swal.fire({
+            title: "Delete Layout?",
+            text: `${record ? record.name : "This layout"} is removed from the project. This cannot be undone.`,
+            icon: "warning",
+            showCancelButton: true,
+            confirmButtonColor: "#ef4444",
+            cancelButtonColor: "#6b7280",
+            confirmButtonText: "Delete",
+            ...swalTheme,
+          });
+          if (!result.isConfirmed) return;
+          await this.deleteProjectLayout(id);
+          break;
+        }
+        case "delete-asset":
+          await this._projectStore.deleteAsset(id);
+          break;
+      }
+    } catch (error) {
+      console.error("Project action failed:", error);
+      Swal.fire({ title: "Project Error", text: error.message, icon: "error", ...swalTheme });
+    }
+    this._renderProject();
+  }
+
+  _updateDocumentTabs() {
+    const strip = this.querySelector("#documentTabs");
+    if (!strip) return;
+    const esc = (value) => this._escapeHtml(value);
+    strip.innerHTML = `${this._documents
+      .map((doc) => {
+        const active = doc.id === this._activeDocumentId;
+        const filename = active ? this._currentFilename : doc.filename;
+        return `
+          <div class="document-tab ${active ? "active" : ""}" data-document="${esc(doc.id)}" title="${esc(filename)}">
+            <i class="ri-file-3-line"></i>
+            <span class="document-tab-name">${esc(filename)}</span>${this._isDirty(doc) ? `<span class="text-warning" title="Unsaved changes">●</span>` : ""}
+            <button class="document-tab-close" data-close-document="${esc(doc.id)}" title="Close"><i class="ri-close-line"></i></button>
+          </div>`;
+      })
+      .join("")}
+      <button class="btn btn-xs btn-ghost btn-circle" data-new-document title="New layout"><i class="ri-add-line"></i></button>`;
+  }
+
+  /* ---------- Files on disk ---------- */
+
+  /**
+   * Whether the browser can open files and write them back (File System Access API).
+   */
+  _canUseFileHandles() {
+    return typeof window.showOpenFilePicker === "function" && typeof window.showSaveFilePicker === "function";
+  }
+
+  _layoutFileTypes() {
+    return [{ description: "B4X Layout", accept: { "application/octet-stream": [".bjl", ".bal"] } }];
+  }
+
+  /**
+   * Whether a tab has changes that are not in its file. A layout that was never read from or
+   * written to disk counts as changed once it has views. The title and tab dots and the
+   * prompt on close all ask this; doc.dirty only carries the answer into the stored draft.
+   */
+  _isDirty(doc = this._activeDocument()) {
+    if (!doc) return false;
+    const layout = doc.engine.getLayout();
+    if (doc.diskState !== null) return JSON.stringify(layout) !== doc.diskState;
+    const kids = layout.Data && layout.Data[":kids"];
+    return !!kids && Object.keys(kids).length > 0;
+  }
+
+  _markClean(doc = this._activeDocument()) {
+    doc.diskState = JSON.stringify(doc.engine.getLayout());
+    doc.dirty = false;
+    this._updateTitle();
+  }
+
+  /**
+   * Shows the filename in the toolbar, with a dot while there are unsaved changes.
+   */
+  _updateTitle() {
+    const doc = this._activeDocument();
+    if (doc) doc.dirty = this._isDirty(doc);
+    const titleEl = this.querySelector("#toolbarTitle");
+    if (titleEl) {
+      const name = this._escapeHtml(this._currentFilename);
+      titleEl.innerHTML = doc && doc.dirty ? `${name} <span class="text-warning" title="Unsaved changes">●</span>` : name;
+      titleEl.title = doc && doc.fileHandle ? `Saving writes to ${doc.fileHandle.name}` : "";
+    }
+    // The history panel lists the snapshots of the file shown, so follow tab switches and renames.
+    if (this._snapshotsFilename !== null && this._snapshotsFilename !== this._currentFilename) this._updateSnapshots();
+    const convertLabel = this.querySelector("#btnConvertPlatform span");
+    if (convertLabel && this._engine) convertLabel.textContent = `Convert to ${this._engine.platform === "b4a" ? "B4J" : "B4A"}`;
+    this._updateDocumentTabs();
+  }
+
+  /**
+   * Opens a layout from disk. Where file handles are available the tab keeps the handle, so
+   * Save writes back to the same file; otherwise the file input is used.
+   */
+  async openFile() {
+    if (!this._engine) return false;
+    if (!this._canUseFileHandles()) {
+      this.querySelector("#fileImport").click();
+      return false;
+    }
+    let handle;
+    try {
+      [handle] = await window.showOpenFilePicker({ types: this._layoutFileTypes() });
+    } catch (error) {
+      if (error.name === "AbortError") return false;
+      throw error;
+    }
+    const open = await this._documentForHandle(handle);
+    if (open) {
+      this.switchDocument(open.id);
+      return true;
+    }
+    return this._openLayoutFile(await handle.getFile(), handle);
+  }
+
+  async _documentForHandle(handle) {
+    for (const doc of this._documents) {
+      if (doc.fileHandle && (await doc.fileHandle.isSameEntry(handle))) return doc;
+    }
+    return null;
+  }
+
+  async _openLayoutFile(file, handle = null) {
+    try {
+      if (!this._isBlankDocument()) this.newDocument(file.name);
+      await this._engine.loadFile(file);
+      this._currentFilename = file.name;
+      this._activeVariant = 0;
+      this._previewSize = null;
+      const doc = this._activeDocument();
+      doc.fileHandle = handle;
+      this._markClean(doc);
+      this.refresh();
+      this._autoSave();
+      this.dispatchEvent(new CustomEvent("import-layout", { detail: { file } }));
+      if (this._engine.warnings && this._engine.warnings.length > 0) {
+        this._showImportWarnings(file.name, this._engine.warnings);
+      }
+      return true;
+    } catch (error) {
+      console.error("Import failed:", error);
+      this._showImportError(file.name, error);
+      return false;
+    }
+  }
+
+  /**
+   * Writes the layout back to the file it was opened from or last saved to. Without a file
+   * handle this is Save As.
+   */
+  async save() {
+    const doc = this._activeDocument();
+    if (!doc) return false;
+    if (!doc.fileHandle) return this.saveAs();
+    try {
+      await this._writeFile(doc.fileHandle);
+    } catch (error) {
+      console.error("Save failed:", error);
+      Swal.fire("Save Error", error.message, "error");
+      return false;
+    }
+    this._markClean(doc);
+    this._autoSave();
+    Swal.fire({
+      icon: "success",
+      title: "Saved!",
+      text: `Saved to ${doc.fileHandle.name}`,
+      toast: true,
+      position: "top-end",
+      showConfirmButton: false,
+      timer: 2000,
+    });
+    this.dispatchEvent(new CustomEvent("save-layout", { detail: { filename: doc.fileHandle.name } }));
+    return true;
+  }
+
+  /**
+   * Saves the layout to a file the user picks, or downloads it where the browser cannot write
+   * files.
+   */
+  async saveAs() {
+    const doc = this._activeDocument();
+    if (!doc) return false;
+    let filename;
+    if (this._canUseFileHandles()) {
+      let handle;
+      try {
+        handle = await window.showSaveFilePicker({ suggestedName: this._currentFilename, types: this._layoutFileTypes() });
+        await this._writeFile(handle);
+      } catch (error) {
+        if (error.name === "AbortError") return false;
+        console.error("Save failed:", error);
+        Swal.fire("Save Error", error.message, "error");
+        return false;
+      }
+      doc.fileHandle = handle;
+      filename = handle.name;
+    } else {
+      const result = await Swal.fire({
+        title: "Save As",
+        input: "text",
+        inputLabel: "Enter filename",
+        inputValue: this._currentFilename,
+        showCancelButton: true,
+        inputValidator: (value) => {
+          if (!value) {
+            return "Please enter a filename";
+          }
+          if (!/\.(bjl|bal)$/i.test(value)) {
+            return "Filename must end with .bjl or .bal";
+          }
+          const platform = this._engine.platform;
+          if (SithasoLib.PlatformConverter.forFile(value) !== platform) {
+            const { label, extension } = SithasoLib.Platforms[platform];
+            return `This is a ${label} layout; save it as ${extension} or convert it first`;
+          }
+        },
+      });
+      filename = result.value;
+      if (!filename) return false;
+      await this._engine.download(filename);
+    }
+
+    this._currentFilename = filename;
+    this._markClean(doc);
+    this._autoSave();
+    Swal.fire({
+      icon: "success",
+      title: "Saved!",
+      text: `Saved as ${filename}`,
+      toast: true,
+      position: "top-end",
+      showConfirmButton: false,
+      timer: 2000,
+    });
+    this.dispatchEvent(new CustomEvent("save-layout", { detail: { filename } }));
+    return true;
+  }
+
+  async _writeFile(handle) {
+    // Handles restored from the project store need the user's permission again.
+    if (typeof handle.queryPermission === "function" && (await handle.queryPermission({ mode: "readwrite" })) !== "granted") {
+      if ((await handle.requestPermission({ mode: "readwrite" })) !== "granted") {
+        throw new Error(`Permission to write ${handle.name} was denied`);
+      }
+    }
+    const bytes = await this._engine.toBytes(SithasoLib.PlatformConverter.forFile(handle.name));
+    const writable = await handle.createWritable();
+    await writable.write(bytes);
+    await writable.close();
+  }
+
+  /* ---------- Project folder ---------- */
+
+  async _openFolderSafely() {
+    try {
+      await this.openFolder();
+    } catch (error) {
+      console.error("Open folder failed:", error);
+      Swal.fire("Open Error", error.message, "error");
+    }
+  }
+
+  /**
+   * Lets the user pick a B4X project folder and lists its layouts in the Files pane. Without
+   * directory handles the folder is read through a directory file input.
+   */
+  async openFolder() {
+    if (typeof window.showDirectoryPicker !== "function") {
+      this.querySelector("#fileOpenFolder").click();
+      return false;
+    }
+    let directory;
+    try {
+      directory = await window.showDirectoryPicker({ id: "b4x-project" });
+    } catch (error) {
+      if (error.name === "AbortError") return false;
+      throw error;
+    }
+    const entries = [];
+    await this._collectLayoutHandles(directory, "", entries);
+    return this._loadFolder(directory.name, entries);
+  }
+
+  /**
+   * Walks a directory for .bjl and .bal files. Objects/ only holds build output and is skipped.
+   */
+  async _collectLayoutHandles(directory, prefix, entries, depth = 0) {
+    for await (const handle of directory.values()) {
+      const path = prefix ? `${prefix}/${handle.name}` : handle.name;
+      if (handle.kind === "directory") {
+        if (depth < 4 && !/^objects$/i.test(handle.name) && !handle.name.startsWith(".")) {
+          await this._collectLayoutHandles(handle, path, entries, depth + 1);
+        }
+      } else if (/\.(bjl|bal)$/i.test(handle.name)) {
+        entries.push({ path, name: handle.name, handle });
+      }
+    }
+  }
+
+  /**
+   * Entries for the files picked through the directory input, whose paths start with the
+   * folder name.
+   */
+  _folderEntriesFromFiles(files) {
+    const entries = [];
+    let folder = "";
+    Array.from(files).forEach((file) => {
+      const parts = (file.webkitRelativePath || file.name).split("/");
+      if (parts.length > 1) {
+        const root = parts.shift();
+        folder = folder || root;
+      }
+      if (!/\.(bjl|bal)$/i.test(file.name) || parts.some((part) => /^objects$/i.test(part))) return;
+      entries.push({ path: parts.join("/"), name: file.name, file });
+    });
+    return { folder, entries };
+  }
+
+  _folderFile(entry) {
+    return entry.handle ? entry.handle.getFile() : entry.file;
+  }
+
+  /**
+   * Reads every layout of a folder with its own engine for the Files pane. The list shows up
+   * straight away and each card fills in once its file has been read.
+   */
+  async _loadFolder(name, entries) {
+    // A B4X project keeps its layouts in Files/; other folders only count when it has none.
+    const inFiles = entries.filter((entry) => /(^|\/)files\//i.test(entry.path));
+    const files = (inFiles.length ? inFiles : entries)
+      .sort((a, b) => a.path.localeCompare(b.path))
+      .map((entry) => ({ ...entry, views: 0, types: [], thumbnail: "", error: "", loading: true }));
+    this._folder = { name, files };
+    this._showSidebarPane("files");
+    const browser = this.querySelector("#fileBrowser");
+    const render = () => {
+      if (browser) browser.setFiles(name, files.map(({ handle, file, ...card }) => card));
+    };
+    render();
+
+    for (const entry of files) {
+      if (!this._folder || this._folder.files !== files) return false; // Another folder was opened
+      try {
+        const engine = this._createEngine();
+        await engine.loadFile(await this._folderFile(entry));
+        entry.views = engine._collectViews(engine.getLayout().Data).length;
+        entry.types = this._layoutTypes(engine);
+        entry.thumbnail = this._layoutThumbnail(engine);
+      } catch (error) {
+        entry.error = error.message;
+      }
+      entry.loading = false;
+      render();
+    }
+    this.dispatchEvent(new CustomEvent("folder-open", { detail: { name, files: files.length } }));
+    return true;
+  }
+
+  /**
+   * Component type names used in a layout: the schema's short type for custom views, the
+   * native name otherwise.
+   */
+  _layoutTypes(engine) {
+    const types = new Set();
+    engine._collectViews(engine.getLayout().Data).forEach((view) => {
+      const props = view.customProperties || {};
+      const customType = view.customType || props.customType;
+      const type =
+        view.shortType ||
+        props.shortType ||
+        (customType ? String(customType).split(".").pop() : "") ||
+        engine.getNativeTypeName(view) ||
+        String(view.type || "").replace(/^\./, "").replace(/Wrapper$/, "");
+      if (type) types.add(type);
+    });
+    return Array.from(types).sort();
+  }
+
+  /**
+   * SVG outline of the views in a layout's first variant.
+   */
+  _layoutThumbnail(engine) {
+    const variant = (engine.getLayout().Variants || [])[0] || {};
+    const width = Number(variant.Width) || 600;
+    const height = Number(variant.Height) || 600;
+    const rects = [];
+    engine._resolveAll(0).forEach((rect) => {
+      rects.push(`<rect x="${Number(rect.left) || 0}" y="${Number(rect.top) || 0}" width="${Math.max(1, Number(rect.width) || 0)}" height="${Math.max(1, Number(rect.height) || 0)}"/>`);
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">` +
+      `<rect width="${width}" height="${height}" fill="none" stroke="currentColor" stroke-opacity="0.3" vector-effect="non-scaling-stroke"/>` +
+      `<g fill="currentColor" fill-opacity="0.12" stroke="currentColor" vector-effect="non-scaling-stroke">${rects.join("")}</g></svg>`;
+  }
+
+  /**
+   * Opens a layout from the Files pane. With a file handle Save writes back into the project.
+   */
+  async openFolderFile(path) {
+    const entry = this._folder && this._folder.files.find((f) => f.path === path);
+    if (!entry || !this._engine) return false;
+    if (entry.handle) {
+      const open = await this._documentForHandle(entry.handle);
+      if (open) {
+        this.switchDocument(open.id);
+        return true;
+      }
+    }
+    return this._openLayoutFile(await this._folderFile(entry), entry.handle || null);
+  }
+
+  cut() {
+    if (this._selectedIds.size === 0) return;
+    this.copy();
+    this.deleteSelected();
+    this._updateClipboardControls();
+  }
+
+  copy() {
+    if (this._selectedIds.size === 0 || !this._engine) return;
+    
+    // Copy all selected elements
+    const views = Array.from(this._selectedIds)
+      .map(id => this._engine._findView(this._engine.getLayout().Data, id))
+      .filter(view => view);
+    
+    if (views.length > 0) {
+      // Store as array for multi-select support. Paste places views under Main, so nested
+      // views are stored with Main-relative rects and without their own children.
+      this._clipboard = views.map((view) => {
+        const clone = JSON.parse(JSON.stringify(view));
+        delete clone[":kids"];
+        if (view.parent && view.parent !== this._engine.rootName) {
+          (this._engine.getLayout().Variants || []).forEach((_, i) => {
+            const variant = clone[`variant${i}`];
+            const rect = this._engine.getAbsoluteRect(view.name, i);
+            if (variant && rect) this._engine._placeRect(variant, this._engine._variantRect(i), rect);
+          });
+          clone.parent = this._engine.rootName;
+        }
+        return clone;
+      });
+      this._updateClipboardControls();
+    }
+  }
+
+  paste() {
+    if (!this._clipboard || this._clipboard.length === 0 || !this._engine) return;
+    this.saveState("Pasted");
+
+    // Ensure _clipboard is an array (backward compatibility)
+    const clipboardArray = Array.isArray(this._clipboard) ? this._clipboard : [this._clipboard];
+    const layout = this._engine.getLayout();
+    if (!layout || !layout.Data) return;
+    if (!layout.Data[":kids"]) layout.Data[":kids"] = {};
+
+    const margin = Math.max(1, Number(this._engine.innerMargin) || this._snapGrid);
+    const sourceItemsById = new Map(
+      clipboardArray
+        .filter((item) => item && item.name && this._getViewVariant(item))
+        .map((item, orderIndex) => [
+          item.name,
+          {
+            item,
+            orderIndex,
+            left: Number(this._getViewVariant(item).left) || 0,
+            top: Number(this._getViewVariant(item).top) || 0,
+            width: Math.max(this._snapGrid, Number(this._getViewVariant(item).width) || this._snapGrid),
+            height: Math.max(this._snapGrid, Number(this._getViewVariant(item).height) || this._snapGrid),
+          },
+        ]),
+    );
+
+    const sourceRecords = Array.from(sourceItemsById.entries()).map(([id, rec]) => ({
+      id,
+      orderIndex: rec.orderIndex,
+      left: rec.left,
+      top: rec.top,
+      width: rec.width,
+      height: rec.height,
+      right: rec.left + rec.width,
+      bottom: rec.top + rec.height,
+      area: rec.width * rec.height,
+      internalParentId: "",
+    }));
+
+    const strictlyContains = (outer, inner) =>
+      inner.left > outer.left &&
+      inner.top > outer.top &&
+      inner.right < outer.right &&
+      inner.bottom < outer.bottom;
+
+    // Build internal hierarchy within the clipboard set itself.
+    sourceRecords.forEach((child) => {
+      const candidates = sourceRecords.filter(
+        (candidate) =>
+          candidate.id !== child.id && strictlyContains(candidate, child),
+      );
+      if (candidates.length === 0) return;
+      const parent = candidates.sort((a, b) => {
+        if (a.area !== b.area) return a.area - b.area;
+        return a.orderIndex - b.orderIndex;
+      })[0];
+      child.internalParentId = parent.id;
+    });
+
+    const bySourceId = new Map(sourceRecords.map((r) => [r.id, r]));
     const depthMemo = new Map();
     const getDepth = (id) => {
       if (depthMemo.has(id)) return depthMemo.get(id);
@@ -1065,8 +2483,8 @@ class SithasoBJLDesigner extends HTMLElement {
         if (newParentRect && sourceParentRect) {
           const dx = source.left - sourceParentRect.left;
           const dy = source.top - sourceParentRect.top;
-          newItem.variant0.left = newParentRect.left + dx;
-          newItem.variant0.top = newParentRect.top + dy;
+          this._getViewVariant(newItem).left = newParentRect.left + dx;
+          this._getViewVariant(newItem).top = newParentRect.top + dy;
           expandContainerId = newParentId;
         }
       } else {
@@ -1088,29 +2506,29 @@ class SithasoBJLDesigner extends HTMLElement {
 
           if (children.length === 0) {
             const parent = recordById.get(parentId);
-            newItem.variant0.left = parent.left + margin;
-            newItem.variant0.top = parent.top + margin;
+            this._getViewVariant(newItem).left = parent.left + margin;
+            this._getViewVariant(newItem).top = parent.top + margin;
           } else {
             const lastChild = children[children.length - 1];
-            newItem.variant0.left = lastChild.left;
-            newItem.variant0.top = lastChild.bottom + margin;
+            this._getViewVariant(newItem).left = lastChild.left;
+            this._getViewVariant(newItem).top = lastChild.bottom + margin;
           }
           expandContainerId = parentId;
         } else {
           // Root-level fallback: stagger only root items.
-          newItem.variant0.left = source.left + 20 + (rootIndex * 10);
-          newItem.variant0.top = source.top + 20 + (rootIndex * 10);
+          this._getViewVariant(newItem).left = source.left + 20 + (rootIndex * 10);
+          this._getViewVariant(newItem).top = source.top + 20 + (rootIndex * 10);
         }
         rootIndex++;
       }
 
       if (newItem.customProperties) {
-        newItem.customProperties.Left = newItem.variant0.left;
-        newItem.customProperties.Top = newItem.variant0.top;
+        newItem.customProperties.Left = this._getViewVariant(newItem).left;
+        newItem.customProperties.Top = this._getViewVariant(newItem).top;
         newItem.customProperties.Width =
-          Number(newItem.variant0.width) || this._snapGrid;
+          Number(this._getViewVariant(newItem).width) || this._snapGrid;
         newItem.customProperties.Height =
-          Number(newItem.variant0.height) || this._snapGrid;
+          Number(this._getViewVariant(newItem).height) || this._snapGrid;
       }
 
       // Add to root kids (insertion/z-order preserved by append order).
@@ -1118,50 +2536,22 @@ class SithasoBJLDesigner extends HTMLElement {
 
       // Expand the duplicated/target parent if needed.
       if (expandContainerId) {
-        const parentView = this._engine._findView(layout.Data, expandContainerId);
-        if (parentView && parentView.variant0) {
-          const childRight =
-            newItem.variant0.left +
-            (Number(newItem.variant0.width) || this._snapGrid) +
-            margin;
-          const childBottom =
-            newItem.variant0.top +
-            (Number(newItem.variant0.height) || this._snapGrid) +
-            margin;
-          const parentRight = parentView.variant0.left + parentView.variant0.width;
-          const parentBottom = parentView.variant0.top + parentView.variant0.height;
-
-          if (childRight > parentRight) {
-            parentView.variant0.width = Math.max(
-              this._snapGrid,
-              childRight - parentView.variant0.left,
-            );
-            if (parentView.customProperties) {
-              parentView.customProperties.Width = parentView.variant0.width;
-            }
-          }
-          if (childBottom > parentBottom) {
-            parentView.variant0.height = Math.max(
-              this._snapGrid,
-              childBottom - parentView.variant0.top,
-            );
-            if (parentView.customProperties) {
-              parentView.customProperties.Height = parentView.variant0.height;
-            }
-          }
-        }
+        this._expandContainerToFit(expandContainerId, this._getViewVariant(newItem));
       }
 
       sourceToNewId.set(source.id, newId);
       sourceToPlacedRect.set(source.id, {
-        left: Number(newItem.variant0.left) || 0,
-        top: Number(newItem.variant0.top) || 0,
-        width: Math.max(this._snapGrid, Number(newItem.variant0.width) || this._snapGrid),
-        height: Math.max(this._snapGrid, Number(newItem.variant0.height) || this._snapGrid),
+        left: Number(this._getViewVariant(newItem).left) || 0,
+        top: Number(this._getViewVariant(newItem).top) || 0,
+        width: Math.max(this._snapGrid, Number(this._getViewVariant(newItem).width) || this._snapGrid),
+        height: Math.max(this._snapGrid, Number(this._getViewVariant(newItem).height) || this._snapGrid),
       });
       newIds.push(newId);
     });
 
+    if (this._engine.nested) this._engine.nest(newIds);
+
+    this._relabelLastStep(this._historyLabel("Pasted", newIds));
     // Select all pasted elements
     this.selectElement(newIds, { clearExisting: true });
     this.updateWorkspace();
@@ -1173,11 +2563,357 @@ class SithasoBJLDesigner extends HTMLElement {
     if (this._selectedIds.size === 0) return;
     this.copy();
     this.paste();
+    this._relabelLastStep(this._historyLabel("Duplicated"));
+  }
+
+  /**
+   * Flips one edge pin of a view and applies the resulting anchor to every selected view.
+   * One edge per axis stays pinned: unpinning the only pinned edge pins the opposite one.
+   * @param {string} id - View whose pin was clicked
+   * @param {"left"|"right"|"top"|"bottom"} edge
+   */
+  toggleAnchor(id, edge) {
+    const record = this._getResolvedLayoutState().map.get(id);
+    if (!record) return;
+    const horizontal = edge === "left" || edge === "right";
+    const current = horizontal ? record.hanchor : record.vanchor;
+    let start = current !== 1; // left / top pinned
+    let end = current === 1 || current === 2; // right / bottom pinned
+    if (edge === "left" || edge === "top") {
+      start = !start;
+      if (!start) end = true;
+    } else {
+      end = !end;
+      if (!end) start = true;
+    }
+    const value = start && end ? 2 : end ? 1 : 0;
+
+    const ids = this._selectedIds.has(id) ? Array.from(this._selectedIds) : [id];
+    this.setAnchors(ids, horizontal ? { hanchor: value } : { vanchor: value });
+  }
+
+  /**
+   * Sets hanchor and/or vanchor (0 left/top, 1 right/bottom, 2 both) in the active variant.
+   * Views keep their current position and size; one undo step covers all of them.
+   */
+  setAnchors(ids, anchors = {}) {
+    if (!this._engine) return;
+    const resolved = this._getResolvedLayoutState();
+    const records = ids.map((id) => resolved.map.get(id)).filter((r) => r);
+    if (records.length === 0) return;
+
+    this.saveState(this._historyLabel("Changed anchors of", ids));
+    records.forEach((record) => {
+      const variant = this._getViewVariant(record.view);
+      if (anchors.hanchor !== undefined) variant.hanchor = this._getAnchorValue(anchors.hanchor);
+      if (anchors.vanchor !== undefined) variant.vanchor = this._getAnchorValue(anchors.vanchor);
+      // Re-express the same on-screen rect in terms of the new anchors.
+      this._applyResolvedRectToVariant(variant, record.parentRect, record, { snap: false });
+    });
+    this.updateWorkspace();
+    this._autoSave();
+    this.dispatchEvent(
+      new CustomEvent("anchor-change", { detail: { ids: records.map((r) => r.id), ...anchors } }),
+    );
+  }
+
+  /**
+   * Moves every top-level view into the innermost Panel that encloses it (engine.nest).
+   */
+  nestLayout() {
+    if (!this._engine) return;
+    this.saveState("Nested into panels");
+    const moved = this._engine.nest();
+    this._afterHierarchyChange();
+    return moved;
+  }
+
+  /**
+   * Moves every nested view to Main, keeping its position (engine.flatten).
+   */
+  flattenLayout() {
+    if (!this._engine) return;
+    this.saveState("Flattened hierarchy");
+    const count = this._engine.flatten();
+    this._afterHierarchyChange();
+    return count;
+  }
+
+  /**
+   * Shows what planMigration() would change in each view's customProperties and applies
+   * it as one undo step once confirmed. Stale keys are kept unless the user opts to remove them.
+   */
+  async migrateSchemas(renames = {}) {
+    if (!this._engine) return 0;
+    const plan = this._engine.planMigration(renames);
+    if (plan.length === 0) {
+      Swal.fire({
+        icon: "success",
+        title: "Layout matches the current schemas",
+        toast: true,
+        position: "top-end",
+        showConfirmButton: false,
+        timer: 2000,
+      });
+      return 0;
+    }
+
+    const esc = (value) => this._escapeHtml(value);
+    const hasStale = plan.some((entry) => entry.stale.length > 0);
+    const diff = plan
+      .map((entry) => `
+        <div class="mb-2">
+          <div class="font-bold font-mono">${esc(entry.viewId)} <span class="opacity-50 font-normal">${esc(entry.shortType)}</span></div>
+          ${entry.renamed.map((r) => `<div class="text-info">~ ${esc(r.from)} → ${esc(r.to)}</div>`).join("")}
+          ${entry.added.map((a) => `<div class="text-success">+ ${esc(a.key)} = ${esc(JSON.stringify(a.value))}</div>`).join("")}
+          ${entry.stale.map((key) => `<div class="text-warning">! ${esc(key)} is not in the schema</div>`).join("")}
+        </div>`)
+      .join("");
+
+    const result = await Swal.fire({
+      title: "Update to Current Schemas",
+      html: `
+        <div class="text-left text-xs font-mono max-h-80 overflow-y-auto">${diff}</div>
+        ${hasStale ? `<label class="flex items-center gap-2 text-sm mt-3"><input type="checkbox" id="migrateDropStale" class="checkbox checkbox-sm"> Remove keys that are not in the schema</label>` : ""}`,
+      showCancelButton: true,
+      confirmButtonColor: "#3b82f6",
+      cancelButtonColor: "#6b7280",
+      confirmButtonText: `Update ${plan.length} view${plan.length === 1 ? "" : "s"}`,
+      background: this._theme === "dark" ? "#1e1e1e" : "#ffffff",
+      color: this._theme === "dark" ? "#ffffff" : "#1a1a1a",
+      preConfirm: () => {
+        const dropStale = document.getElementById("migrateDropStale");
+        return { dropStale: !!(dropStale && dropStale.checked) };
+      },
+    });
+    if (!result.isConfirmed) return 0;
+
+    this.saveState("Updated to current schemas");
+    const changed = this._engine.applyMigration(plan, { dropStale: !!(result.value && result.value.dropStale) });
+    this.updateWorkspace();
+    this._updatePropertyGrid();
+    this._autoSave();
+    this.dispatchEvent(new CustomEvent("schemas-migrated", { detail: { plan, changed } }));
+    return changed;
+  }
+
+  /**
+   * Converts the layout between B4J and B4A as one undo step. The file name gets the other
+   * extension and the tab forgets its file handle, so the next Save asks where to write.
+   */
+  convertPlatform(target = null) {
+    if (!this._engine) return null;
+    const from = this._engine.platform;
+    const to = target || (from === "b4a" ? "b4j" : "b4a");
+    if (to === from) return { layout: this._engine.getLayout(), warnings: [] };
+    const { label, extension } = SithasoLib.Platforms[to];
+
+    this.saveState(`Converted to ${label}`);
+    const result = this._engine.convertTo(to);
+    this._currentFilename = this._currentFilename.replace(/\.(bjl|bal)$/i, "") + extension;
+    const doc = this._activeDocument();
+    if (doc) {
+      doc.fileHandle = null;
+      doc.diskState = null;
+    }
+    this._selectedIds.clear();
+    this.refresh();
+    this._updatePropertyGrid();
+    this._updateTitle();
+    this._autoSave();
+    this.dispatchEvent(new CustomEvent("platform-converted", { detail: { from, to, warnings: result.warnings } }));
+
+    if (result.warnings.length === 0) {
+      Swal.fire({
+        icon: "success",
+        title: `Converted to ${label}`,
+        toast: true,
+        position: "top-end",
+        showConfirmButton: false,
+        timer: 2000,
+      });
+    } else {
+      this._showConversionWarnings(label, result.warnings);
+    }
+    return result;
+  }
+
+  _showConversionWarnings(label, warnings) {
+    Swal.fire({
+      title: `Converted to ${label} with ${warnings.length} warning${warnings.length === 1 ? "" : "s"}`,
+      html: `
+        <div class="text-left text-sm flex flex-col gap-1 max-h-80 overflow-y-auto">
+          ${warnings
+            .map(
+              (w) => `
+            <div><span class="font-mono font-bold">${this._escapeHtml(w.viewId)}</span> ${this._escapeHtml(w.message)}</div>`,
+            )
+            .join("")}
+        </div>
+        <div class="text-left text-xs opacity-50 mt-2">Undo restores the ${label === "B4A" ? "B4J" : "B4A"} layout.</div>`,
+      icon: "warning",
+      background: this._theme === "dark" ? "#1e1e1e" : "#ffffff",
+      color: this._theme === "dark" ? "#ffffff" : "#1a1a1a",
+    });
+  }
+
+  async _readLayoutFile(file) {
+    if (/\.json$/i.test(file.name)) {
+      const json = JSON.parse(await file.text());
+      if (!json || !json.Data) throw new Error("Not a layout JSON file");
+      return json;
+    }
+    const engine = new SithasoLib.Engine();
+    await engine.loadFile(file);
+    return engine.getLayout();
+  }
+
+  /**
+   * Compares the current layout with another one. With a base (their common ancestor) the
+   * dialog also offers a three-way merge, where the current layout is "ours".
+   */
+  compareWith(other, base = null, names = {}) {
+    if (!this._engine || !other) return null;
+    const ours = this._engine.getLayout();
+    this._compare = {
+      other,
+      otherName: names.other || "Other",
+      base,
+      baseName: names.base || "",
+      diff: diffLayouts(ours, other),
+      merge: base ? mergeLayouts(base, ours, other) : null,
+    };
+    this._renderCompare();
+    return this._compare;
+  }
+
+  _showCompare() {
+    const modal = this.querySelector("#modalCompare");
+    if (!modal) return;
+    this._renderCompare();
+    modal.showModal();
+  }
+
+  _renderCompare() {
+    const body = this.querySelector("#compareBody");
+    if (!body) return;
+    const compare = this._compare;
+    const applyBtn = this.querySelector("#btnApplyMerge");
+    if (applyBtn) applyBtn.disabled = !(compare && compare.merge);
+    const baseBtn = this.querySelector("#btnCompareBase");
+    if (baseBtn) baseBtn.disabled = !compare;
+    const otherLabel = this.querySelector("#compareOtherName");
+    if (otherLabel) otherLabel.innerText = compare ? compare.otherName : "No file";
+    const baseLabel = this.querySelector("#compareBaseName");
+    if (baseLabel) baseLabel.innerText = compare && compare.base ? compare.baseName : "None";
+    if (!compare) {
+      body.innerHTML = `<div class="opacity-50 text-sm p-4">Choose a layout to compare with the one being edited.</div>`;
+      return;
+    }
+
+    const esc = (value) => this._escapeHtml(value);
+    const value = (v) => esc(v === undefined ? "(none)" : JSON.stringify(v));
+    const { diff, merge } = compare;
+    const rows = [
+      ...diff.layout.map((c) => `<div class="text-info">~ ${esc(c.path)}: ${value(c.from)} → ${value(c.to)}</div>`),
+      ...diff.removed.map((name) => `<div class="compare-row text-error" data-view="${esc(name)}">- ${esc(name)}</div>`),
+      ...diff.added.map((name) => `<div class="text-success">+ ${esc(name)}</div>`),
+      ...diff.changed.map((change) => `
+        <div class="compare-row" data-view="${esc(change.viewId)}">
+          <div class="text-warning font-bold">~ ${esc(change.viewId)}${change.moved ? ` <span class="opacity-60 font-normal">z-order moved</span>` : ""}</div>
+          ${change.parent ? `<div class="pl-4">parent: ${esc(change.parent.from)} → ${esc(change.parent.to)}</div>` : ""}
+          ${change.geometry.map((g) => `<div class="pl-4">variant${g.variant}.${esc(g.key)}: ${value(g.from)} → ${value(g.to)}</div>`).join("")}
+          ${change.properties.map((c) => `<div class="pl-4">${esc(c.path)}: ${value(c.from)} → ${value(c.to)}</div>`).join("")}
+        </div>`),
+    ];
+    const conflicts = merge
+      ? merge.conflicts.map((c, i) => `
+        <div class="compare-conflict">
+          <div class="font-bold">${esc([c.viewId, c.path].filter(Boolean).join(".") || c.kind)} <span class="opacity-50 font-normal">${esc(c.kind)}</span></div>
+          <label class="flex items-center gap-2"><input type="radio" class="radio radio-xs" name="conflict${i}" value="ours" checked> Ours: ${c.kind === "view" ? (c.ours ? "keep view" : "deleted") : value(c.ours)}</label>
+          <label class="flex items-center gap-2"><input type="radio" class="radio radio-xs" name="conflict${i}" value="theirs"> Theirs: ${c.kind === "view" ? (c.theirs ? "keep view" : "deleted") : value(c.theirs)}</label>
+        </div>`).join("")
+      : "";
+
+    body.innerHTML = `
+      <div class="grid grid-cols-2 gap-3">
+        <div>
+          <div class="text-[10px] uppercase font-bold opacity-50 mb-1">Current — ${esc(this._currentFilename)}</div>
+          ${this._renderCompareCanvas(this._engine.getLayout(), "ours")}
+        </div>
+        <div>
+          <div class="text-[10px] uppercase font-bold opacity-50 mb-1">${esc(compare.otherName)}</div>
+          ${this._renderCompareCanvas(compare.other, "other")}
+        </div>
+      </div>
+      <div class="text-xs font-mono max-h-48 overflow-y-auto mt-3">
+        ${rows.length ? rows.join("") : `<div class="opacity-50">The layouts are the same</div>`}
+      </div>
+      ${merge ? `
+        <div class="text-[10px] uppercase font-bold opacity-50 mt-4 mb-1">
+          Merge against ${esc(compare.baseName)} — ${merge.conflicts.length} conflict${merge.conflicts.length === 1 ? "" : "s"}
+        </div>
+        <div class="text-xs font-mono max-h-48 overflow-y-auto">${conflicts || `<div class="opacity-50">No conflicts, every change merges cleanly</div>`}</div>` : ""}
+    `;
+  }
+
+  /**
+   * Draws a layout's views as outlines for the active variant. Views that differ from the other
+   * side are tinted: removed views on the current side, added views on the other side.
+   */
+  _renderCompareCanvas(layout, side) {
+    const diff = this._compare.diff;
+    const variants = Array.isArray(layout.Variants) && layout.Variants.length ? layout.Variants : [{ Width: 600, Height: 600 }];
+    const variantIndex = Math.min(this._activeVariant, variants.length - 1);
+    const variant = variants[variantIndex];
+    const width = Number(variant.Width) || 600;
+    const height = Number(variant.Height) || 600;
+    const scale = 300 / Math.max(width, height);
+    const rects = new SithasoLib.Engine(JSON.parse(JSON.stringify(layout)))._resolveAll(variantIndex);
+    const changed = new Set(diff.changed.map((c) => c.viewId));
+    const only = new Set(side === "ours" ? diff.removed : diff.added);
+
+    const items = [];
+    rects.forEach((rect, name) => {
+      const state = only.has(name) ? (side === "ours" ? "removed" : "added") : changed.has(name) ? "changed" : "same";
+      items.push(`<div class="compare-item compare-${state}" data-view="${this._escapeHtml(name)}" title="${this._escapeHtml(name)}" style="left:${rect.left * scale}px;top:${rect.top * scale}px;width:${Math.max(1, rect.width * scale)}px;height:${Math.max(1, rect.height * scale)}px;"></div>`);
+    });
+    return `<div class="compare-canvas" style="width:${width * scale}px;height:${height * scale}px;">${items.join("")}</div>`;
+  }
+
+  /**
+   * Replaces the layout with the merge result, taking "theirs" for the conflicts picked in the dialog.
+   */
+  applyMerge(choices = null) {
+    const compare = this._compare;
+    if (!this._engine || !compare || !compare.merge) return false;
+    const picked = choices || compare.merge.conflicts.map((c, i) => {
+      const radio = this.querySelector(`#compareBody input[name="conflict${i}"]:checked`);
+      return radio ? radio.value : "ours";
+    });
+    const layout = resolveConflicts(compare.merge, picked);
+
+    this.saveState(`Merged ${compare.otherName}`);
+    this._engine.layout = layout;
+    this._syncEngineVariantBoundsFromLayout();
+    this.clearSelection();
+    this.refresh();
+    this._autoSave();
+    this._compare = null;
+    this.dispatchEvent(new CustomEvent("layout-merged", { detail: { conflicts: compare.merge.conflicts.length, choices: picked } }));
+    return true;
+  }
+
+  _afterHierarchyChange() {
+    this.updateWorkspace();
+    this._updateOutline();
+    this._autoSave();
+    this.dispatchEvent(new CustomEvent("hierarchy-change", { detail: { nested: !!this._engine.nested } }));
   }
 
   bringToFront() {
     if (this._selectedIds.size === 0 || !this._engine) return;
-    this.saveState();
+    this.saveState(this._historyLabel("Brought to front"));
 
     try {
       // Apply z-order actions in geometry hierarchy order (parent -> child).
@@ -1194,7 +2930,7 @@ class SithasoBJLDesigner extends HTMLElement {
 
   sendToBack() {
     if (this._selectedIds.size === 0 || !this._engine) return;
-    this.saveState();
+    this.saveState(this._historyLabel("Sent to back"));
 
     try {
       // Apply z-order actions in geometry hierarchy order (parent -> child).
@@ -1214,7 +2950,7 @@ class SithasoBJLDesigner extends HTMLElement {
     
     // Delete all selected elements
     const idsToDelete = Array.from(this._selectedIds);
-    this.saveState();
+    this.saveState(this._historyLabel("Deleted", idsToDelete));
     
     idsToDelete.forEach(id => {
       this._recursiveDelete(this._engine.getLayout().Data[":kids"], id);
@@ -1229,7 +2965,7 @@ class SithasoBJLDesigner extends HTMLElement {
   _deleteElementInternal(id) {
     if (!this._engine || !id) return;
 
-    this.saveState();
+    this.saveState(`Deleted ${id}`);
     this._recursiveDelete(this._engine.getLayout().Data[":kids"], id);
     this._selectedIds.delete(id);
     this.updateWorkspace();
@@ -1237,11 +2973,21 @@ class SithasoBJLDesigner extends HTMLElement {
     this.dispatchEvent(new CustomEvent("delete-element"));
   }
 
+  /**
+   * Removes a view and its kids, together with their ControlsHeaders entries.
+   */
   _recursiveDelete(kids, id) {
     if (!kids) return false;
     const key = Object.keys(kids).find((k) => kids[k].name === id);
     if (key) {
+      const names = new Set();
+      this._engine._forEachView(kids[key], (view) => names.add(view.name));
       delete kids[key];
+      this._engine._forEachView(this._engine.getLayout().Data, (view) => names.delete(view.name));
+      const header = this._engine.getLayout().LayoutHeader;
+      if (header && Array.isArray(header.ControlsHeaders)) {
+        header.ControlsHeaders = header.ControlsHeaders.filter((h) => !h || !names.has(h.Name));
+      }
       return true;
     }
     for (const k in kids) {
@@ -1254,22 +3000,23 @@ class SithasoBJLDesigner extends HTMLElement {
 
   _updateTooltip(el, view, resolvedRect = null) {
     if (!el || !view) return;
+    const variant = this._getViewVariant(view) || {};
     const top =
       resolvedRect && Number.isFinite(resolvedRect.top)
         ? resolvedRect.top
-        : Number(view.variant0.top) || 0;
+        : Number(variant.top) || 0;
     const left =
       resolvedRect && Number.isFinite(resolvedRect.left)
         ? resolvedRect.left
-        : Number(view.variant0.left) || 0;
+        : Number(variant.left) || 0;
     const width =
       resolvedRect && Number.isFinite(resolvedRect.width)
         ? resolvedRect.width
-        : Number(view.variant0.width) || 0;
+        : Number(variant.width) || 0;
     const height =
       resolvedRect && Number.isFinite(resolvedRect.height)
         ? resolvedRect.height
-        : Number(view.variant0.height) || 0;
+        : Number(variant.height) || 0;
     const tip = `Name: ${view.name}\nTop: ${top}\nLeft: ${left}\nWidth: ${width}\nHeight: ${height}`;
     el.setAttribute("data-tip", tip);
   }
@@ -1292,13 +3039,12 @@ class SithasoBJLDesigner extends HTMLElement {
 
   _autoSave() {
     if (!this._engine) return;
-    const layout = this._engine.getLayout();
-    const state = {
-      filename: this._currentFilename,
-      data: layout.Data,
-      variants: Array.isArray(layout.Variants) ? layout.Variants : [],
-    };
-    localStorage.setItem("bjl_draft", JSON.stringify(state));
+    this._stashDocument();
+    const doc = this._activeDocument();
+    if (doc) doc.dirty = this._isDirty(doc);
+    this._saveDocuments();
+    this._saveHistory();
+    this._updateTitle();
 
     const status = this.querySelector("#saveStatus");
     if (status) {
@@ -1309,43 +3055,225 @@ class SithasoBJLDesigner extends HTMLElement {
     }
   }
 
-  _restoreDraft() {
+  /**
+   * Writes the tabs that changed since they were last stored to the project store and
+   * remembers which tabs are open. Empty layouts are only stored once they have content.
+   * Without IndexedDB the drafts go to localStorage as before.
+   */
+  async _saveDocuments() {
+    // Copy the layouts up front: a tab can be closed or reloaded while earlier writes are pending.
+    const documents = this._documents.map((doc) => ({ doc, json: JSON.stringify(doc.engine.getLayout()) }));
+    try {
+      for (const { doc, json } of documents) {
+        const layout = JSON.parse(json);
+        const key = JSON.stringify([doc.filename, doc.activeVariant, doc.guides, doc.dirty, !!doc.fileHandle, layout]);
+        if (key === doc.savedKey) continue;
+        const kids = layout.Data && layout.Data[":kids"];
+        if (!doc.created && (!kids || Object.keys(kids).length === 0)) continue;
+        const record = {
+          id: doc.id,
+          name: doc.filename,
+          layout,
+          activeVariant: doc.activeVariant,
+          guides: doc.guides,
+          created: doc.created,
+          fileHandle: doc.fileHandle,
+          dirty: doc.dirty,
+        };
+        const stored = await this._projectStore.putLayout(record, doc.engine.schemas).catch((error) => {
+          // Where file handles cannot be stored the layout is kept without one.
+          if (error.name !== "DataCloneError" || !record.fileHandle) throw error;
+          return this._projectStore.putLayout({ ...record, fileHandle: null }, doc.engine.schemas);
+        });
+        doc.created = stored.created;
+        doc.savedKey = key;
+      }
+      localStorage.setItem("bjl_workspace", JSON.stringify({
+        active: this._activeDocumentId,
+        documents: documents.filter(({ doc }) => doc.created).map(({ doc }) => doc.id),
+      }));
+      localStorage.removeItem("bjl_drafts");
+    } catch (error) {
+      console.warn("Project store unavailable, keeping drafts in localStorage:", error);
+      const drafts = {
+        active: this._activeDocumentId,
+        documents: documents.map(({ doc, json }) => this._draftOf(doc, JSON.parse(json))),
+      };
+      localStorage.setItem("bjl_drafts", JSON.stringify(drafts));
+    }
+  }
+
+  _draftOf(doc, layout = doc.engine.getLayout()) {
+    return {
+      id: doc.id,
+      filename: doc.filename,
+      layout,
+      activeVariant: doc.activeVariant,
+      guides: doc.guides,
+    };
+  }
+
+  _draftFromRecord(record) {
+    return {
+      id: record.id,
+      filename: record.name,
+      layout: record.layout,
+      activeVariant: record.activeVariant,
+      guides: record.guides,
+      created: record.created,
+      schemas: record.schemas,
+      fileHandle: record.fileHandle,
+      dirty: record.dirty,
+    };
+  }
+
+  /**
+   * Builds a tab from a draft, loading its layout into the given engine.
+   */
+  _documentFromDraft(draft, engine) {
+    const doc = this._createDocument(engine, draft.filename || "layout.bjl", draft.id);
+    // The whole layout is kept: FontAwesome, MaterialIcons and any other top-level key are
+    // written back to the file on save.
+    let layout = draft.layout && typeof draft.layout === "object" && draft.layout.Data ? draft.layout : null;
+    if (!layout) {
+      // Older drafts kept only Data, Variants and LayoutHeader.
+      layout = engine.newLayout ? engine.newLayout() : engine.getLayout();
+      if (draft.data && typeof draft.data === "object") {
+        layout.Data = draft.data;
+      }
+      if (Array.isArray(draft.variants) && draft.variants.length > 0) {
+        layout.Variants = draft.variants;
+      }
+      // Older drafts have no header; keep the engine's so DesignerScript stays aligned with Variants.
+      if (draft.header && typeof draft.header === "object") {
+        layout.LayoutHeader = draft.header;
+      }
+    }
+    engine.layout = layout;
+    // Schemas stored with the layout fill in component types this designer does not ship.
+    Object.entries(draft.schemas || {}).forEach(([type, schema]) => {
+      if (!engine.schemas[type]) engine.schemas[type] = schema;
+    });
+    doc.activeVariant = Number(draft.activeVariant) || 0;
+    doc.guides = draft.guides;
+    doc.fileHandle = draft.fileHandle || null;
+    // Drafts that do not say whether they were saved count as changed.
+    doc.diskState = draft.dirty === false ? JSON.stringify(layout) : null;
+    doc.dirty = this._isDirty(doc);
+    if (draft.created) {
+      doc.created = draft.created;
+      doc.savedKey = JSON.stringify([doc.filename, doc.activeVariant, doc.guides, doc.dirty, !!doc.fileHandle, layout]);
+    }
+    return doc;
+  }
+
+  async _restoreDraft() {
     try {
       const skipRestoreOnce = sessionStorage.getItem("bjl_skip_restore_once");
       if (skipRestoreOnce === "1") {
         sessionStorage.removeItem("bjl_skip_restore_once");
+        localStorage.removeItem("bjl_workspace");
+        localStorage.removeItem("bjl_drafts");
         localStorage.removeItem("bjl_draft");
         return;
       }
     } catch (e) {
       console.warn("Restore guard unavailable:", e);
     }
+    if (!this._engine) return;
 
-    const draft = localStorage.getItem("bjl_draft");
-    if (!draft || !this._engine) return;
-
+    let drafts = null;
     try {
-      const { filename, data, variants } = JSON.parse(draft);
-      this._currentFilename = filename || "layout.bjl";
-
-      const layout = this._engine.getLayout();
-      if (data && typeof data === "object") {
-        layout.Data = data;
-      }
-      if (Array.isArray(variants) && variants.length > 0) {
-        layout.Variants = variants;
+      const workspace = JSON.parse(localStorage.getItem("bjl_workspace") || "null");
+      if (workspace && Array.isArray(workspace.documents) && workspace.documents.length > 0) {
+        const records = await Promise.all(workspace.documents.map((id) => this._projectStore.getLayout(id)));
+        drafts = {
+          active: workspace.active,
+          documents: records.filter((record) => record && record.layout).map((record) => this._draftFromRecord(record)),
+        };
       }
-      this._syncEngineVariantBoundsFromLayout();
-
-      const titleEl = this.querySelector("#toolbarTitle");
-      if (titleEl) titleEl.innerText = this._currentFilename;
+    } catch (error) {
+      console.warn("Project store unavailable:", error);
+    }
 
-      this.refresh();
+    try {
+      if (!drafts || drafts.documents.length === 0) {
+        const saved = localStorage.getItem("bjl_drafts");
+        // Drafts from before tabs were a single "bjl_draft" entry.
+        const legacy = saved ? null : localStorage.getItem("bjl_draft");
+        drafts = saved
+          ? JSON.parse(saved)
+          : legacy
+            ? { documents: [JSON.parse(legacy)] }
+            : null;
+        if (legacy) localStorage.removeItem("bjl_draft");
+      }
+      if (!drafts || !Array.isArray(drafts.documents) || drafts.documents.length === 0) return;
+
+      this._documents = drafts.documents.map((draft, index) =>
+        this._documentFromDraft(draft, index === 0 ? this._engine : this._createEngine()));
+      const active = this._documents.find((doc) => doc.id === drafts.active) || this._documents[0];
+      this._activeDocumentId = active.id;
+      this._loadDocument(active);
+      await this._restoreHistory();
     } catch (e) {
       console.error("Failed to restore draft:", e);
     }
   }
 
+  _escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/"/g, "&quot;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  _showImportError(fileName, error) {
+    const isParseError =
+      typeof BJLParseError !== "undefined" && error instanceof BJLParseError;
+    const details = isParseError
+      ? `
+        <div class="text-left text-sm flex flex-col gap-1">
+          <div>${this._escapeHtml(error.reason)}</div>
+          <div class="opacity-60">Offset: <code>${error.offset}</code></div>
+          ${error.section ? `<div class="opacity-60">Section: <code>${this._escapeHtml(error.section)}</code></div>` : ""}
+          ${error.path ? `<div class="opacity-60">Key: <code>${this._escapeHtml(error.path)}</code></div>` : ""}
+        </div>`
+      : `<div class="text-sm">${this._escapeHtml(error && error.message ? error.message : error)}</div>`;
+    Swal.fire({
+      title: `Could not import ${this._escapeHtml(fileName)}`,
+      html: `${details}<div class="text-xs opacity-50 mt-3">The file may be truncated, corrupted or not a B4X layout.</div>`,
+      icon: "error",
+      background: this._theme === "dark" ? "#1e1e1e" : "#ffffff",
+      color: this._theme === "dark" ? "#ffffff" : "#1a1a1a",
+    });
+  }
+
+  _showImportWarnings(fileName, warnings) {
+    const shown = warnings.slice(0, 5);
+    Swal.fire({
+      title: `${this._escapeHtml(fileName)} imported with ${warnings.length} warning${warnings.length === 1 ? "" : "s"}`,
+      html: `
+        <div class="text-left text-sm flex flex-col gap-2">
+          ${shown
+            .map(
+              (w) => `
+            <div>
+              <div>${this._escapeHtml(w.message)}</div>
+              <div class="text-xs opacity-60">Offset ${w.offset}${w.section ? ` in ${this._escapeHtml(w.section)}` : ""}${w.path ? ` (${this._escapeHtml(w.path)})` : ""}</div>
+            </div>`,
+            )
+            .join("")}
+          ${warnings.length > shown.length ? `<div class="text-xs opacity-60">...and ${warnings.length - shown.length} more.</div>` : ""}
+          <div class="text-xs opacity-50">Everything read before the problem was kept. Check the layout before saving over the original file.</div>
+        </div>`,
+      icon: "warning",
+      background: this._theme === "dark" ? "#1e1e1e" : "#ffffff",
+      color: this._theme === "dark" ? "#ffffff" : "#1a1a1a",
+    });
+  }
+
   _loadSettings() {
     const saved = localStorage.getItem("bjl_designer_settings");
     if (saved) {
@@ -1385,6 +3313,9 @@ class SithasoBJLDesigner extends HTMLElement {
       const setNudgeShiftStep = this.querySelector("#set_nudgeShiftStep");
       const setAutoScroll = this.querySelector("#set_autoScroll");
       const setAutoSaveInterval = this.querySelector("#set_autoSaveInterval");
+      const setNestViews = this.querySelector("#set_nestViews");
+      const setCanvasMode = this.querySelector("#set_canvasMode");
+      const setUndoHistoryLimit = this.querySelector("#set_undoHistoryLimit");
       
       if (setShowGrid) setShowGrid.checked = this._settings.showGrid;
       if (setSnapDensity) setSnapDensity.value = this._settings.snapDensity;
@@ -1396,6 +3327,9 @@ class SithasoBJLDesigner extends HTMLElement {
       if (setNudgeShiftStep) setNudgeShiftStep.value = this._settings.nudgeShiftStep;
       if (setAutoScroll) setAutoScroll.checked = this._settings.autoScroll;
       if (setAutoSaveInterval) setAutoSaveInterval.value = this._settings.autoSaveInterval;
+      if (setNestViews) setNestViews.checked = this._settings.nestViews;
+      if (setCanvasMode) setCanvasMode.value = this._settings.canvasMode;
+      if (setUndoHistoryLimit) setUndoHistoryLimit.value = this._settings.undoHistoryLimit;
 
       modal.showModal();
 
@@ -1423,10 +3357,14 @@ class SithasoBJLDesigner extends HTMLElement {
     this._settings.nudgeShiftStep = parseInt(this.querySelector("#set_nudgeShiftStep").value);
     this._settings.autoScroll = this.querySelector("#set_autoScroll").checked;
     this._settings.autoSaveInterval = parseInt(this.querySelector("#set_autoSaveInterval").value);
+    this._settings.nestViews = this.querySelector("#set_nestViews").checked;
+    this._settings.canvasMode = this.querySelector("#set_canvasMode").value;
+    this._settings.undoHistoryLimit = Math.max(1, parseInt(this.querySelector("#set_undoHistoryLimit").value, 10) || 50);
 
     // Update class properties
     this._showGrid = this._settings.showGrid;
     this._snapGrid = this._settings.snapDensity;
+    if (this._engine) this._engine.nested = this._settings.nestViews;
     
     // Apply Selection Color
     this.style.setProperty("--selection-color", this._settings.selectionColor);
@@ -1467,7 +3405,7 @@ class SithasoBJLDesigner extends HTMLElement {
         const view =
           (record && record.view) ||
           this._engine._findView(this._engine.getLayout().Data, id);
-        if (!record || !view || !view.variant0) return null;
+        if (!record || !view || !this._getViewVariant(view)) return null;
         const parentRectSource = record.parentRect || fallbackParentRect;
         return {
           id,
@@ -1497,18 +3435,165 @@ class SithasoBJLDesigner extends HTMLElement {
         item.parentId && nextRects.has(item.parentId)
           ? nextRects.get(item.parentId)
           : item.parentRect;
-      this._applyResolvedRectToVariant(item.view.variant0, parentRect, item.rect, {
+      const variant = this._getViewVariant(item.view);
+      this._applyResolvedRectToVariant(variant, parentRect, item.rect, {
         snap: false,
       });
       if (item.view.customProperties) {
-        item.view.customProperties.Left = item.view.variant0.left;
-        item.view.customProperties.Top = item.view.variant0.top;
-        item.view.customProperties.Width = item.view.variant0.width;
-        item.view.customProperties.Height = item.view.variant0.height;
+        item.view.customProperties.Left = variant.left;
+        item.view.customProperties.Top = variant.top;
+        item.view.customProperties.Width = variant.width;
+        item.view.customProperties.Height = variant.height;
+      }
+    });
+
+    this.updateWorkspace();
+  }
+
+  /**
+   * Lines up the selected views on an edge or center of their combined bounds.
+   * @param {"left"|"right"|"top"|"bottom"|"center"|"middle"} edge - "center" is the
+   *   horizontal center, "middle" the vertical one
+   */
+  alignSelection(edge) {
+    const items = this._getArrangeItems();
+    if (items.length < 2) return;
+    const left = Math.min(...items.map((i) => i.rect.left));
+    const top = Math.min(...items.map((i) => i.rect.top));
+    const right = Math.max(...items.map((i) => i.rect.left + i.rect.width));
+    const bottom = Math.max(...items.map((i) => i.rect.top + i.rect.height));
+
+    this._applyArrangedRects(items, ({ rect }) => {
+      switch (edge) {
+        case "left": return { ...rect, left };
+        case "right": return { ...rect, left: right - rect.width };
+        case "center": return { ...rect, left: (left + right) / 2 - rect.width / 2 };
+        case "top": return { ...rect, top };
+        case "bottom": return { ...rect, top: bottom - rect.height };
+        case "middle": return { ...rect, top: (top + bottom) / 2 - rect.height / 2 };
+        default: return rect;
+      }
+    });
+  }
+
+  /**
+   * Spaces the selected views so the gaps between them are equal. The first and last
+   * view along the axis stay where they are.
+   * @param {"horizontal"|"vertical"} axis
+   */
+  distributeSelection(axis) {
+    const items = this._getArrangeItems();
+    if (items.length < 3) return;
+    const [pos, size] = axis === "vertical" ? ["top", "height"] : ["left", "width"];
+    const sorted = [...items].sort((a, b) => a.rect[pos] - b.rect[pos]);
+    const first = sorted[0].rect;
+    // The span ends at the furthest edge, which need not belong to the last-starting view.
+    const end = Math.max(...sorted.map((i) => i.rect[pos] + i.rect[size]));
+    const used = sorted.reduce((sum, i) => sum + i.rect[size], 0);
+    const gap = (end - first[pos] - used) / (sorted.length - 1);
+
+    const next = new Map();
+    let cursor = first[pos];
+    sorted.forEach((item) => {
+      next.set(item.id, { ...item.rect, [pos]: cursor });
+      cursor += item.rect[size] + gap;
+    });
+    this._applyArrangedRects(items, (item) => next.get(item.id));
+  }
+
+  /**
+   * Gives the selected views the width, height or both of the primary (last clicked) view.
+   * @param {"width"|"height"|"size"} dimension
+   */
+  matchSelectionSize(dimension) {
+    const items = this._getArrangeItems();
+    if (items.length < 2) return;
+    const primary = items.find((i) => i.id === this._lastSelectedId) || items[0];
+    this._applyArrangedRects(items, ({ rect }) => ({
+      ...rect,
+      width: dimension === "height" ? rect.width : primary.rect.width,
+      height: dimension === "width" ? rect.height : primary.rect.height,
+    }));
+  }
+
+  /**
+   * Places the selected views one after another with a fixed spacing, starting at the
+   * first view along the axis.
+   * @param {"horizontal"|"vertical"} axis
+   * @param {number} spacing - Gap between views in layout units
+   */
+  packSelection(axis, spacing = this._snapGrid) {
+    const items = this._getArrangeItems();
+    if (items.length < 2) return;
+    const gap = Math.max(0, Number(spacing) || 0);
+    const [pos, size] = axis === "vertical" ? ["top", "height"] : ["left", "width"];
+    const sorted = [...items].sort((a, b) => a.rect[pos] - b.rect[pos]);
+
+    const next = new Map();
+    let cursor = sorted[0].rect[pos];
+    sorted.forEach((item) => {
+      next.set(item.id, { ...item.rect, [pos]: cursor });
+      cursor += item.rect[size] + gap;
+    });
+    this._applyArrangedRects(items, (item) => next.get(item.id));
+  }
+
+  /**
+   * Resolved rects of the selected views, in selection order.
+   */
+  _getArrangeItems() {
+    if (!this._engine) return [];
+    const resolved = this._getResolvedLayoutState();
+    return Array.from(this._selectedIds)
+      .map((id) => resolved.map.get(id))
+      .filter((record) => record && this._getViewVariant(record.view))
+      .map((record) => ({
+        id: record.id,
+        view: record.view,
+        parentId: record.parentId || "",
+        parentRect: record.parentRect || resolved.rootRect,
+        rect: { left: record.left, top: record.top, width: record.width, height: record.height },
+      }));
+  }
+
+  /**
+   * Writes new resolved rects for arrange commands as one undo step. Rects are kept inside
+   * the parent when they fit, and stored through the view's anchors.
+   */
+  _applyArrangedRects(items, getRect) {
+    this.saveState(this._historyLabel("Arranged", items.map((item) => item.id)));
+    const nextRects = new Map(items.map((item, index) => [item.id, getRect(item, index)]));
+
+    // Parents before children, so a moved parent's new rect is known when placing its kids.
+    const order = this._getSelectedIdsInParentChildOrder();
+    const byId = new Map(items.map((item) => [item.id, item]));
+    order.filter((id) => byId.has(id)).forEach((id) => {
+      const item = byId.get(id);
+      const parentRect =
+        item.parentId && nextRects.has(item.parentId)
+          ? nextRects.get(item.parentId)
+          : item.parentRect;
+      const rect = { ...nextRects.get(id) };
+      if (rect.width <= parentRect.width) {
+        rect.left = Math.min(Math.max(rect.left, parentRect.left), parentRect.left + parentRect.width - rect.width);
+      }
+      if (rect.height <= parentRect.height) {
+        rect.top = Math.min(Math.max(rect.top, parentRect.top), parentRect.top + parentRect.height - rect.height);
+      }
+      nextRects.set(id, rect);
+
+      const variant = this._getViewVariant(item.view);
+      this._applyResolvedRectToVariant(variant, parentRect, rect, { snap: false });
+      if (item.view.customProperties) {
+        item.view.customProperties.Left = variant.left;
+        item.view.customProperties.Top = variant.top;
+        item.view.customProperties.Width = variant.width;
+        item.view.customProperties.Height = variant.height;
       }
     });
 
     this.updateWorkspace();
+    this._autoSave();
   }
 
   _updateOutline() {
@@ -1536,6 +3621,310 @@ class SithasoBJLDesigner extends HTMLElement {
     if (this._selectedId) tree.select(this._selectedId);
   }
 
+  /**
+   * Fills the component palette from the schemas registered on the engine, plus the
+   * native B4X views. Call again after loading more schemas (engine.addSchemas is async).
+   */
+  loadComponents() {
+    const schemas = (this._engine && this._engine.schemas) || {};
+    const natives = this._engine && typeof this._engine.getNativeTypes === "function"
+      ? this._engine.getNativeTypes().filter((name) => !schemas[name])
+      : [];
+    this._availableComponents = Object.keys(schemas)
+      .sort((a, b) => a.localeCompare(b))
+      .map((name) => ({
+        name,
+        label: name.replace(/^SDUI5/, ""),
+        category: schemas[name].category || this._getComponentCategory(name),
+      }))
+      .concat(natives.map((name) => ({ name, label: name, category: "Native" })));
+
+    const palette = this.querySelector("#componentPalette");
+    if (palette && typeof palette.setComponents === "function") {
+      palette.setComponents(this._availableComponents);
+    }
+    return this._availableComponents;
+  }
+
+  _getComponentCategory(name) {
+    const groups = {
+      Layout: [
+        "Accordion", "BottomDrawer", "Card", "Collapse", "Column", "Component", "Container",
+        "Device", "Divider", "Dock", "Drawer", "FieldSet", "Footer", "FooterTitle", "Hero",
+        "Join", "Modal", "NavBar", "Page", "Panel", "Phone", "Row", "Stack", "Tabs",
+        "TabsItem", "Window",
+      ],
+      Forms: [
+        "AdvancedCheckGroup", "CheckBox", "CheckBoxGroup", "DatePickerTimeLine", "DropZone",
+        "EasyMDE", "EmojiMart", "FAIconPicker", "FileInput", "Filter", "Form", "GroupSelect",
+        "JsonEditor", "MultiSelect", "OTP", "QuillEditor", "Radio", "RadioGroup", "Range",
+        "Rating", "Segment", "Select", "SignaturePad", "Swap", "TextArea", "TextBox", "Toggle",
+      ],
+      Navigation: [
+        "BreadCrumbs", "Button", "ContextMenu", "DropDown", "Fab", "Link", "Menu", "MenuItem",
+        "OfficeRibbon", "Pivot", "SpeedDial", "Steps", "StepsItem", "Wizard",
+      ],
+      Display: [
+        "Alert", "Avatar", "AvatarGroup", "Badge", "BankCard", "BasicLabel", "ChatBubble",
+        "ChatItem", "Code", "Conversation", "CountDown", "Diff", "DrawerUser", "Hover3D",
+        "HoverGallery", "Indicator", "InfoCard", "JsonTree", "KanBan", "Kbd", "Label", "List",
+        "ListItem", "Loading", "Preferences", "Progress", "RadialProgress", "Skeleton", "Stat",
+        "StatItem", "Status", "Svg", "Table", "Text", "Timeline", "TimelineItem", "Toast",
+        "ToolTip", "TreeSpider", "TreeView", "WhatsApp",
+      ],
+      Media: [
+        "BarCode", "BarcodeReader", "Browser", "Carousel", "CarouselItem", "Image", "Leaflet",
+        "LottiePlayer", "PDFViewer", "QRCode", "Slider", "SliderItem", "Swiper", "SwiperSlide",
+        "VideoPlayer",
+      ],
+      Charts: ["ApexChart", "FullCalendar", "GenderChart", "ToastChart", "TrendChart"],
+    };
+    const shortName = String(name || "").replace(/^SDUI5/, "");
+    const category = Object.keys(groups).find((key) => groups[key].includes(shortName));
+    return category || "Other";
+  }
+
+  _showSidebarPane(pane) {
+    this.querySelectorAll(".sidebar-tabs .tab").forEach((tab) =>
+      tab.classList.toggle("tab-active", tab.dataset.pane === pane),
+    );
+    this.querySelectorAll(".tree-sidebar .sidebar-pane").forEach((el) =>
+      el.classList.toggle("active", el.dataset.pane === pane),
+    );
+  }
+
+  /**
+   * Converts a mouse/drag event position to unscaled workspace coordinates.
+   */
+  _getWorkspacePoint(e) {
+    const workspace = this.querySelector("#workspace");
+    if (!workspace) return { x: 0, y: 0 };
+    const rect = workspace.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) / this._scale,
+      y: (e.clientY - rect.top) / this._scale,
+    };
+  }
+
+  /**
+   * Creates a new view from a loaded schema or a native view type.
+   * With a point, the view is placed there (snapped to the grid) and becomes a child of
+   * the innermost view containing that point; without one, the engine picks the position.
+   * @param {string} componentName - Schema name, e.g. "SDUI5Button", or a native type, e.g. "Label"
+   * @param {{x: number, y: number}|null} point - Drop position in workspace coordinates
+   * @returns {string|null} The new view name
+   */
+  addComponentAt(componentName, point = null) {
+    if (!this._engine || !componentName) return null;
+    const isNative = !!this._engine.getNativeTypeName(componentName);
+    if (!isNative && (!this._engine.schemas || !this._engine.schemas[componentName])) {
+      console.error(`Schema not found: ${componentName}`);
+      return null;
+    }
+
+    // Resolve the drop parent before the new view exists so it cannot contain itself.
+    const records = point ? this._buildGeometryHierarchyRecords() : [];
+    const parentId = point
+      ? this._inferParentForRect({ left: point.x, top: point.y, width: 0, height: 0 }, records)
+      : "";
+    const parentRecord = parentId ? records.find((r) => r.id === parentId) : null;
+
+    const newId = this._getNextId(componentName);
+    this.saveState(`Added ${newId}`);
+    let view;
+    try {
+      view = this._engine.addComponent(componentName, newId);
+    } catch (e) {
+      console.error("Add component failed:", e);
+      return null;
+    }
+
+    const variant = view && this._getViewVariant(view);
+    if (point && variant) {
+      const base = this._getWorkspaceBaseSize();
+      const width = Number(variant.width) || this._snapGrid;
+      const height = Number(variant.height) || this._snapGrid;
+      let left = this._snapValue(point.x);
+      let top = this._snapValue(point.y);
+
+      if (parentRecord) {
+        // Keep a margin so the outline's strict containment sees the new view as a child.
+        const margin = Math.max(1, Number(this._engine.innerMargin) || this._snapGrid);
+        left = Math.max(left, parentRecord.left + margin);
+        top = Math.max(top, parentRecord.top + margin);
+      } else {
+        left = Math.min(Math.max(0, left), Math.max(0, base.width - width));
+        top = Math.min(Math.max(0, top), Math.max(0, base.height - height));
+      }
+
+      variant.left = left;
+      variant.top = top;
+      if (parentRecord) this._expandContainerToFit(parentId, variant);
+      if (this._engine.nested) this._engine.nest([newId]);
+    }
+
+    if (view && view.customProperties && variant) {
+      view.customProperties.Left = variant.left;
+      view.customProperties.Top = variant.top;
+      view.customProperties.Width = variant.width;
+      view.customProperties.Height = variant.height;
+    }
+
+    this.selectElement(newId, { clearExisting: true });
+    this._selectionAnchor = newId;
+    this.updateWorkspace();
+    this._updateOutline();
+    this.dispatchEvent(
+      new CustomEvent("add-element", {
+        detail: { id: newId, component: componentName, parentId },
+      }),
+    );
+    return newId;
+  }
+
+  /**
+   * Grows a container so the given child rect (active variant coordinates) fits inside it with a margin.
+   */
+  _expandContainerToFit(containerId, childRect) {
+    if (!containerId || !childRect || !this._engine) return;
+    const parentView = this._engine._findView(this._engine.getLayout().Data, containerId);
+    if (!parentView || !this._getViewVariant(parentView)) return;
+
+    const margin = Math.max(1, Number(this._engine.innerMargin) || this._snapGrid);
+    const childRight =
+      childRect.left + (Number(childRect.width) || this._snapGrid) + margin;
+    const childBottom =
+      childRect.top + (Number(childRect.height) || this._snapGrid) + margin;
+    const parentRight = this._getViewVariant(parentView).left + this._getViewVariant(parentView).width;
+    const parentBottom = this._getViewVariant(parentView).top + this._getViewVariant(parentView).height;
+
+    if (childRight > parentRight) {
+      this._getViewVariant(parentView).width = Math.max(
+        this._snapGrid,
+        childRight - this._getViewVariant(parentView).left,
+      );
+      if (parentView.customProperties) {
+        parentView.customProperties.Width = this._getViewVariant(parentView).width;
+      }
+    }
+    if (childBottom > parentBottom) {
+      this._getViewVariant(parentView).height = Math.max(
+        this._snapGrid,
+        childBottom - this._getViewVariant(parentView).top,
+      );
+      if (parentView.customProperties) {
+        parentView.customProperties.Height = this._getViewVariant(parentView).height;
+      }
+    }
+  }
+
+  /**
+   * Reloads the property grid from the schemas of the selected views.
+   * With several views selected, only keys present in every schema are listed and keys
+   * whose values differ are flagged as mixed.
+   */
+  _updatePropertyGrid() {
+    const grid = this.querySelector("#propertyGrid");
+    if (!grid || typeof grid.load !== "function") return;
+    if (this._selectedIds.size === 0 || !this._engine) {
+      grid.clear("Select a view to edit its properties.");
+      return;
+    }
+
+    const data = this._engine.getLayout().Data;
+    const views = Array.from(this._selectedIds)
+      .map((id) => this._engine._findView(data, id))
+      .filter((view) => view);
+    if (views.length === 0) {
+      grid.clear("Select a view to edit its properties.");
+      return;
+    }
+
+    const getShortType = (view) =>
+      view.shortType || (view.customProperties && view.customProperties.shortType) || "";
+    // Custom views use their loaded schema; native views get the engine's built-in list.
+    const schemaFor = (view) => this._engine.getViewSchema(view);
+    const missing = views.find((view) => {
+      const schema = schemaFor(view);
+      return !schema || !Array.isArray(schema.properties);
+    });
+    if (missing) {
+      grid.clear(`No schema loaded for "${getShortType(missing) || missing.type || "view"}".`);
+      return;
+    }
+
+    // Keep the first schema's order and definitions; drop keys any other schema lacks.
+    const keySets = views.map(
+      (view) => new Set(schemaFor(view).properties.map((p) => p.Key)),
+    );
+    const properties = schemaFor(views[0]).properties.filter((p) =>
+      keySets.every((keys) => keys.has(p.Key)),
+    );
+
+    const values = {};
+    const mixed = [];
+    properties.forEach((p) => {
+      const first = this._engine.getProperty(views[0], p.Key);
+      const same = views.every((view) => {
+        const value = this._engine.getProperty(view, p.Key);
+        return JSON.stringify(value) === JSON.stringify(first);
+      });
+      if (same) values[p.Key] = first;
+      else mixed.push(p.Key);
+    });
+
+    const types = Array.from(new Set(views.map((view) => schemaFor(view).name || getShortType(view))));
+    grid.load({
+      title: views.length === 1 ? views[0].name : `${views.length} views`,
+      subtitle: types.length === 1 && views.length > 1 ? `${types[0]} ×${views.length}` : types.join(", "),
+      properties,
+      values,
+      mixed,
+    });
+  }
+
+  /**
+   * Writes a property to every selected view as a single undo step.
+   * Fires "property-change" with detail { id, ids, key, value }: id is the
+   * primary (last selected) view, ids every view that took the value.
+   */
+  _onPropertyChange(key, value) {
+    if (this._selectedIds.size === 0 || !this._engine) return;
+    const data = this._engine.getLayout().Data;
+    const views = Array.from(this._selectedIds)
+      .map((id) => this._engine._findView(data, id))
+      .filter((view) => view);
+    if (views.length === 0) return;
+
+    this.saveState(views.length === 1 ? `Changed ${key} of ${views[0].name}` : `Changed ${key} of ${views.length} items`);
+    // Geometry keys mirror the active variant (see drag/resize), so keep them in step both ways.
+    const geometryKey = { Left: "left", Top: "top", Width: "width", Height: "height" }[key];
+    const numeric = Number(value);
+    const ids = [];
+    views.forEach((view) => {
+      try {
+        this._engine.setProperty(view.name, key, value);
+      } catch (e) {
+        console.error("Set property failed:", e);
+        return;
+      }
+      const variant = this._getViewVariant(view);
+      if (geometryKey && variant && String(value).trim() !== "" && Number.isFinite(numeric)) {
+        variant[geometryKey] = geometryKey === "width" || geometryKey === "height"
+          ? Math.max(0, numeric)
+          : numeric;
+      }
+      ids.push(view.name);
+    });
+
+    const id = ids.includes(this._lastSelectedId) ? this._lastSelectedId : ids[0] || null;
+    this.updateWorkspace();
+    this._updateOutline();
+    this.dispatchEvent(
+      new CustomEvent("property-change", { detail: { id, ids, key, value } }),
+    );
+  }
+
   _getViewsInLayoutOrder() {
     return this._getResolvedLayoutState().records.map((r) => r.view);
   }
@@ -1552,7 +3941,7 @@ class SithasoBJLDesigner extends HTMLElement {
       right: record.right,
       bottom: record.bottom,
       area: record.area,
-      parentId: "",
+      parentId: record.parentId, // Set when the view is stored in a parent's :kids
     }));
 
     const strictlyContains = (outer, inner) =>
@@ -1561,10 +3950,19 @@ class SithasoBJLDesigner extends HTMLElement {
       inner.right < outer.right &&
       inner.bottom < outer.bottom;
 
+    // Top-level views have no stored parent, so infer one from geometry.
+    const storedParent = new Map(records.map((r) => [r.id, r.parentId]));
+    const isStoredDescendant = (id, ancestorId) => {
+      for (let p = storedParent.get(id); p; p = storedParent.get(p)) if (p === ancestorId) return true;
+      return false;
+    };
     records.forEach((child) => {
+      if (child.parentId) return;
       const candidates = records.filter(
         (candidate) =>
-          candidate.id !== child.id && strictlyContains(candidate, child),
+          candidate.id !== child.id &&
+          !isStoredDescendant(candidate.id, child.id) &&
+          strictlyContains(candidate, child),
       );
       if (candidates.length === 0) return;
 
@@ -1708,7 +4106,8 @@ class SithasoBJLDesigner extends HTMLElement {
     const resizeData = selectedIds
       .map((id) => {
         const view = this._engine._findView(this._engine.getLayout().Data, id);
-        if (!view || !view.variant0) return null;
+        const variant = view && this._getViewVariant(view);
+        if (!variant) return null;
         const record = resolvedState.map.get(id);
         const parentRectSource =
           (record && record.parentRect) || fallbackParentRect;
@@ -1725,19 +4124,19 @@ class SithasoBJLDesigner extends HTMLElement {
           initialLeft:
             record && Number.isFinite(record.left)
               ? Number(record.left)
-              : Number(view.variant0.left) || 0,
+              : Number(variant.left) || 0,
           initialTop:
             record && Number.isFinite(record.top)
               ? Number(record.top)
-              : Number(view.variant0.top) || 0,
+              : Number(variant.top) || 0,
           initialWidth:
             record && Number.isFinite(record.width)
               ? Math.max(this._snapGrid, Number(record.width))
-              : Math.max(this._snapGrid, Number(view.variant0.width) || this._snapGrid),
+              : Math.max(this._snapGrid, Number(variant.width) || this._snapGrid),
           initialHeight:
             record && Number.isFinite(record.height)
               ? Math.max(this._snapGrid, Number(record.height))
-              : Math.max(this._snapGrid, Number(view.variant0.height) || this._snapGrid),
+              : Math.max(this._snapGrid, Number(variant.height) || this._snapGrid),
           el: this.querySelector(`.designer-item[data-id="${id}"]`),
         };
       })
@@ -1745,6 +4144,7 @@ class SithasoBJLDesigner extends HTMLElement {
     if (resizeData.length === 0) return;
 
     const isMultiResize = resizeData.length > 1;
+    const snapTargets = isMultiResize ? null : this._getSnapTargets(resizeData[0].id, [resizeData[0].id]);
     const resizeDataById = new Map(resizeData.map((item) => [item.id, item]));
     const groupBounds = isMultiResize
       ? (() => {
@@ -1805,9 +4205,14 @@ class SithasoBJLDesigner extends HTMLElement {
       });
     }
 
+    let resized = false;
     const onMouseMove = (moveE) => {
       const dx = (moveE.clientX - startX) / this._scale;
       const dy = (moveE.clientY - startY) / this._scale;
+      if (!resized) {
+        this.saveState(this._historyLabel("Resized", selectedIds));
+        resized = true;
+      }
 
       if (isMultiResize) {
         resizeData.forEach((item) => {
@@ -1824,6 +4229,29 @@ class SithasoBJLDesigner extends HTMLElement {
       } else {
         const item = resizeData[0];
         if (item.el) item.el.classList.add("resizing");
+
+        // Snap only the edges being dragged; Alt turns guides off.
+        let guideEdges = null;
+        if (!moveE.altKey) {
+          const growX = dir.includes("e") ? dx : dir.includes("w") ? -dx : 0;
+          const growY = dir.includes("s") ? dy : dir.includes("n") ? -dy : 0;
+          const rect = {
+            left: item.initialLeft + (dir.includes("w") ? dx : 0),
+            top: item.initialTop + (dir.includes("n") ? dy : 0),
+            width: item.initialWidth + growX,
+            height: item.initialHeight + growY,
+          };
+          const guide = this._findSnapGuides(rect, snapTargets, {
+            x: dir.includes("e") ? ["right"] : dir.includes("w") ? ["left"] : [],
+            y: dir.includes("s") ? ["bottom"] : dir.includes("n") ? ["top"] : [],
+          });
+          if (guide.x || guide.y) {
+            guideEdges = {};
+            if (guide.x) guideEdges[guide.x.edge] = guide.x.line;
+            if (guide.y) guideEdges[guide.y.edge] = guide.y.line;
+          }
+        }
+
         this.resize(
           dir,
           item.view,
@@ -1835,11 +4263,23 @@ class SithasoBJLDesigner extends HTMLElement {
           item.parentRect,
           dx,
           dy,
+          guideEdges,
         );
+
+        const resolved = this._getResolvedLayoutState().map.get(item.id);
+        if (guideEdges && resolved) {
+          this._renderSnapGuides(resolved, this._findSnapGuides(resolved, snapTargets, {
+            x: Object.keys(guideEdges).filter((k) => k === "left" || k === "right"),
+            y: Object.keys(guideEdges).filter((k) => k === "top" || k === "bottom"),
+          }), snapTargets);
+        } else {
+          this._clearSnapGuides();
+        }
       }
     };
 
     const onMouseUp = () => {
+      this._clearSnapGuides();
       resizeData.forEach((item) => {
         if (item.el) item.el.classList.remove("resizing");
       });
@@ -1994,13 +4434,13 @@ class SithasoBJLDesigner extends HTMLElement {
       const parentRect = item.parentId && nextRects.has(item.parentId)
         ? nextRects.get(item.parentId)
         : item.parentRect;
-      if (!rect || !item.view?.variant0 || !parentRect) return;
-      this._applyResolvedRectToVariant(item.view.variant0, parentRect, rect);
+      if (!rect || !this._getViewVariant(item.view) || !parentRect) return;
+      this._applyResolvedRectToVariant(this._getViewVariant(item.view), parentRect, rect);
     });
 
     const resolvedAfter = this._getResolvedLayoutState().map;
     resizeData.forEach((item) => {
-      const v0 = item.view.variant0;
+      const v0 = this._getViewVariant(item.view);
       if (!v0) return;
       if (item.view.customProperties) {
         item.view.customProperties.Left = v0.left;
@@ -2024,6 +4464,337 @@ class SithasoBJLDesigner extends HTMLElement {
     });
   }
 
+  /**
+   * Rects the dragged or resized view can snap to: its parent and the siblings that share
+   * that parent in the outline, minus the views that are moving.
+   */
+  _getSnapTargets(id, movingIds = []) {
+    const records = this._buildGeometryHierarchyRecords();
+    const self = records.find((r) => r.id === id);
+    const parentId = self ? self.parentId || "" : "";
+    const moving = new Set(movingIds);
+    const toRect = (r) => ({ left: r.left, top: r.top, width: r.width, height: r.height });
+    const parent = parentId ? records.find((r) => r.id === parentId) : null;
+    return {
+      parent: parent ? toRect(parent) : toRect(this._getResolvedLayoutState().rootRect),
+      guides: this._guides,
+      siblings: records
+        .filter((r) => (r.parentId || "") === parentId && !moving.has(r.id))
+        .map(toRect),
+    };
+  }
+
+  _getRectsBounds(rects) {
+    const left = Math.min(...rects.map((r) => r.left));
+    const top = Math.min(...rects.map((r) => r.top));
+    const right = Math.max(...rects.map((r) => r.left + r.width));
+    const bottom = Math.max(...rects.map((r) => r.top + r.height));
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Finds the nearest guide line per axis within a few screen pixels of the rect's edges or
+   * center. `edges` limits which of the rect's lines may snap (resizing moves only one edge).
+   * @returns {{x: Object|null, y: Object|null}} Each hit is { edge, line, delta }, where
+   *   delta is how far the rect has to move for that edge to sit on the line.
+   */
+  _findSnapGuides(rect, targets, edges = { x: ["left", "center", "right"], y: ["top", "middle", "bottom"] }) {
+    const result = { x: null, y: null };
+    if (!targets || !rect) return result;
+    const threshold = 6 / this._scale;
+    const all = [targets.parent, ...targets.siblings];
+    const guides = targets.guides || { x: [], y: [] };
+    const linesX = all.flatMap((t) => [t.left, t.left + t.width / 2, t.left + t.width]).concat(guides.x);
+    const linesY = all.flatMap((t) => [t.top, t.top + t.height / 2, t.top + t.height]).concat(guides.y);
+    const positions = {
+      left: rect.left, center: rect.left + rect.width / 2, right: rect.left + rect.width,
+      top: rect.top, middle: rect.top + rect.height / 2, bottom: rect.top + rect.height,
+    };
+
+    const closest = (names, lines) => {
+      let best = null;
+      names.forEach((edge) => {
+        lines.forEach((line) => {
+          const delta = line - positions[edge];
+          if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+            best = { edge, line, delta };
+          }
+        });
+      });
+      return best;
+    };
+    result.x = closest(edges.x || [], linesX);
+    result.y = closest(edges.y || [], linesY);
+    return result;
+  }
+
+  /**
+   * Draws the active guide lines and the gaps to the nearest sibling on each side.
+   */
+  _renderSnapGuides(rect, guide, targets) {
+    const workspace = this.querySelector("#workspace");
+    if (!workspace || !targets) return;
+    let layer = workspace.querySelector(".snap-guides-layer");
+    if (!layer) {
+      layer = document.createElement("div");
+      layer.className = "snap-guides-layer";
+      workspace.appendChild(layer);
+    }
+    const s = this._scale;
+    const all = [targets.parent, ...targets.siblings];
+    const right = rect.left + rect.width;
+    const bottom = rect.top + rect.height;
+    let html = "";
+
+    if (guide.x) {
+      const x = guide.x.line;
+      const touching = all.filter((t) => [t.left, t.left + t.width / 2, t.left + t.width].some((v) => Math.abs(v - x) < 0.5));
+      const top = Math.min(rect.top, ...touching.map((t) => t.top));
+      const end = Math.max(bottom, ...touching.map((t) => t.top + t.height));
+      html += `<div class="snap-guide vertical" style="left: ${x * s}px; top: ${top * s}px; height: ${(end - top) * s}px;"></div>`;
+    }
+    if (guide.y) {
+      const y = guide.y.line;
+      const touching = all.filter((t) => [t.top, t.top + t.height / 2, t.top + t.height].some((v) => Math.abs(v - y) < 0.5));
+      const left = Math.min(rect.left, ...touching.map((t) => t.left));
+      const end = Math.max(right, ...touching.map((t) => t.left + t.width));
+      html += `<div class="snap-guide horizontal" style="top: ${y * s}px; left: ${left * s}px; width: ${(end - left) * s}px;"></div>`;
+    }
+
+    // Gap to the nearest sibling on each side that overlaps the rect on the other axis.
+    const overlapsY = (t) => t.top < bottom && t.top + t.height > rect.top;
+    const overlapsX = (t) => t.left < right && t.left + t.width > rect.left;
+    const nearest = (list, gapOf) => list
+      .map((t) => ({ t, gap: gapOf(t) }))
+      .filter((g) => g.gap > 0)
+      .sort((a, b) => a.gap - b.gap)[0];
+    const label = (x, y, w, h, gap) => this._distanceHtml("snap-distance", x, y, w, h, gap);
+    const rows = targets.siblings.filter(overlapsY);
+    const cols = targets.siblings.filter(overlapsX);
+    const midY = rect.top + rect.height / 2;
+    const midX = rect.left + rect.width / 2;
+    const leftGap = nearest(rows, (t) => rect.left - (t.left + t.width));
+    const rightGap = nearest(rows, (t) => t.left - right);
+    const topGap = nearest(cols, (t) => rect.top - (t.top + t.height));
+    const bottomGap = nearest(cols, (t) => t.top - bottom);
+    if (leftGap) html += label(rect.left - leftGap.gap, midY, leftGap.gap, 0, leftGap.gap);
+    if (rightGap) html += label(right, midY, rightGap.gap, 0, rightGap.gap);
+    if (topGap) html += label(midX, rect.top - topGap.gap, 0, topGap.gap, topGap.gap);
+    if (bottomGap) html += label(midX, bottom, 0, bottomGap.gap, bottomGap.gap);
+
+    layer.innerHTML = html;
+  }
+
+  _clearSnapGuides() {
+    const layer = this.querySelector("#workspace .snap-guides-layer");
+    if (layer) layer.remove();
+  }
+
+  /**
+   * A dimension line from (x, y) spanning w or h workspace units, labelled with the distance.
+   */
+  _distanceHtml(className, x, y, w, h, value) {
+    const s = this._scale;
+    return `
+        <div class="${className} ${w > h ? "horizontal" : "vertical"}" style="left: ${x * s}px; top: ${y * s}px; width: ${w * s}px; height: ${h * s}px;">
+          <span>${Math.round(value)}</span>
+        </div>`;
+  }
+
+  /**
+   * Shows the pixel distances between the selected view and the hovered one: the gap when
+   * they are apart, or the edge offsets when one overlaps the other on that axis.
+   */
+  _renderMeasurements(selectedId, hoverId) {
+    const workspace = this.querySelector("#workspace");
+    const { map } = this._getResolvedLayoutState();
+    const a = map.get(selectedId);
+    const b = map.get(hoverId);
+    if (!workspace || !a || !b) return;
+
+    let layer = workspace.querySelector(".measure-layer");
+    if (!layer) {
+      layer = document.createElement("div");
+      layer.className = "measure-layer";
+      workspace.appendChild(layer);
+    }
+    const s = this._scale;
+    const spans = (aStart, aEnd, bStart, bEnd) => {
+      if (bEnd <= aStart) return [[bEnd, aStart]];
+      if (bStart >= aEnd) return [[aEnd, bStart]];
+      return [
+        [Math.min(aStart, bStart), Math.max(aStart, bStart)],
+        [Math.min(aEnd, bEnd), Math.max(aEnd, bEnd)],
+      ].filter(([from, to]) => to - from > 0);
+    };
+    // Lines run through the middle of the shared span, or the selected view's middle when there is none.
+    const across = (aStart, aEnd, bStart, bEnd) => {
+      const from = Math.max(aStart, bStart);
+      const to = Math.min(aEnd, bEnd);
+      return to > from ? (from + to) / 2 : (aStart + aEnd) / 2;
+    };
+    const y = across(a.top, a.bottom, b.top, b.bottom);
+    const x = across(a.left, a.right, b.left, b.right);
+
+    let html = `<div class="measure-target" style="left: ${b.left * s}px; top: ${b.top * s}px; width: ${b.width * s}px; height: ${b.height * s}px;"></div>`;
+    spans(a.left, a.right, b.left, b.right).forEach(([from, to]) => {
+      html += this._distanceHtml("measure-distance", from, y, to - from, 0, to - from);
+    });
+    spans(a.top, a.bottom, b.top, b.bottom).forEach(([from, to]) => {
+      html += this._distanceHtml("measure-distance", x, from, 0, to - from, to - from);
+    });
+    layer.innerHTML = html;
+  }
+
+  _clearMeasurements() {
+    const layer = this.querySelector("#workspace .measure-layer");
+    if (layer) layer.remove();
+  }
+
+  /* ---------- Rulers & Guides ---------- */
+
+  _setGuides(guides) {
+    const clean = (list) => (Array.isArray(list) ? list.map(Number).filter(Number.isFinite) : []);
+    this._guides = { x: clean(guides && guides.x), y: clean(guides && guides.y) };
+  }
+
+  /**
+   * Adds a guide line. axis "x" is a vertical line at that x, "y" a horizontal line at that y.
+   */
+  addGuide(axis, position) {
+    if (!this._guides[axis] || !Number.isFinite(Number(position))) return;
+    this._guides[axis].push(Math.round(Number(position)));
+    this._afterGuidesChange();
+  }
+
+  removeGuide(axis, index) {
+    if (!this._guides[axis] || !(index in this._guides[axis])) return;
+    this._guides[axis].splice(index, 1);
+    this._afterGuidesChange();
+  }
+
+  clearGuides() {
+    this._guides = { x: [], y: [] };
+    this._afterGuidesChange();
+  }
+
+  _afterGuidesChange() {
+    this._renderUserGuides();
+    this._autoSave();
+    this.dispatchEvent(new CustomEvent("guides-change", { detail: { guides: this._guides } }));
+  }
+
+  _renderUserGuides() {
+    const workspace = this.querySelector("#workspace");
+    if (!workspace) return;
+    let layer = workspace.querySelector(".user-guides-layer");
+    if (!layer) {
+      layer = document.createElement("div");
+      layer.className = "user-guides-layer";
+      workspace.appendChild(layer);
+    }
+    const s = this._scale;
+    layer.innerHTML = ["x", "y"]
+      .flatMap((axis) =>
+        this._guides[axis].map(
+          (value, index) => `
+        <div class="user-guide ${axis === "x" ? "vertical" : "horizontal"}" data-axis="${axis}" data-index="${index}"
+          style="${axis === "x" ? "left" : "top"}: ${value * s}px;" title="${value}px (double-click to remove)"></div>`,
+        ),
+      )
+      .join("");
+  }
+
+  /**
+   * Drags a new guide out of a ruler, or moves an existing one when index is given.
+   * Releasing the guide back over the rulers removes it.
+   */
+  startGuideDrag(e, axis, index = null) {
+    const workspace = this.querySelector("#workspace");
+    const rulers = this.querySelector(".workspace-rulers");
+    if (!workspace || !this._guides[axis]) return;
+
+    const toUnits = (moveE) => {
+      const rect = workspace.getBoundingClientRect();
+      return Math.round(
+        axis === "x" ? (moveE.clientX - rect.left) / this._scale : (moveE.clientY - rect.top) / this._scale,
+      );
+    };
+    const overRuler = (moveE) => {
+      const view = this.querySelector(".workspace-view");
+      if (!view) return false;
+      const rect = view.getBoundingClientRect();
+      const size = rulers ? rulers.querySelector(".ruler-corner").offsetWidth || 20 : 20;
+      return axis === "x" ? moveE.clientX - rect.left < size : moveE.clientY - rect.top < size;
+    };
+
+    if (index === null) {
+      this._guides[axis].push(toUnits(e));
+      index = this._guides[axis].length - 1;
+    }
+    this._renderUserGuides();
+
+    const onMouseMove = (moveE) => {
+      this._guides[axis][index] = toUnits(moveE);
+      this._renderUserGuides();
+      this._updateRulers(axis, this._guides[axis][index]);
+    };
+    const onMouseUp = (upE) => {
+      window.removeEventListener("mousemove", onMouseMove);
+      window.removeEventListener("mouseup", onMouseUp);
+      if (overRuler(upE)) this._guides[axis].splice(index, 1);
+      this._updateRulers();
+      this._afterGuidesChange();
+    };
+    window.addEventListener("mousemove", onMouseMove);
+    window.addEventListener("mouseup", onMouseUp);
+  }
+
+  /**
+   * Redraws the ruler ticks so that 0 lines up with the workspace origin at the current zoom
+   * and scroll position. An optional axis/value marks a guide being dragged.
+   */
+  _updateRulers(markAxis = null, markValue = null) {
+    const view = this.querySelector(".workspace-view");
+    const workspace = this.querySelector("#workspace");
+    const rulers = this.querySelector(".workspace-rulers");
+    if (!view || !workspace || !rulers) return;
+
+    // Keep the rulers pinned to the visible top-left corner of the scrolling view.
+    rulers.style.transform = `translate(${view.scrollLeft}px, ${view.scrollTop}px)`;
+    const size = rulers.querySelector(".ruler-corner").offsetWidth || 20;
+    const viewRect = view.getBoundingClientRect();
+    const wsRect = workspace.getBoundingClientRect();
+    const s = this._scale;
+
+    // Label every major tick at least ~50px apart on screen, with five minor ticks between.
+    const major = [10, 20, 50, 100, 200, 500, 1000].find((step) => step * s >= 50) || 1000;
+    const minor = major / 5;
+
+    const ticks = (origin, length) => {
+      let html = "";
+      const first = Math.ceil(-origin / s / minor) * minor;
+      for (let u = first; (u * s) + origin <= length; u += minor) {
+        const isMajor = Math.abs(u % major) < 1e-6;
+        html += `<span class="ruler-tick ${isMajor ? "major" : ""}" style="--pos: ${u * s + origin}px;">${isMajor ? `<em>${u}</em>` : ""}</span>`;
+      }
+      return html;
+    };
+    const marker = (axis, origin) =>
+      markAxis === axis && markValue !== null
+        ? `<span class="ruler-marker" style="--pos: ${markValue * s + origin}px;"></span>`
+        : "";
+
+    const originX = wsRect.left - viewRect.left - size;
+    const originY = wsRect.top - viewRect.top - size;
+    const horizontal = rulers.querySelector(".ruler-h");
+    const vertical = rulers.querySelector(".ruler-v");
+    horizontal.style.width = `${Math.max(0, view.clientWidth - size)}px`;
+    vertical.style.height = `${Math.max(0, view.clientHeight - size)}px`;
+    horizontal.innerHTML = ticks(originX, view.clientWidth - size) + marker("x", originX);
+    vertical.innerHTML = ticks(originY, view.clientHeight - size) + marker("y", originY);
+  }
+
   startDragging(e, id) {
     e.preventDefault();
     const startX = e.clientX;
@@ -2052,7 +4823,8 @@ class SithasoBJLDesigner extends HTMLElement {
           this._engine.getLayout().Data,
           selectedId,
         );
-        if (!view || !view.variant0) return null;
+        const variant = view && this._getViewVariant(view);
+        if (!variant) return null;
         const record = resolvedState.map.get(selectedId);
         const parentRectSource = (record && record.parentRect) || fallbackParentRect;
         return {
@@ -2068,19 +4840,19 @@ class SithasoBJLDesigner extends HTMLElement {
           initialLeft:
             record && Number.isFinite(record.left)
               ? Number(record.left)
-              : Number(view.variant0.left) || 0,
+              : Number(variant.left) || 0,
           initialTop:
             record && Number.isFinite(record.top)
               ? Number(record.top)
-              : Number(view.variant0.top) || 0,
+              : Number(variant.top) || 0,
           initialWidth:
             record && Number.isFinite(record.width)
               ? Number(record.width)
-              : Number(view.variant0.width) || 0,
+              : Number(variant.width) || 0,
           initialHeight:
             record && Number.isFinite(record.height)
               ? Number(record.height)
-              : Number(view.variant0.height) || 0,
+              : Number(variant.height) || 0,
           el: this.querySelector(`.designer-item[data-id="${selectedId}"]`),
         };
       })
@@ -2089,6 +4861,7 @@ class SithasoBJLDesigner extends HTMLElement {
     let moved = false;
     const threshold = 5;
     const snap = (value) => this._snapValue(value);
+    const snapTargets = this._getSnapTargets(id, dragData.map((item) => item.id));
 
     const onMouseMove = (moveE) => {
       const dx = (moveE.clientX - startX) / this._scale;
@@ -2096,16 +4869,27 @@ class SithasoBJLDesigner extends HTMLElement {
 
       if (Math.abs(dx) > threshold || Math.abs(dy) > threshold) {
         if (!moved) {
-          this.saveState();
+          this.saveState(this._historyLabel("Moved", dragData.map((item) => item.id)));
           moved = true;
         }
 
+        // Magnetic guides move the selection's bounds onto a sibling or parent line; Alt turns them off.
+        const bounds = this._getRectsBounds(dragData.map((item) => ({
+          left: item.initialLeft + dx,
+          top: item.initialTop + dy,
+          width: item.initialWidth,
+          height: item.initialHeight,
+        })));
+        const guide = moveE.altKey
+          ? { x: null, y: null }
+          : this._findSnapGuides(bounds, snapTargets);
+
         // Apply movement in resolved space first, then map back to variant coordinates.
         const nextRects = new Map();
         dragData.forEach((item) => {
           nextRects.set(item.id, {
-            left: snap(item.initialLeft + dx),
-            top: snap(item.initialTop + dy),
+            left: guide.x ? item.initialLeft + dx + guide.x.delta : snap(item.initialLeft + dx),
+            top: guide.y ? item.initialTop + dy + guide.y.delta : snap(item.initialTop + dy),
             width: item.initialWidth,
             height: item.initialHeight,
           });
@@ -2118,9 +4902,15 @@ class SithasoBJLDesigner extends HTMLElement {
             item.parentId && nextRects.has(item.parentId)
               ? nextRects.get(item.parentId)
               : item.parentRect;
-          this.drag(item.view, rect, parentRect);
+          this.drag(item.view, rect, parentRect, guide.x || guide.y ? { snap: false } : {});
         });
 
+        if (guide.x || guide.y) {
+          this._renderSnapGuides(this._getRectsBounds(Array.from(nextRects.values())), guide, snapTargets);
+        } else {
+          this._clearSnapGuides();
+        }
+
         const resolvedAfter = this._getResolvedLayoutState().map;
         dragData.forEach((item) => {
           if (!item.el) return;
@@ -2135,6 +4925,7 @@ class SithasoBJLDesigner extends HTMLElement {
     };
 
     const onMouseUp = () => {
+      this._clearSnapGuides();
       dragData.forEach(item => {
         if (item.el) item.el.classList.remove("dragging");
       });
@@ -2144,6 +4935,9 @@ class SithasoBJLDesigner extends HTMLElement {
         if (!e.ctrlKey && !e.metaKey && !e.shiftKey) {
           this.selectElement(id, { clearExisting: true });
         }
+      } else if (this._engine.nested && this._engine.nest(dragData.map((item) => item.id)).length > 0) {
+        // Dropped into (or out of) a Panel: the views now live in its :kids.
+        this._updateOutline();
       }
 
       // Update workspace
@@ -2156,15 +4950,16 @@ class SithasoBJLDesigner extends HTMLElement {
     window.addEventListener("mouseup", onMouseUp);
   }
 
-  drag(view, resolvedRect, parentRect) {
-    if (!view || !view.variant0 || !resolvedRect || !parentRect) return;
-    this._applyResolvedRectToVariant(view.variant0, parentRect, resolvedRect);
+  drag(view, resolvedRect, parentRect, options = {}) {
+    const variant = view && this._getViewVariant(view);
+    if (!variant || !resolvedRect || !parentRect) return;
+    this._applyResolvedRectToVariant(variant, parentRect, resolvedRect, options);
 
     if (view.customProperties) {
-      view.customProperties.Left = view.variant0.left;
-      view.customProperties.Top = view.variant0.top;
-      view.customProperties.Width = view.variant0.width;
-      view.customProperties.Height = view.variant0.height;
+      view.customProperties.Left = variant.left;
+      view.customProperties.Top = variant.top;
+      view.customProperties.Width = variant.width;
+      view.customProperties.Height = variant.height;
     }
   }
 
@@ -2184,20 +4979,23 @@ class SithasoBJLDesigner extends HTMLElement {
     parentRect,
     dx,
     dy,
+    guideEdges = null,
   ) {
-    if (!view || !view.variant0 || !parentRect) return;
-    const v0 = view.variant0;
-    const snap = (value) => this._snapValue(value);
+    if (!view || !this._getViewVariant(view) || !parentRect) return;
+    const v0 = this._getViewVariant(view);
+    // Edges held by a snapping guide keep the guide position instead of the grid.
+    const guides = guideEdges || {};
+    const snap = (value, edge) => (guides[edge] !== undefined ? guides[edge] : this._snapValue(value));
 
     let nextLeft = initialLeft;
     let nextTop = initialTop;
     let nextRight = initialLeft + initialWidth;
     let nextBottom = initialTop + initialHeight;
 
-    if (dir.includes("e")) nextRight = snap(initialLeft + initialWidth + dx);
-    if (dir.includes("s")) nextBottom = snap(initialTop + initialHeight + dy);
-    if (dir.includes("w")) nextLeft = snap(initialLeft + dx);
-    if (dir.includes("n")) nextTop = snap(initialTop + dy);
+    if (dir.includes("e")) nextRight = snap(initialLeft + initialWidth + dx, "right");
+    if (dir.includes("s")) nextBottom = snap(initialTop + initialHeight + dy, "bottom");
+    if (dir.includes("w")) nextLeft = snap(initialLeft + dx, "left");
+    if (dir.includes("n")) nextTop = snap(initialTop + dy, "top");
 
     if (nextRight - nextLeft < this._snapGrid) {
       if (dir.includes("w")) {
@@ -2219,7 +5017,7 @@ class SithasoBJLDesigner extends HTMLElement {
       top: nextTop,
       width: Math.max(this._snapGrid, nextRight - nextLeft),
       height: Math.max(this._snapGrid, nextBottom - nextTop),
-    });
+    }, { snap: !guideEdges });
 
     if (view.customProperties) {
       view.customProperties.Left = v0.left;
@@ -2298,6 +5096,243 @@ class SithasoBJLDesigner extends HTMLElement {
     // For import: update workspace only
     this.updateWorkspace();
     this._updateOutline();
+    this._updateVariantMenu();
+    this._updateScriptEditor();
+  }
+
+  /**
+   * Switches the canvas to another layout variant. Every view keeps one
+   * geometry block per variant (variant0, variant1, ...), so only the
+   * matching block is rendered and edited.
+   */
+  setActiveVariant(index) {
+    if (!this._engine) return;
+    const variants = this._engine.getLayout().Variants || [];
+    if (index < 0 || index >= variants.length) return;
+    this._activeVariant = index;
+    this._previewSize = null;
+    this._syncEngineVariantBoundsFromLayout();
+    this._syncGeometryProperties();
+    this._applyWorkspaceScalerSize();
+    this.updateWorkspace();
+    this._updateOutline();
+    this._updateVariantMenu();
+    this._updatePreviewSizeControls();
+    this._updateScriptEditor();
+    this.dispatchEvent(
+      new CustomEvent("variant-change", {
+        detail: { index, variant: variants[index] },
+      }),
+    );
+  }
+
+  /**
+   * Temporarily shows the root at another size so anchored views stretch and move as they
+   * would on a device. The layout is not changed; pass null to go back to the variant size.
+   */
+  setPreviewSize(width, height) {
+    const w = Number(width);
+    const h = Number(height);
+    this._previewSize = width === null || !(w > 0) || !(h > 0)
+      ? null
+      : { width: Math.round(w), height: Math.round(h) };
+    this._applyWorkspaceScalerSize();
+    this.updateWorkspace();
+    this._updatePreviewSizeControls();
+    this.dispatchEvent(
+      new CustomEvent("preview-size-change", { detail: { size: this._previewSize } }),
+    );
+  }
+
+  _updatePreviewSizeControls() {
+    const widthInput = this.querySelector("#previewWidth");
+    const heightInput = this.querySelector("#previewHeight");
+    if (!widthInput || !heightInput || !this._engine) return;
+    const variant = (this._engine.getLayout().Variants || [])[this._activeVariant] || {};
+    const variantSize = {
+      width: Number(variant.Width) || this._engine.variantWidth,
+      height: Number(variant.Height) || this._engine.variantHeight,
+    };
+    const size = this._previewSize || variantSize;
+    // Allow previews up to twice the variant size.
+    widthInput.max = Math.max(size.width, variantSize.width * 2);
+    heightInput.max = Math.max(size.height, variantSize.height * 2);
+    widthInput.value = size.width;
+    heightInput.value = size.height;
+    this.querySelector("#previewWidthValue").textContent = size.width;
+    this.querySelector("#previewHeightValue").textContent = size.height;
+
+    const label = this.querySelector("#previewSizeLabel");
+    label.textContent = this._previewSize ? `${size.width} × ${size.height}` : "";
+    label.classList.toggle("hidden", !this._previewSize);
+    this.querySelector("#btnPreviewSize").classList.toggle("btn-active", !!this._previewSize);
+  }
+
+  /**
+   * Re-points the Left/Top/Width/Height custom properties at the active variant.
+   */
+  _syncGeometryProperties() {
+    this._getViewsInLayoutOrder().forEach((view) => {
+      const variant = this._getViewVariant(view);
+      if (!variant || !view.customProperties) return;
+      view.customProperties.Left = variant.left;
+      view.customProperties.Top = variant.top;
+      view.customProperties.Width = variant.width;
+      view.customProperties.Height = variant.height;
+    });
+  }
+
+  _formatVariant(variant) {
+    const v = variant || {};
+    return `${v.Width} × ${v.Height}, scale ${v.Scale ?? 1}`;
+  }
+
+  _updateVariantMenu() {
+    const menu = this.querySelector("#variantDropdownMenu");
+    const label = this.querySelector("#variantLabel");
+    if (!menu || !this._engine) return;
+
+    const variants = this._engine.getLayout().Variants || [];
+    const active = variants[this._activeVariant];
+    if (label && active) label.textContent = `${active.Width} × ${active.Height}`;
+
+    menu.innerHTML = `
+      <li class="menu-title text-[10px] uppercase">Variants</li>
+      ${variants
+        .map(
+          (v, i) => `
+        <li>
+          <a data-variant="${i}" class="${i === this._activeVariant ? "active" : ""} flex justify-between">
+            <span>${this._formatVariant(v)}</span>
+            ${
+              variants.length > 1
+                ? `<i class="ri-delete-bin-line opacity-50 hover:opacity-100 hover:text-error" data-delete-variant="${i}" title="Delete variant"></i>`
+                : ""
+            }
+          </a>
+        </li>`,
+        )
+        .join("")}
+      <div class="divider my-0 opacity-10"></div>
+      <li>
+        <a data-add-variant>
+          <i class="ri-add-line"></i> Add Variant...
+        </a>
+      </li>
+    `;
+  }
+
+  /**
+   * Prompts for a new variant size and seeds it from an existing variant,
+   * scaling every view proportionally.
+   */
+  async addVariant() {
+    if (!this._engine) return;
+    const variants = this._engine.getLayout().Variants || [];
+    const current = variants[this._activeVariant] || { Width: 600, Height: 600, Scale: 1 };
+    const suggested = this._suggestVariantSize(variants, current);
+
+    const result = await Swal.fire({
+      title: "Add Variant",
+      html: `
+        <div class="flex flex-col gap-3 text-left">
+          <div class="grid grid-cols-3 gap-2">
+            <label class="form-control"><span class="label-text text-xs">Width</span>
+              <input id="swalVariantWidth" type="number" min="1" class="input input-bordered input-sm" value="${suggested.width}">
+            </label>
+            <label class="form-control"><span class="label-text text-xs">Height</span>
+              <input id="swalVariantHeight" type="number" min="1" class="input input-bordered input-sm" value="${suggested.height}">
+            </label>
+            <label class="form-control"><span class="label-text text-xs">Scale</span>
+              <input id="swalVariantScale" type="number" min="0.1" step="0.1" class="input input-bordered input-sm" value="${current.Scale ?? 1}">
+            </label>
+          </div>
+          <label class="form-control"><span class="label-text text-xs">Seed views from</span>
+            <select id="swalVariantSource" class="select select-bordered select-sm">
+              ${variants
+                .map(
+                  (v, i) =>
+                    `<option value="${i}" ${i === this._activeVariant ? "selected" : ""}>${this._formatVariant(v)}</option>`,
+                )
+                .join("")}
+            </select>
+          </label>
+        </div>
+      `,
+      showCancelButton: true,
+      confirmButtonColor: "#3b82f6",
+      cancelButtonColor: "#6b7280",
+      confirmButtonText: "Add",
+      background: this._theme === "dark" ? "#1e1e1e" : "#ffffff",
+      color: this._theme === "dark" ? "#ffffff" : "#1a1a1a",
+      preConfirm: () => {
+        const width = parseInt(document.getElementById("swalVariantWidth").value, 10);
+        const height = parseInt(document.getElementById("swalVariantHeight").value, 10);
+        const scale = parseFloat(document.getElementById("swalVariantScale").value);
+        const source = parseInt(document.getElementById("swalVariantSource").value, 10) || 0;
+        if (!(width > 0) || !(height > 0)) {
+          Swal.showValidationMessage("Width and height must be positive numbers.");
+          return false;
+        }
+        if (variants.some((v) => v.Width === width && v.Height === height && Number(v.Scale ?? 1) === scale)) {
+          Swal.showValidationMessage("A variant with this size and scale already exists.");
+          return false;
+        }
+        return { width, height, scale: scale > 0 ? scale : 1, source };
+      },
+    });
+    if (!result.isConfirmed || !result.value) return;
+
+    const { width, height, scale, source } = result.value;
+    this.saveState(`Added variant ${width} x ${height}`);
+    const index = this._engine.addVariant(width, height, scale, source);
+    this.setActiveVariant(index);
+    this._autoSave();
+  }
+
+  /**
+   * Size offered for a new variant: the current one turned on its side, else the first common
+   * screen size the layout does not have yet at the current scale.
+   */
+  _suggestVariantSize(variants, current) {
+    const scale = Number(current.Scale ?? 1);
+    const taken = (width, height) =>
+      variants.some((v) => v.Width === width && v.Height === height && Number(v.Scale ?? 1) === scale);
+    const candidates = [
+      [current.Height, current.Width],
+      [320, 480], [480, 320], [600, 600], [800, 600], [1024, 768], [1280, 720], [1920, 1080],
+    ];
+    const free = candidates.find(([width, height]) => !taken(width, height));
+    if (free) return { width: free[0], height: free[1] };
+    let width = current.Width + 10;
+    while (taken(width, current.Height)) width += 10;
+    return { width, height: current.Height };
+  }
+
+  async deleteVariant(index) {
+    if (!this._engine) return;
+    const variants = this._engine.getLayout().Variants || [];
+    if (index < 0 || index >= variants.length || variants.length <= 1) return;
+
+    const result = await Swal.fire({
+      title: "Delete Variant?",
+      text: `This removes the ${this._formatVariant(variants[index])} variant and its view positions. You can undo this with Ctrl+Z.`,
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonColor: "#ef4444",
+      cancelButtonColor: "#6b7280",
+      confirmButtonText: "Delete",
+      background: this._theme === "dark" ? "#1e1e1e" : "#ffffff",
+      color: this._theme === "dark" ? "#ffffff" : "#1a1a1a",
+    });
+    if (!result.isConfirmed) return;
+
+    this.saveState(`Deleted variant ${this._formatVariant(variants[index])}`);
+    this._engine.removeVariant(index);
+    let next = this._activeVariant;
+    if (index < next || next >= variants.length) next -= 1;
+    this.setActiveVariant(Math.max(0, next));
+    this._autoSave();
   }
 
   async clear(force = false) {
@@ -2320,14 +5355,12 @@ class SithasoBJLDesigner extends HTMLElement {
     }
 
     if (confirmed) {
-      this.saveState();
+      this.saveState("Cleared layout");
       const layout = this._engine.getLayout();
       layout.Data[":kids"] = {};
       layout.LayoutHeader.ControlsHeaders =
-        layout.LayoutHeader.ControlsHeaders.filter((h) => h.Name === "Main");
+        layout.LayoutHeader.ControlsHeaders.filter((h) => h.Name === layout.Data.name);
       this._selectedId = null;
-      this._history = [];
-      this._redoStack = [];
       this.updateWorkspace();
       this._updateOutline();
       this._updateHistoryControls();
@@ -2381,6 +5414,11 @@ class SithasoBJLDesigner extends HTMLElement {
     const btnRedo = this.querySelector("#btnRedo");
     if (btnUndo) btnUndo.disabled = this._history.length === 0;
     if (btnRedo) btnRedo.disabled = this._redoStack.length === 0;
+    const panel = this.querySelector("#historyPanel");
+    if (panel && typeof panel.setHistory === "function") {
+      const { steps, current } = this.getHistorySteps();
+      panel.setHistory(steps, current);
+    }
   }
 
   _getColor(id) {
@@ -2446,8 +5484,60 @@ class SithasoBJLDesigner extends HTMLElement {
                     background: rgba(255,255,255,0.02);
                     border-bottom: 1px solid rgba(255,255,255,0.05);
                 }
+                .document-tabs {
+                    height: 34px;
+                    min-height: 34px;
+                    padding: 0 0.75rem;
+                    display: flex;
+                    align-items: flex-end;
+                    gap: 2px;
+                    overflow-x: auto;
+                    overflow-y: hidden;
+                    scrollbar-width: none;
+                    border-bottom: 1px solid color-mix(in oklch, var(--color-base-content), transparent 92%);
+                    flex-shrink: 0;
+                }
+                .document-tabs > .btn { align-self: center; }
+                .document-tab {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.35rem;
+                    max-width: 200px;
+                    height: 28px;
+                    padding: 0 0.35rem 0 0.75rem;
+                    font-size: 0.75rem;
+                    border-radius: 0.5rem 0.5rem 0 0;
+                    opacity: 0.6;
+                    cursor: pointer;
+                    flex-shrink: 0;
+                }
+                .document-tab:hover { opacity: 0.9; }
+                .document-tab.active {
+                    opacity: 1;
+                    font-weight: 700;
+                    background: color-mix(in oklch, var(--color-base-content), transparent 94%);
+                    box-shadow: inset 0 -2px 0 var(--color-primary);
+                }
+                .document-tab-name {
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                .document-tab-close {
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    width: 18px;
+                    height: 18px;
+                    border-radius: 9999px;
+                    opacity: 0.5;
+                }
+                .document-tab-close:hover {
+                    opacity: 1;
+                    background: color-mix(in oklch, var(--color-base-content), transparent 85%);
+                }
                 .content-area {
-                    height: calc(100% - 56px);
+                    height: calc(100% - 90px);
                     display: flex;
                     overflow: hidden;
                     flex-shrink: 0;
@@ -2464,13 +5554,44 @@ class SithasoBJLDesigner extends HTMLElement {
                     border-right: 1px solid rgba(255,255,255,0.05);
                     background: rgba(255,255,255,0.01);
                 }
+                .sidebar-pane {
+                    display: none;
+                    flex: 1;
+                    flex-direction: column;
+                    overflow: hidden;
+                }
+                .sidebar-pane.active {
+                    display: flex;
+                }
+                .workspace.drop-target {
+                    outline: 2px dashed var(--selection-color, #3b82f6);
+                    outline-offset: 4px;
+                }
+                .designer-item.drop-parent {
+                    outline: 2px dashed var(--selection-color, #3b82f6);
+                    outline-offset: -4px;
+                }
+                .property-sidebar {
+                    width: 320px;
+                    border-left: 1px solid rgba(0,0,0,0.05);
+                    background: rgba(0,0,0,0.01);
+                    display: flex;
+                    flex-direction: column;
+                    padding: 1.5rem 1rem;
+                    flex-shrink: 0;
+                }
+                .dark .property-sidebar {
+                    border-left: 1px solid rgba(255,255,255,0.05);
+                    background: rgba(255,255,255,0.01);
+                }
                 .workspace-view {
                     flex: 1;
                     position: relative;
                     overflow: auto;
                     background: rgba(0,0,0,0.02);
                     scroll-behavior: smooth;
-                    padding: 0.5rem;
+                    /* Room for the rulers along the top and left edges */
+                    padding: calc(0.5rem + 20px) 0.5rem 0.5rem calc(0.5rem + 20px);
                 }
                 .workspace-wrapper {
                     display: flex;
@@ -2491,7 +5612,7 @@ class SithasoBJLDesigner extends HTMLElement {
                 }
                 .action-menu {
                     position: sticky;
-                    top: 0;
+                    top: 20px;
                     width: 64px;
                     display: flex;
                     flex-direction: column;
@@ -2610,10 +5731,149 @@ class SithasoBJLDesigner extends HTMLElement {
                     backdrop-filter: blur(4px);
                     transition: transform 0.4s cubic-bezier(0.34, 1.56, 0.64, 1);
                 }
+                .native-item {
+                    box-shadow: none;
+                    border: 1px dashed rgba(100,116,139,0.5);
+                    overflow: hidden;
+                }
+                .native-button {
+                    border: 1px solid rgba(0,0,0,0.25);
+                    box-shadow: 0 1px 2px rgba(0,0,0,0.2);
+                }
+                .native-edittext {
+                    border: 1px solid rgba(0,0,0,0.35);
+                }
+                .native-panel {
+                    border: 1px solid rgba(100,116,139,0.6);
+                }
+                .native-text {
+                    position: absolute;
+                    inset: 0;
+                    display: flex;
+                    padding: 0 4px;
+                    overflow: hidden;
+                    white-space: nowrap;
+                    pointer-events: none;
+                }
+                .native-hint {
+                    opacity: 0.45;
+                }
+                .native-image {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    color: rgba(100,116,139,0.8);
+                    font-size: 1.5rem;
+                    pointer-events: none;
+                }
+                .native-image small {
+                    font-size: 9px;
+                }
+                .native-item .item-label {
+                    position: absolute;
+                    top: 2px;
+                    left: 2px;
+                    padding: 1px 4px;
+                    font-size: 9px;
+                }
+                .component-preview {
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    overflow: hidden;
+                    transform-origin: 0 0;
+                    color: var(--color-base-content);
+                    pointer-events: none;
+                }
+                .preview-item .item-label {
+                    position: absolute;
+                    top: 2px;
+                    left: 2px;
+                    padding: 1px 4px;
+                    font-size: 9px;
+                }
+                .preview-field {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.25rem;
+                    width: 100%;
+                    height: 100%;
+                    justify-content: center;
+                }
+                .preview-legend {
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                }
+                .preview-text {
+                    width: 100%;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .preview-check {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.5rem;
+                    width: 100%;
+                }
+                .preview-avatar {
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    height: 100%;
+                    aspect-ratio: 1;
+                    max-width: 100%;
+                    color: white;
+                    font-size: 1.25rem;
+                    font-weight: 700;
+                }
+                .preview-image {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    justify-content: center;
+                    width: 100%;
+                    height: 100%;
+                    font-size: 2rem;
+                    background: var(--color-base-200);
+                    color: color-mix(in oklch, var(--color-base-content), transparent 50%);
+                }
+                .preview-image small {
+                    font-size: 0.7rem;
+                }
+                .preview-rating {
+                    display: flex;
+                    gap: 0.125rem;
+                    font-size: 1.25rem;
+                }
                 .item-label.rotated {
                     transform: rotate(-90deg);
                     white-space: nowrap;
                 }
+                .anchor-pin {
+                    position: absolute;
+                    display: none;
+                    align-items: center;
+                    justify-content: center;
+                    width: 16px;
+                    height: 16px;
+                    font-size: 10px;
+                    border-radius: 9999px;
+                    background: rgba(255,255,255,0.9);
+                    color: #94a3b8;
+                    box-shadow: 0 1px 3px rgba(0,0,0,0.25);
+                    cursor: pointer;
+                    z-index: 31;
+                }
+                .selected .anchor-pin { display: flex; }
+                .dragging .anchor-pin, .resizing .anchor-pin { display: none; }
+                .anchor-pin.pinned { color: var(--selection-color, #3b82f6); }
+                .anchor-pin.left { left: 8px; top: calc(50% - 8px); }
+                .anchor-pin.right { right: 8px; top: calc(50% - 8px); }
+                .anchor-pin.top { top: 8px; left: calc(50% - 8px); }
+                .anchor-pin.bottom { bottom: 8px; left: calc(50% - 8px); }
                 .resizer {
                     position: absolute;
                     width: 10px;
@@ -2682,6 +5942,221 @@ class SithasoBJLDesigner extends HTMLElement {
                 .json-editor-view.active {
                     display: flex;
                 }
+                .script-editor-view {
+                    display: none;
+                    flex: 1;
+                    overflow: hidden;
+                    padding: 1rem;
+                    background: var(--color-base-100);
+                }
+                .script-editor-view.active {
+                    display: flex;
+                }
+                .workspace-rulers {
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    width: 0;
+                    height: 0;
+                    z-index: 45;
+                }
+                .ruler {
+                    position: absolute;
+                    overflow: hidden;
+                    background: var(--color-base-200);
+                    color: color-mix(in oklch, var(--color-base-content), transparent 40%);
+                    font-size: 9px;
+                    user-select: none;
+                }
+                .ruler-corner {
+                    top: 0;
+                    left: 0;
+                    width: 20px;
+                    height: 20px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    border: none;
+                    border-right: 1px solid color-mix(in oklch, var(--color-base-content), transparent 85%);
+                    border-bottom: 1px solid color-mix(in oklch, var(--color-base-content), transparent 85%);
+                    cursor: pointer;
+                }
+                .ruler-h {
+                    top: 0;
+                    left: 20px;
+                    height: 20px;
+                    border-bottom: 1px solid color-mix(in oklch, var(--color-base-content), transparent 85%);
+                    cursor: row-resize;
+                }
+                .ruler-v {
+                    top: 20px;
+                    left: 0;
+                    width: 20px;
+                    border-right: 1px solid color-mix(in oklch, var(--color-base-content), transparent 85%);
+                    cursor: col-resize;
+                }
+                .ruler-tick {
+                    position: absolute;
+                    background: currentColor;
+                    opacity: 0.5;
+                }
+                .ruler-tick.major { opacity: 1; }
+                .ruler-h .ruler-tick { left: var(--pos); bottom: 0; width: 1px; height: 4px; }
+                .ruler-h .ruler-tick.major { height: 20px; }
+                .ruler-v .ruler-tick { top: var(--pos); right: 0; height: 1px; width: 4px; }
+                .ruler-v .ruler-tick.major { width: 20px; }
+                .ruler-tick em {
+                    position: absolute;
+                    font-style: normal;
+                    line-height: 1;
+                    background: var(--color-base-200);
+                }
+                .ruler-h .ruler-tick em { left: 3px; top: 2px; }
+                .ruler-v .ruler-tick em { top: 3px; left: 2px; writing-mode: vertical-rl; transform: rotate(180deg); }
+                .ruler-marker {
+                    position: absolute;
+                    background: #06b6d4;
+                }
+                .ruler-h .ruler-marker { left: var(--pos); top: 0; bottom: 0; width: 1px; }
+                .ruler-v .ruler-marker { top: var(--pos); left: 0; right: 0; height: 1px; }
+                .user-guides-layer {
+                    position: absolute;
+                    inset: 0;
+                    pointer-events: none;
+                    z-index: 40;
+                }
+                .user-guide {
+                    position: absolute;
+                    pointer-events: auto;
+                }
+                .user-guide::after {
+                    content: "";
+                    position: absolute;
+                    background: #06b6d4;
+                }
+                .user-guide.vertical { top: 0; bottom: 0; width: 7px; margin-left: -3px; cursor: col-resize; }
+                .user-guide.vertical::after { top: 0; bottom: 0; left: 3px; width: 1px; }
+                .user-guide.horizontal { left: 0; right: 0; height: 7px; margin-top: -3px; cursor: row-resize; }
+                .user-guide.horizontal::after { left: 0; right: 0; top: 3px; height: 1px; }
+                .measure-layer {
+                    position: absolute;
+                    inset: 0;
+                    pointer-events: none;
+                    z-index: 55;
+                }
+                .measure-target {
+                    position: absolute;
+                    outline: 1px dashed #8b5cf6;
+                }
+                .measure-distance {
+                    position: absolute;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+                .measure-distance.horizontal { border-top: 1px solid #8b5cf6; }
+                .measure-distance.vertical { border-left: 1px solid #8b5cf6; }
+                .measure-distance span {
+                    padding: 0 4px;
+                    font-size: 9px;
+                    font-weight: 700;
+                    line-height: 14px;
+                    color: white;
+                    background: #8b5cf6;
+                    border-radius: 4px;
+                    white-space: nowrap;
+                }
+                .snap-guides-layer {
+                    position: absolute;
+                    inset: 0;
+                    pointer-events: none;
+                    z-index: 60;
+                }
+                .snap-guide {
+                    position: absolute;
+                    background: #f43f5e;
+                }
+                .snap-guide.vertical { width: 1px; }
+                .snap-guide.horizontal { height: 1px; }
+                .snap-distance {
+                    position: absolute;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+                .snap-distance.horizontal { border-top: 1px dashed #f43f5e; }
+                .snap-distance.vertical { border-left: 1px dashed #f43f5e; }
+                .snap-distance span {
+                    padding: 0 4px;
+                    font-size: 9px;
+                    font-weight: 700;
+                    line-height: 14px;
+                    color: white;
+                    background: #f43f5e;
+                    border-radius: 4px;
+                    white-space: nowrap;
+                }
+                .compare-canvas {
+                    position: relative;
+                    overflow: hidden;
+                    background: color-mix(in oklch, var(--color-base-content), transparent 95%);
+                    border: 1px solid color-mix(in oklch, var(--color-base-content), transparent 85%);
+                    border-radius: 4px;
+                }
+                .compare-item {
+                    position: absolute;
+                    border: 1px solid color-mix(in oklch, var(--color-base-content), transparent 70%);
+                    border-radius: 2px;
+                }
+                .compare-item.compare-added {
+                    border-color: var(--color-success);
+                    background: color-mix(in oklch, var(--color-success), transparent 70%);
+                }
+                .compare-item.compare-removed {
+                    border-color: var(--color-error);
+                    background: color-mix(in oklch, var(--color-error), transparent 70%);
+                }
+                .compare-item.compare-changed {
+                    border-color: var(--color-warning);
+                    background: color-mix(in oklch, var(--color-warning), transparent 70%);
+                }
+                .compare-item[data-view], .compare-row[data-view] { cursor: pointer; }
+                .compare-conflict {
+                    padding: 0.4rem 0;
+                    border-bottom: 1px solid color-mix(in oklch, var(--color-base-content), transparent 90%);
+                }
+                .script-preview-layer {
+                    position: absolute;
+                    inset: 0;
+                    pointer-events: none;
+                    z-index: 50;
+                }
+                .script-preview-item {
+                    position: absolute;
+                    border: 2px dashed var(--color-accent);
+                    background: color-mix(in oklch, var(--color-accent), transparent 88%);
+                    border-radius: 4px;
+                }
+                .script-preview-item.is-hidden {
+                    opacity: 0.35;
+                    border-style: dotted;
+                }
+                .script-preview-item > span {
+                    position: absolute;
+                    top: 2px;
+                    left: 4px;
+                    font-size: 10px;
+                    font-weight: 700;
+                    color: var(--color-accent);
+                    white-space: nowrap;
+                }
+                .script-preview-errors {
+                    position: absolute;
+                    right: 8px;
+                    bottom: 8px;
+                    pointer-events: auto;
+                    cursor: pointer;
+                }
                 /* JSONEditor Customization */
                 .jsoneditor {
                     border: none !important;
@@ -2714,7 +6189,12 @@ class SithasoBJLDesigner extends HTMLElement {
                             <ul id="fileDropdownMenu" tabindex="0" class="dropdown-content menu p-2 shadow bg-base-100 rounded-box w-52 z-[100]">
                                 <li>
                                     <a id="btnImport">
-                                        <i class="ri-upload-2-line"></i> Import BJL/BAL
+                                        <i class="ri-folder-open-line"></i> Open BJL/BAL
+                                    </a>
+                                </li>
+                                <li>
+                                    <a id="btnOpenFolder">
+                                        <i class="ri-folder-2-line"></i> Open Folder
                                     </a>
                                 </li>
                                 <li>
@@ -2722,6 +6202,17 @@ class SithasoBJLDesigner extends HTMLElement {
                                         <i class="ri-file-code-line"></i> Import JSON
                                     </a>
                                 </li>
+                                <li>
+                                    <details id="recentMenu">
+                                        <summary><i class="ri-time-line"></i> Recent</summary>
+                                        <ul id="recentList"></ul>
+                                    </details>
+                                </li>
+                                <li>
+                                    <a id="btnProject">
+                                        <i class="ri-folder-3-line"></i> Project
+                                    </a>
+                                </li>
                                 <div class="divider my-0 opacity-10"></div>
                                 <li>
                                     <a id="btnExport">
@@ -2745,6 +6236,32 @@ class SithasoBJLDesigner extends HTMLElement {
                                     </a>
                                 </li>
                                 <div class="divider my-0 opacity-10"></div>
+                                <li>
+                                    <a id="btnNest">
+                                        <i class="ri-node-tree"></i> Nest Into Panels
+                                    </a>
+                                </li>
+                                <li>
+                                    <a id="btnFlatten">
+                                        <i class="ri-stack-line"></i> Flatten Hierarchy
+                                    </a>
+                                </li>
+                                <li>
+                                    <a id="btnMigrateSchemas">
+                                        <i class="ri-refresh-line"></i> Update to Current Schemas
+                                    </a>
+                                </li>
+                                <li>
+                                    <a id="btnConvertPlatform">
+                                        <i class="ri-smartphone-line"></i> <span>Convert to B4A</span>
+                                    </a>
+                                </li>
+                                <li>
+                                    <a id="btnCompare">
+                                        <i class="ri-git-merge-line"></i> Compare & Merge
+                                    </a>
+                                </li>
+                                <div class="divider my-0 opacity-10"></div>
                                 <li>
                                     <a id="btnSettings">
                                         <i class="ri-settings-3-line"></i> Settings
@@ -2760,10 +6277,41 @@ class SithasoBJLDesigner extends HTMLElement {
                         </div>
                         <input type="file" id="fileImport" accept=".bjl,.bal" style="display: none;">
                         <input type="file" id="fileImportJson" accept=".json" style="display: none;">
+                        <input type="file" id="fileOpenFolder" webkitdirectory multiple style="display: none;">
 
                     </div>
 
                     <div class="flex-1 flex justify-center items-center gap-3">
+                        <div id="variantDropdown" class="dropdown dropdown-center">
+                            <label tabindex="0" class="btn btn-sm btn-ghost gap-2 rounded-full px-3" title="Layout variant">
+                                <i class="ri-smartphone-line"></i>
+                                <span id="variantLabel" class="text-xs font-bold"></span>
+                                <i class="ri-arrow-down-s-line"></i>
+                            </label>
+                            <ul id="variantDropdownMenu" tabindex="0" class="dropdown-content menu p-2 shadow bg-base-100 rounded-box w-64 z-[100]"></ul>
+                        </div>
+                        <div id="previewSizeDropdown" class="dropdown dropdown-center">
+                            <label id="btnPreviewSize" tabindex="0" class="btn btn-sm btn-ghost gap-2 rounded-full px-3" title="Preview at size">
+                                <i class="ri-aspect-ratio-line"></i>
+                                <span id="previewSizeLabel" class="text-xs font-bold hidden"></span>
+                            </label>
+                            <div tabindex="0" class="dropdown-content bg-base-100 shadow rounded-box w-72 p-4 z-[100] flex flex-col gap-3">
+                                <div class="text-[10px] uppercase font-bold opacity-50">Preview at size</div>
+                                <label class="flex items-center gap-2 text-xs">
+                                    <span class="w-4 font-bold">W</span>
+                                    <input id="previewWidth" type="range" class="range range-xs range-primary flex-1" min="100" step="10">
+                                    <span id="previewWidthValue" class="w-10 text-right font-mono"></span>
+                                </label>
+                                <label class="flex items-center gap-2 text-xs">
+                                    <span class="w-4 font-bold">H</span>
+                                    <input id="previewHeight" type="range" class="range range-xs range-primary flex-1" min="100" step="10">
+                                    <span id="previewHeightValue" class="w-10 text-right font-mono"></span>
+                                </label>
+                                <button id="btnPreviewSizeReset" class="btn btn-xs btn-ghost">
+                                    <i class="ri-arrow-go-back-line"></i> Back to variant size
+                                </button>
+                            </div>
+                        </div>
                         <span id="toolbarTitle" class="text-sm font-black opacity-60 px-4 py-1 bg-base-100/30 rounded-full border border-base-content/5 tracking-tight">
                             ${this._currentFilename}
                         </span>
@@ -2774,6 +6322,16 @@ class SithasoBJLDesigner extends HTMLElement {
                     </div>
 
                     <div class="flex items-center gap-2">
+                        <div class="tooltip tooltip-left tooltip-primary" data-tip="Preview Designer Script">
+                            <button id="btnScriptPreview" class="btn btn-circle btn-sm btn-ghost">
+                                <i class="ri-play-circle-line text-lg"></i>
+                            </button>
+                        </div>
+                        <div class="tooltip tooltip-left tooltip-primary" data-tip="Designer Script">
+                            <button id="btnToggleScript" class="btn btn-circle btn-sm btn-ghost">
+                                <i class="ri-terminal-box-line text-lg"></i>
+                            </button>
+                        </div>
                         <div class="tooltip tooltip-left tooltip-primary" data-tip="Toggle JSON Editor">
                             <button id="btnToggleJson" class="btn btn-circle btn-sm btn-ghost">
                                 <i class="ri-code-s-line text-lg"></i>
@@ -2817,12 +6375,51 @@ class SithasoBJLDesigner extends HTMLElement {
                     </div>
                 </div>
 
+                <div id="documentTabs" class="document-tabs"></div>
+
                 <div class="content-area">
                     <div class="tree-sidebar">
-                        <bjl-tree id="outlineTree" class="flex-1"></bjl-tree>
+                        <div role="tablist" class="tabs tabs-box tabs-sm mb-4 sidebar-tabs">
+                            <a role="tab" class="tab tab-active flex-1" data-pane="outline">
+                                <i class="ri-node-tree mr-1"></i> Outline
+                            </a>
+                            <a role="tab" class="tab flex-1" data-pane="palette">
+                                <i class="ri-apps-2-add-line mr-1"></i> Components
+                            </a>
+                            <a role="tab" class="tab" data-pane="problems" title="Problems">
+                                <i class="ri-error-warning-line"></i>
+                                <span id="problemsBadge" class="badge badge-xs ml-1 hidden"></span>
+                            </a>
+                            <a role="tab" class="tab" data-pane="history" title="History">
+                                <i class="ri-history-line"></i>
+                            </a>
+                            <a role="tab" class="tab" data-pane="files" title="Project Folder">
+                                <i class="ri-folder-2-line"></i>
+                            </a>
+                        </div>
+                        <div class="sidebar-pane active" data-pane="outline">
+                            <bjl-tree id="outlineTree" class="flex-1"></bjl-tree>
+                        </div>
+                        <div class="sidebar-pane" data-pane="palette">
+                            <bjl-palette id="componentPalette" class="flex-1"></bjl-palette>
+                        </div>
+                        <div class="sidebar-pane" data-pane="problems">
+                            <bjl-problems id="problemsPanel" class="flex-1"></bjl-problems>
+                        </div>
+                        <div class="sidebar-pane" data-pane="history">
+                            <bjl-history id="historyPanel" class="flex-1"></bjl-history>
+                        </div>
+                        <div class="sidebar-pane" data-pane="files">
+                            <bjl-file-browser id="fileBrowser" class="flex-1"></bjl-file-browser>
+                        </div>
                     </div>
 
                     <div class="workspace-view">
+                        <div class="workspace-rulers">
+                            <button class="ruler ruler-corner" id="btnClearGuides" title="Clear guides"><i class="ri-close-line"></i></button>
+                            <div class="ruler ruler-h" data-axis="y" title="Drag to add a guide"></div>
+                            <div class="ruler ruler-v" data-axis="x" title="Drag to add a guide"></div>
+                        </div>
                         <div class="workspace-wrapper">
                             <div class="workspace-board">
                                 <div class="workspace-scaler" style="width: ${workspaceBase.width * this._scale}px; height: ${workspaceBase.height * this._scale}px;">
@@ -2874,14 +6471,56 @@ class SithasoBJLDesigner extends HTMLElement {
                                             </div>
                                         </div>
                                     </div>
+                                    <div class="divider my-0 opacity-10"></div>
+
+                                    <div id="arrangeDropdown" class="dropdown dropdown-left">
+                                        <div class="tooltip tooltip-left tooltip-primary" data-tip="Arrange (2+ views)">
+                                            <button id="btnArrange" tabindex="0" class="btn btn-circle btn-ghost btn-sm" disabled>
+                                                <i class="ri-layout-masonry-line text-lg"></i>
+                                            </button>
+                                        </div>
+                                        <ul id="arrangeMenu" tabindex="0" class="dropdown-content menu menu-sm p-2 shadow bg-base-100 rounded-box w-56 z-[100]">
+                                            <li class="menu-title">Align</li>
+                                            <li><a data-arrange="align" data-value="left"><i class="ri-align-item-left-line"></i> Left</a></li>
+                                            <li><a data-arrange="align" data-value="center"><i class="ri-align-item-horizontal-center-line"></i> Center</a></li>
+                                            <li><a data-arrange="align" data-value="right"><i class="ri-align-item-right-line"></i> Right</a></li>
+                                            <li><a data-arrange="align" data-value="top"><i class="ri-align-item-top-line"></i> Top</a></li>
+                                            <li><a data-arrange="align" data-value="middle"><i class="ri-align-item-vertical-center-line"></i> Middle</a></li>
+                                            <li><a data-arrange="align" data-value="bottom"><i class="ri-align-item-bottom-line"></i> Bottom</a></li>
+                                            <li class="menu-title">Distribute (3+ views)</li>
+                                            <li><a data-arrange="distribute" data-value="horizontal"><i class="ri-layout-column-line"></i> Horizontally</a></li>
+                                            <li><a data-arrange="distribute" data-value="vertical"><i class="ri-layout-row-line"></i> Vertically</a></li>
+                                            <li class="menu-title">Match primary</li>
+                                            <li><a data-arrange="match" data-value="width"><i class="ri-expand-width-line"></i> Width</a></li>
+                                            <li><a data-arrange="match" data-value="height"><i class="ri-expand-height-line"></i> Height</a></li>
+                                            <li><a data-arrange="match" data-value="size"><i class="ri-aspect-ratio-line"></i> Size</a></li>
+                                            <li class="menu-title">Pack</li>
+                                            <li><a data-arrange="pack" data-value="horizontal"><i class="ri-contract-left-right-line"></i> Horizontally</a></li>
+                                            <li><a data-arrange="pack" data-value="vertical"><i class="ri-contract-up-down-line"></i> Vertically</a></li>
+                                            <li>
+                                                <label class="flex items-center justify-between gap-2">
+                                                    <span>Spacing</span>
+                                                    <input id="packSpacing" type="number" min="0" class="input input-xs w-16" value="10">
+                                                </label>
+                                            </li>
+                                        </ul>
+                                    </div>
                                 </div>
                             </div>
                         </div>
                     </div>
 
+                    <div class="property-sidebar">
+                        <bjl-properties id="propertyGrid" class="flex-1"></bjl-properties>
+                    </div>
+
                     <div class="json-editor-view">
                         <div id="jsonEditorContainer"></div>
                     </div>
+
+                    <div class="script-editor-view">
+                        <bjl-script-editor id="scriptEditor" class="flex-1"></bjl-script-editor>
+                    </div>
                 </div>
             </div>
 
@@ -2936,6 +6575,10 @@ class SithasoBJLDesigner extends HTMLElement {
                                     <td class="border-0 py-2">Shift Nudge</td>
                                     <td class="border-0 py-2"><input type="number" id="set_nudgeShiftStep" class="input input-bordered w-full" value="${this._settings.nudgeShiftStep}"></td>
                                 </tr>
+                                <tr class="border-0 py-2">
+                                    <td class="border-0 py-2">Undo Steps</td>
+                                    <td class="border-0 py-2"><input type="number" id="set_undoHistoryLimit" class="input input-bordered w-full" min="1" value="${this._settings.undoHistoryLimit}"></td>
+                                </tr>
                                 <tr class="border-0 py-2">
                                     <td class="border-0 py-2">Auto-Scroll</td>
                                     <td class="border-0 py-2"><input type="checkbox" id="set_autoScroll" class="toggle toggle-primary" ${this._settings.autoScroll ? "checked" : ""}></td>
@@ -2952,6 +6595,19 @@ class SithasoBJLDesigner extends HTMLElement {
                                         </select>
                                     </td>
                                 </tr>
+                                <tr class="border-0 py-2">
+                                    <td class="border-0 py-2">Canvas Mode</td>
+                                    <td class="border-0 py-2">
+                                        <select id="set_canvasMode" class="select select-bordered w-full">
+                                            <option value="preview" ${this._settings.canvasMode === "preview" ? "selected" : ""}>Preview</option>
+                                            <option value="wireframe" ${this._settings.canvasMode === "wireframe" ? "selected" : ""}>Wireframe</option>
+                                        </select>
+                                    </td>
+                                </tr>
+                                <tr class="border-0 py-2">
+                                    <td class="border-0 py-2">Nest Views in Panels</td>
+                                    <td class="border-0 py-2"><input type="checkbox" id="set_nestViews" class="toggle toggle-primary" ${this._settings.nestViews ? "checked" : ""}></td>
+                                </tr>
                                 <tr class="border-0 py-2">
                                     <td class="border-0 py-2">Initial Zoom (%)</td>
                                     <td class="border-0 py-2"><input type="number" id="set_initialZoom" class="input input-bordered w-full" value="${this._settings.initialZoom}"></td>
@@ -2972,6 +6628,77 @@ class SithasoBJLDesigner extends HTMLElement {
                 </form>
             </dialog>
 
+            <!-- Project Modal -->
+            <dialog id="modalProject" class="modal">
+                <div class="modal-box w-11/12 max-w-3xl bg-base-100/90 backdrop-blur-xl border border-base-content/10 shadow-2xl">
+                    <div class="flex items-center gap-3 mb-4">
+                        <div class="w-10 h-10 rounded-xl bg-primary/20 flex items-center justify-center text-primary">
+                            <i class="ri-folder-3-fill text-2xl"></i>
+                        </div>
+                        <div class="flex-1">
+                            <h3 class="font-black text-xl tracking-tight">Project</h3>
+                            <p class="text-[10px] uppercase font-bold opacity-40">Layouts, schemas and files stored in this browser</p>
+                        </div>
+                        <button id="btnExportProject" class="btn btn-sm btn-outline"><i class="ri-file-zip-line"></i> Export .zip</button>
+                    </div>
+
+                    <div id="projectLayouts" class="max-h-72 overflow-y-auto"></div>
+
+                    <div class="flex items-center justify-between mt-4 mb-1">
+                        <span class="text-[10px] uppercase font-bold opacity-50">Files</span>
+                        <button id="btnAddAssets" class="btn btn-xs btn-ghost"><i class="ri-upload-2-line"></i> Add Files</button>
+                        <input type="file" id="fileAddAssets" multiple style="display: none;">
+                    </div>
+                    <div id="projectAssets" class="text-xs max-h-40 overflow-y-auto"></div>
+
+                    <div class="modal-action mt-6">
+                        <form method="dialog" class="flex gap-4 w-full justify-end">
+                            <button class="btn btn-ghost" style="width: 200px;">Close</button>
+                        </form>
+                    </div>
+                </div>
+                <form method="dialog" class="modal-backdrop">
+                    <button>close</button>
+                </form>
+            </dialog>
+
+            <!-- Compare & Merge Modal -->
+            <dialog id="modalCompare" class="modal">
+                <div class="modal-box w-11/12 max-w-4xl bg-base-100/90 backdrop-blur-xl border border-base-content/10 shadow-2xl">
+                    <div class="flex items-center gap-3 mb-4">
+                        <div class="w-10 h-10 rounded-xl bg-primary/20 flex items-center justify-center text-primary">
+                            <i class="ri-git-merge-fill text-2xl"></i>
+                        </div>
+                        <div>
+                            <h3 class="font-black text-xl tracking-tight">Compare & Merge</h3>
+                            <p class="text-[10px] uppercase font-bold opacity-40">Views are matched by name</p>
+                        </div>
+                    </div>
+
+                    <div class="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                        <button id="btnCompareOther" class="btn btn-sm btn-outline"><i class="ri-file-line"></i> Compare with…</button>
+                        <span id="compareOtherName" class="font-mono opacity-70">No file</span>
+                        <div class="divider divider-horizontal mx-1"></div>
+                        <button id="btnCompareBase" class="btn btn-sm btn-outline"><i class="ri-git-commit-line"></i> Common base…</button>
+                        <span id="compareBaseName" class="font-mono opacity-70">None</span>
+                        <input type="file" id="fileCompareOther" accept=".bjl,.bal,.json" style="display: none;">
+                        <input type="file" id="fileCompareBase" accept=".bjl,.bal,.json" style="display: none;">
+                    </div>
+
+                    <div id="compareBody"></div>
+
+                    <div class="modal-action mt-6">
+                        <form method="dialog" class="flex gap-4 w-full justify-end">
+                            <button class="btn btn-ghost" style="width: 200px;">Close</button>
+                            <button id="btnApplyMerge" type="button" class="btn btn-primary shadow-lg shadow-primary/20" style="width: 200px;" disabled>Apply Merge</button>
+                        </form>
+                    </div>
+                </div>
+                <form method="dialog" class="modal-backdrop">
+                    <button>close</button>
+                </form>
+            </dialog>
+
             <div id="magicMenu" class="magic-menu">
                 <button class="btn btn-ghost btn-sm btn-circle tooltip tooltip-primary tooltip-top" data-tip="Cut" data-action="cut">
                     <i class="ri-scissors-line pointer-events-none"></i>
@@ -3029,6 +6756,146 @@ class SithasoBJLDesigner extends HTMLElement {
       });
     }
 
+    const variantMenu = this.querySelector("#variantDropdownMenu");
+    if (variantMenu) {
+      variantMenu.addEventListener("click", (e) => {
+        const del = e.target.closest("[data-delete-variant]");
+        const pick = e.target.closest("[data-variant]");
+        const add = e.target.closest("[data-add-variant]");
+        if (!del && !pick && !add) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (document.activeElement && variantMenu.parentElement.contains(document.activeElement)) {
+          document.activeElement.blur();
+        }
+        if (del) this.deleteVariant(parseInt(del.dataset.deleteVariant, 10));
+        else if (add) this.addVariant();
+        else this.setActiveVariant(parseInt(pick.dataset.variant, 10));
+      });
+    }
+    this._updateVariantMenu();
+
+    const onPreviewSizeInput = () => {
+      this.setPreviewSize(
+        parseInt(this.querySelector("#previewWidth").value, 10),
+        parseInt(this.querySelector("#previewHeight").value, 10),
+      );
+    };
+    this.querySelector("#previewWidth").addEventListener("input", onPreviewSizeInput);
+    this.querySelector("#previewHeight").addEventListener("input", onPreviewSizeInput);
+    this.querySelector("#btnPreviewSizeReset").onclick = (e) => {
+      e.preventDefault();
+      this.setPreviewSize(null);
+    };
+    this._updatePreviewSizeControls();
+
+    this.querySelector("#btnMigrateSchemas").onclick = (e) => {
+      e.preventDefault();
+      closeFileDropdown();
+      this.migrateSchemas();
+    };
+    this.querySelector("#btnConvertPlatform").onclick = (e) => {
+      e.preventDefault();
+      closeFileDropdown();
+      this.convertPlatform();
+    };
+    this.querySelector("#btnProject").onclick = (e) => {
+      e.preventDefault();
+      closeFileDropdown();
+      this._showProject();
+    };
+    const fileDropdown = this.querySelector("#fileDropdown");
+    if (fileDropdown) fileDropdown.addEventListener("focusin", () => this._updateRecentMenu());
+    this.querySelector("#recentList").addEventListener("click", (e) => {
+      const item = e.target.closest("[data-recent]");
+      if (!item) return;
+      e.preventDefault();
+      closeFileDropdown();
+      this.openProjectLayout(item.dataset.recent);
+    });
+    this.querySelector("#modalProject").addEventListener("click", (e) => {
+      const target = e.target.closest("[data-project-action]");
+      if (!target) return;
+      e.preventDefault();
+      this._onProjectAction(target.dataset.projectAction, target.dataset.id);
+    });
+    this.querySelector("#btnExportProject").onclick = async (e) => {
+      e.preventDefault();
+      try {
+        await this.exportProject();
+      } catch (error) {
+        console.error("Project export failed:", error);
+        Swal.fire("Export Error", error.message, "error");
+      }
+    };
+    this.querySelector("#btnAddAssets").onclick = (e) => {
+      e.preventDefault();
+      this.querySelector("#fileAddAssets").click();
+    };
+    this.querySelector("#fileAddAssets").onchange = async (e) => {
+      const files = Array.from(e.target.files || []);
+      e.target.value = "";
+      try {
+        for (const file of files) await this._projectStore.putAsset(file.name, file);
+      } catch (error) {
+        console.error("Adding files failed:", error);
+        Swal.fire("Project Error", error.message, "error");
+      }
+      this._renderProject();
+    };
+    this.querySelector("#btnCompare").onclick = (e) => {
+      e.preventDefault();
+      closeFileDropdown();
+      this._showCompare();
+    };
+    this.querySelector("#btnCompareOther").onclick = (e) => {
+      e.preventDefault();
+      this.querySelector("#fileCompareOther").click();
+    };
+    this.querySelector("#btnCompareBase").onclick = (e) => {
+      e.preventDefault();
+      this.querySelector("#fileCompareBase").click();
+    };
+    const onCompareFile = (role) => async (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (!file) return;
+      try {
+        const layout = await this._readLayoutFile(file);
+        const current = this._compare || {};
+        if (role === "base") {
+          this.compareWith(current.other, layout, { other: current.otherName, base: file.name });
+        } else {
+          this.compareWith(layout, current.base || null, { other: file.name, base: current.baseName });
+        }
+      } catch (error) {
+        console.error("Compare failed:", error);
+        this._showImportError(file.name, error);
+      }
+    };
+    this.querySelector("#fileCompareOther").onchange = onCompareFile("other");
+    this.querySelector("#fileCompareBase").onchange = onCompareFile("base");
+    this.querySelector("#compareBody").addEventListener("click", (e) => {
+      const target = e.target.closest("[data-view]");
+      if (!target || !this._engine || !this._engine._findView(this._engine.getLayout().Data, target.dataset.view)) return;
+      this.querySelector("#modalCompare").close();
+      this.selectElement(target.dataset.view, { clearExisting: true });
+    });
+    this.querySelector("#btnApplyMerge").onclick = (e) => {
+      e.preventDefault();
+      if (this.applyMerge()) this.querySelector("#modalCompare").close();
+    };
+    this.querySelector("#btnNest").onclick = (e) => {
+      e.preventDefault();
+      closeFileDropdown();
+      this.nestLayout();
+    };
+    this.querySelector("#btnFlatten").onclick = (e) => {
+      e.preventDefault();
+      closeFileDropdown();
+      this.flattenLayout();
+    };
+
     // Toolbar Handlers
     this.querySelector("#btnSettings").onclick = (e) => {
       e.preventDefault();
@@ -3048,37 +6915,40 @@ class SithasoBJLDesigner extends HTMLElement {
       }, 500);
     };
     this.querySelector("#btnToggleJson").onclick = () => this.toggleJsonView();
+    this.querySelector("#btnToggleScript").onclick = () => this.toggleScriptView();
+    this.querySelector("#btnScriptPreview").onclick = () => this.toggleScriptPreview();
 
-    this.querySelector("#btnImport").onclick = (e) => {
+    this.querySelector("#btnImport").onclick = async (e) => {
       e.preventDefault();
       closeFileDropdown();
-      this.querySelector("#fileImport").click();
+      try {
+        await this.openFile();
+      } catch (error) {
+        console.error("Open failed:", error);
+        Swal.fire("Open Error", error.message, "error");
+      }
+    };
+    this.querySelector("#btnOpenFolder").onclick = (e) => {
+      e.preventDefault();
+      closeFileDropdown();
+      this._openFolderSafely();
+    };
+    this.querySelector("#fileOpenFolder").onchange = (e) => {
+      const { folder, entries } = this._folderEntriesFromFiles(e.target.files || []);
+      e.target.value = "";
+      if (folder || entries.length) this._loadFolder(folder, entries);
     };
     this.querySelector("#fileImport").onchange = async (e) => {
       const file = e.target.files[0];
       if (!file || !this._engine) return;
-
-      try {
-        this._currentFilename = file.name;
-        const titleEl = this.querySelector("#toolbarTitle");
-        if (titleEl) titleEl.innerText = this._currentFilename;
-
-        await this._engine.loadFile(file);
-        this.refresh();
-        this._autoSave(); // Immediately save to localStorage
-        this.dispatchEvent(
-          new CustomEvent("import-layout", { detail: { file } }),
-        );
-      } catch (error) {
-        console.error("Import failed:", error);
-      }
+      await this._openLayoutFile(file);
       e.target.value = ""; // Reset
     };
     this.querySelector("#btnExport").onclick = (e) => {
       e.preventDefault();
       closeFileDropdown();
       if (this._engine) {
-        this._engine.download(this._currentFilename);
+        this._engine.download(this._currentFilename).catch((error) => Swal.fire("Export Error", error.message, "error"));
       }
       this.dispatchEvent(new CustomEvent("export-layout"));
     };
@@ -3110,55 +6980,13 @@ class SithasoBJLDesigner extends HTMLElement {
     this.querySelector("#btnSave").onclick = (e) => {
         e.preventDefault();
         closeFileDropdown();
-        this._autoSave();
-        Swal.fire({
-            icon: "success",
-            title: "Saved!",
-            text: "Layout saved to localStorage",
-            toast: true,
-            position: "top-end",
-            showConfirmButton: false,
-            timer: 2000
-        });
+        this.save();
     };
 
-    this.querySelector("#btnSaveAs").onclick = async (e) => {
+    this.querySelector("#btnSaveAs").onclick = (e) => {
         e.preventDefault();
         closeFileDropdown();
-        if (!this._engine) return;
-        
-        const { value: filename } = await Swal.fire({
-            title: "Save As",
-            input: "text",
-            inputLabel: "Enter filename",
-            inputValue: this._currentFilename,
-            showCancelButton: true,
-            inputValidator: (value) => {
-                if (!value) {
-                    return "Please enter a filename";
-                }
-                if (!/\.(bjl|bal)$/i.test(value)) {
-                    return "Filename must end with .bjl or .bal";
-                }
-            }
-        });
-        
-        if (filename) {
-            this._currentFilename = filename;
-            const titleEl = this.querySelector("#toolbarTitle");
-            if (titleEl) titleEl.innerText = this._currentFilename;
-            this._engine.download(filename);
-            this._autoSave(); // Also save to localStorage with new name
-            Swal.fire({
-                icon: "success",
-                title: "Exported!",
-                text: `Saved as ${filename}`,
-                toast: true,
-                position: "top-end",
-                showConfirmButton: false,
-                timer: 2000
-            });
-        }
+        this.saveAs();
     };
 
     this.querySelector("#btnExit").onclick = async (e) => {
@@ -3181,7 +7009,13 @@ class SithasoBJLDesigner extends HTMLElement {
             }
             if (this._engine) {
                 this._engine.layout = this._engine.newLayout();
+                this._activeVariant = 0;
+                this._previewSize = null;
                 this._syncEngineVariantBoundsFromLayout();
+                const doc = this._createDocument(this._engine);
+                this._documents = [doc];
+                this._activeDocumentId = doc.id;
+                this._guides = doc.guides;
             }
             this._selectedIds.clear();
             this._lastSelectedId = null;
@@ -3189,18 +7023,22 @@ class SithasoBJLDesigner extends HTMLElement {
             this._history = [];
             this._redoStack = [];
             this._currentFilename = "layout.bjl";
-            const titleEl = this.querySelector("#toolbarTitle");
-            if (titleEl) titleEl.innerText = this._currentFilename;
+            this._updateTitle();
             try {
                 sessionStorage.setItem("bjl_skip_restore_once", "1");
             } catch (e) {
                 console.warn("Exit restore guard unavailable:", e);
             }
+            localStorage.removeItem("bjl_workspace");
+            localStorage.removeItem("bjl_drafts");
             localStorage.removeItem("bjl_draft");
             this._applyWorkspaceScalerSize();
             this.updateWorkspace();
             this._updateOutline();
+            this._updateVariantMenu();
+            this._updateScriptEditor();
             this._updateHistoryControls();
+            this._updateDocumentTabs();
             this.dispatchEvent(new CustomEvent("exit-designer"));
         }
     };
@@ -3214,11 +7052,17 @@ class SithasoBJLDesigner extends HTMLElement {
             try {
                 const json = JSON.parse(event.target.result);
                 if (json && json.Data) {
+                    if (!this._isBlankDocument()) this.newDocument(file.name.replace('.json', '.bjl'));
                     this._engine.layout = json;
+                    this._activeVariant = 0;
+                    this._previewSize = null;
                     this._syncEngineVariantBoundsFromLayout();
                     this._currentFilename = file.name.replace('.json', '.bjl');
-                    const titleEl = this.querySelector("#toolbarTitle");
-                    if (titleEl) titleEl.innerText = this._currentFilename;
+                    // The JSON is not the layout file, so Save asks where to write it.
+                    const doc = this._activeDocument();
+                    doc.fileHandle = null;
+                    doc.diskState = null;
+                    this._updateTitle();
                     this.refresh();
                     this._autoSave(); // Immediately save to localStorage
                     this.dispatchEvent(new CustomEvent("import-json", { detail: { file } }));
@@ -3241,6 +7085,7 @@ class SithasoBJLDesigner extends HTMLElement {
     this.querySelector("#btnZoomIn").onclick = () => {
       this.setZoom(this._scale + 0.05);
     };
+    this.querySelector("#btnClearGuides").onclick = () => this.clearGuides();
     this.querySelector("#btnResetZoom").onclick = () => {
       this.setZoom(this._settings.initialZoom / 100);
     };
@@ -3263,22 +7108,38 @@ class SithasoBJLDesigner extends HTMLElement {
     // Nudge Handlers
     const getNudgeStep = (e) => (e.shiftKey ? 10 : 1);
     this.querySelector("#btnNudgeUp").onclick = (e) => {
-      this.saveState();
+      this.saveState(this._historyLabel("Nudged"));
       this.nudge(0, -getNudgeStep(e));
     };
     this.querySelector("#btnNudgeDown").onclick = (e) => {
-      this.saveState();
+      this.saveState(this._historyLabel("Nudged"));
       this.nudge(0, getNudgeStep(e));
     };
     this.querySelector("#btnNudgeLeft").onclick = (e) => {
-      this.saveState();
+      this.saveState(this._historyLabel("Nudged"));
       this.nudge(-getNudgeStep(e), 0);
     };
     this.querySelector("#btnNudgeRight").onclick = (e) => {
-      this.saveState();
+      this.saveState(this._historyLabel("Nudged"));
       this.nudge(getNudgeStep(e), 0);
     };
 
+    // Arrange Handlers
+    this.querySelector("#arrangeMenu").addEventListener("click", (e) => {
+      const item = e.target.closest("[data-arrange]");
+      if (!item) return;
+      e.preventDefault();
+      const value = item.dataset.value;
+      switch (item.dataset.arrange) {
+        case "align": this.alignSelection(value); break;
+        case "distribute": this.distributeSelection(value); break;
+        case "match": this.matchSelectionSize(value); break;
+        case "pack":
+          this.packSelection(value, parseFloat(this.querySelector("#packSpacing").value));
+          break;
+      }
+    });
+
     // Outline Tree Handlers
     const outlineTree = this.querySelector("#outlineTree");
     if (outlineTree) {
@@ -3320,6 +7181,131 @@ class SithasoBJLDesigner extends HTMLElement {
       });
     }
 
+    // Sidebar Tabs
+    this.querySelectorAll(".sidebar-tabs .tab").forEach((tab) => {
+      tab.onclick = (e) => {
+        e.preventDefault();
+        this._showSidebarPane(tab.dataset.pane);
+      };
+    });
+
+    // Document Tab Handlers
+    const documentTabs = this.querySelector("#documentTabs");
+    if (documentTabs) {
+      documentTabs.addEventListener("click", (e) => {
+        const close = e.target.closest("[data-close-document]");
+        if (close) {
+          e.stopPropagation();
+          this.closeDocument(close.dataset.closeDocument);
+          return;
+        }
+        if (e.target.closest("[data-new-document]")) {
+          this.newDocument();
+          return;
+        }
+        const tab = e.target.closest("[data-document]");
+        if (tab) this.switchDocument(tab.dataset.document);
+      });
+      documentTabs.addEventListener("auxclick", (e) => {
+        const tab = e.button === 1 && e.target.closest("[data-document]");
+        if (tab) this.closeDocument(tab.dataset.document);
+      });
+      this._updateDocumentTabs();
+    }
+
+    // History Panel Handlers
+    const historyPanel = this.querySelector("#historyPanel");
+    if (historyPanel) {
+      historyPanel.addEventListener("jump", (e) => this.jumpToHistory(e.detail.index));
+      historyPanel.addEventListener("save-snapshot", () => this.saveSnapshot());
+      historyPanel.addEventListener("restore-snapshot", (e) => this.restoreSnapshot(e.detail.id));
+      historyPanel.addEventListener("delete-snapshot", (e) => this.deleteSnapshot(e.detail.id));
+      this._updateHistoryControls();
+      this._updateSnapshots();
+    }
+
+    // Problems Panel Handlers
+    const fileBrowser = this.querySelector("#fileBrowser");
+    if (fileBrowser) {
+      fileBrowser.addEventListener("open-folder", () => this._openFolderSafely());
+      fileBrowser.addEventListener("open-file", (e) => this.openFolderFile(e.detail.path));
+    }
+
+    const problemsPanel = this.querySelector("#problemsPanel");
+    if (problemsPanel) {
+      problemsPanel.addEventListener("select-problem", (e) => this.showProblem(e.detail.diagnostic));
+      problemsPanel.addEventListener("quick-fix", (e) => this.fixProblems([e.detail.diagnostic]));
+      problemsPanel.addEventListener("fix-all", () => this.fixProblems(this._problems.filter((d) => d.fix)));
+    }
+
+    // Component Palette Handlers
+    const palette = this.querySelector("#componentPalette");
+    if (palette) {
+      palette.addEventListener("add-component", (e) =>
+        this.addComponentAt(e.detail.name),
+      );
+    }
+    this.loadComponents();
+
+    const workspaceEl = this.querySelector("#workspace");
+    if (workspaceEl) {
+      const dragType = "application/x-bjl-component";
+      const isPaletteDrag = (e) =>
+        e.dataTransfer && Array.from(e.dataTransfer.types || []).includes(dragType);
+      const clearDropHighlight = () => {
+        workspaceEl.classList.remove("drop-target");
+        workspaceEl
+          .querySelectorAll(".designer-item.drop-parent")
+          .forEach((item) => item.classList.remove("drop-parent"));
+      };
+
+      workspaceEl.addEventListener("dragover", (e) => {
+        if (!isPaletteDrag(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "copy";
+
+        // Highlight the view that would become the parent of the dropped component.
+        const point = this._getWorkspacePoint(e);
+        const parentId = this._inferParentForRect(
+          { left: point.x, top: point.y, width: 0, height: 0 },
+          this._buildGeometryHierarchyRecords(),
+        );
+        clearDropHighlight();
+        const parentEl = parentId
+          ? workspaceEl.querySelector(`.designer-item[data-id="${parentId}"]`)
+          : null;
+        if (parentEl) parentEl.classList.add("drop-parent");
+        else workspaceEl.classList.add("drop-target");
+      });
+      workspaceEl.addEventListener("dragleave", (e) => {
+        if (!workspaceEl.contains(e.relatedTarget)) clearDropHighlight();
+      });
+      workspaceEl.addEventListener("drop", (e) => {
+        if (!isPaletteDrag(e)) return;
+        e.preventDefault();
+        clearDropHighlight();
+        this.addComponentAt(e.dataTransfer.getData(dragType), this._getWorkspacePoint(e));
+      });
+    }
+
+    // Property Grid Handlers
+    const propertyGrid = this.querySelector("#propertyGrid");
+    if (propertyGrid) {
+      propertyGrid.addEventListener("property-change", (e) =>
+        this._onPropertyChange(e.detail.key, e.detail.value),
+      );
+    }
+    this._updatePropertyGrid();
+
+    // Designer Script Handlers
+    const scriptEditor = this.querySelector("#scriptEditor");
+    if (scriptEditor) {
+      scriptEditor.addEventListener("script-change", (e) =>
+        this._onScriptChange(e.detail.index, e.detail.text),
+      );
+    }
+    this._updateScriptEditor();
+
     // Mark as initialized after first full render
     this._initialized = true;
   }
@@ -3370,6 +7356,7 @@ class SithasoBJLDesigner extends HTMLElement {
           }
         }
       });
+      this._updatePropertyGrid();
       return;
     }
 
@@ -3399,10 +7386,16 @@ class SithasoBJLDesigner extends HTMLElement {
 
     const existingItems = workspace.querySelectorAll(".designer-item");
 
+    this._updatePropertyGrid();
+
     // If count changed (add/delete/import), do a full re-render
     if (existingItems.length !== allViews.length) {
       workspace.innerHTML = this.renderElements();
       this.bindElementEvents();
+      this._renderScriptPreview();
+      this._renderUserGuides();
+      this._updateRulers();
+      this._updateProblems();
       return;
     }
 
@@ -3436,14 +7429,15 @@ class SithasoBJLDesigner extends HTMLElement {
         }
 
         const resolved = resolvedById.get(view.name);
-        const left = resolved ? resolved.left : Number(view.variant0.left) || 0;
-        const top = resolved ? resolved.top : Number(view.variant0.top) || 0;
+        const variant = this._getViewVariant(view);
+        const left = resolved ? resolved.left : Number(variant.left) || 0;
+        const top = resolved ? resolved.top : Number(variant.top) || 0;
         const width = resolved
           ? resolved.width
-          : Number(view.variant0.width) || 0;
+          : Number(variant.width) || 0;
         const height = resolved
           ? resolved.height
-          : Number(view.variant0.height) || 0;
+          : Number(variant.height) || 0;
         const scaledLeft = left * this._scale;
         const scaledTop = top * this._scale;
         const scaledWidth = width * this._scale;
@@ -3473,8 +7467,86 @@ class SithasoBJLDesigner extends HTMLElement {
         } else if (label) {
           label.remove();
         }
+
+        if (resolved) this._refreshItemContent(item, resolved);
       }
     });
+    this._renderScriptPreview();
+    this._renderUserGuides();
+    this._updateRulers();
+    this._updateProblems();
+  }
+
+  /**
+   * Re-renders the parts of a canvas item that depend on view data (native look, anchor pins)
+   * without replacing the element itself.
+   */
+  _refreshItemContent(item, record) {
+    item.querySelectorAll(".anchor-pin").forEach((pin) => pin.remove());
+    item.insertAdjacentHTML("beforeend", this._renderAnchorPins(record));
+
+    const nativeType = this._engine.getNativeTypeName(record.view);
+    const preview = nativeType ? "" : this._renderComponentPreview(record.view);
+    item.querySelectorAll(".native-text, .native-image, .component-preview").forEach((el) => el.remove());
+    item.insertAdjacentHTML("afterbegin", nativeType ? this._renderNativeContent(record.view, nativeType) : preview);
+    item.classList.toggle("preview-item", !!preview);
+    item.style.background = this._getItemBackground(record.view, nativeType, preview);
+  }
+
+  _getItemBackground(view, nativeType, preview) {
+    if (nativeType) return this._argbToCss(this._engine.getProperty(view, "drawable.color"), "transparent");
+    return preview ? "transparent" : this._getColor(view.name);
+  }
+
+  /**
+   * DaisyUI approximation of a custom view, or "" in wireframe mode and for types without a
+   * renderer. The markup is laid out at 100% and scaled with the canvas.
+   */
+  _renderComponentPreview(view) {
+    if (this._settings.canvasMode !== "preview") return "";
+    const shortType = view.shortType || (view.customProperties && view.customProperties.shortType);
+    const renderer = SithasoBJLDesigner.previews[shortType];
+    if (typeof renderer !== "function") return "";
+    let html = "";
+    try {
+      html = renderer(view.customProperties || {}, this._previewHelpers());
+    } catch (e) {
+      console.warn(`Preview for ${shortType} failed:`, e);
+      return "";
+    }
+    const s = this._scale;
+    return `<div class="component-preview" style="width: ${100 / s}%; height: ${100 / s}%; transform: scale(${s});">${html}</div>`;
+  }
+
+  _previewHelpers() {
+    const tones = ["primary", "secondary", "accent", "neutral", "info", "success", "warning", "error"];
+    const designer = this;
+    return {
+      text: (value) => designer._escapeHtml(value ?? ""),
+      bool: (value, fallback = false) =>
+        value === undefined || value === "" ? fallback : value === true || String(value).toLowerCase() === "true",
+      number: (value, fallback = 0) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : fallback),
+      // "primary" -> "btn-primary"; "none" and custom colors add no class.
+      tone: (prefix, value) => (tones.includes(value) ? `${prefix}-${value}` : ""),
+      // Theme color names map to DaisyUI variables, anything else is used as a CSS color.
+      css: (value, fallback) => {
+        const color = String(value || "").trim();
+        if (!color || color === "none") return fallback;
+        if (tones.includes(color) || /^base-\d+$/.test(color)) return `var(--color-${color})`;
+        return /^[#\w(),.\s%-]+$/.test(color) ? color : fallback;
+      },
+      // "a=Label A; b=Label B" -> [["a", "Label A"], ["b", "Label B"]]
+      options: (value) =>
+        String(value || "")
+          .split(";")
+          .map((pair) => pair.split("=").map((part) => part.trim()))
+          .filter(([key]) => key),
+      field: (label, control) => `
+        <div class="preview-field">
+          ${label ? `<span class="preview-legend">${designer._escapeHtml(label)}</span>` : ""}
+          ${control}
+        </div>`,
+    };
   }
 
   _updateNudgeControls() {
@@ -3486,6 +7558,8 @@ class SithasoBJLDesigner extends HTMLElement {
         if (btn) btn.disabled = !isTargetSelected;
       },
     );
+    const btnArrange = this.querySelector("#btnArrange");
+    if (btnArrange) btnArrange.disabled = this._selectedIds.size < 2;
   }
 
   _updateClipboardControls() {
@@ -3548,16 +7622,22 @@ class SithasoBJLDesigner extends HTMLElement {
           ? '<span class="item-label">' + view.name + '</span>'
           : "";
 
+        const nativeType = this._engine.getNativeTypeName(view);
+        const preview = nativeType ? "" : this._renderComponentPreview(view);
+        const background = this._getItemBackground(view, nativeType, preview);
+
         return `
-                <div class="designer-item ${tooltipClasses} ${isSelected ? "selected" : ""}" 
+                <div class="designer-item ${nativeType ? `native-item native-${nativeType.toLowerCase()}` : ""} ${preview ? "preview-item" : ""} ${tooltipClasses} ${isSelected ? "selected" : ""}" 
                      data-id="${view.name}"
                      data-tip="${tooltipTip}"
                      style="left: ${scaledLeft}px; 
                             top: ${scaledTop}px; 
                             width: ${scaledWidth}px; 
                             height: ${scaledHeight}px;
-                            background: ${hexColor};">
+                            background: ${background};">
+                    ${nativeType ? this._renderNativeContent(view, nativeType) : preview}
                     ${labelHtml}
+                    ${this._renderAnchorPins(record)}
                     <div class="item-actions">
                         <button class="btn btn-item-trigger">
                             <i class="ri-more-2-fill pointer-events-none"></i>
@@ -3576,6 +7656,76 @@ class SithasoBJLDesigner extends HTMLElement {
       })
       .join("");
   }
+
+  /**
+   * Edge pins of a selected view; a filled pin means the view keeps its distance to that edge.
+   */
+  _renderAnchorPins(record) {
+    const pinned = {
+      left: record.hanchor !== 1,
+      right: record.hanchor === 1 || record.hanchor === 2,
+      top: record.vanchor !== 1,
+      bottom: record.vanchor === 1 || record.vanchor === 2,
+    };
+    return Object.keys(pinned)
+      .map((edge) => `
+                    <div class="anchor-pin ${edge} ${pinned[edge] ? "pinned" : ""}" data-anchor="${edge}" title="Anchor ${edge}">
+                        <i class="${pinned[edge] ? "ri-pushpin-fill" : "ri-pushpin-line"} pointer-events-none"></i>
+                    </div>`)
+      .join("");
+  }
+
+  /**
+   * Inner markup that makes a native view look like its runtime control on the canvas.
+   */
+  _renderNativeContent(view, nativeType) {
+    const engine = this._engine;
+    const text = this._escapeHtml(engine.getProperty(view, "text") ?? "");
+    // B4A views use textSize/style and split alignments instead of the B4J font and alignment.
+    const fontSize = (Number(engine.getProperty(view, "font.fontSize") ?? engine.getProperty(view, "textSize")) || 15) * this._scale;
+    const bold = engine.getProperty(view, "font.bold") ?? String(engine.getProperty(view, "style") || "").includes("BOLD");
+    const alignment = String(engine.getProperty(view, "alignment") || "CENTER");
+    let [vertical, horizontal = vertical] = alignment.split("_");
+    if (view.vAlignment || view.hAlignment) {
+      vertical = String(view.vAlignment || "").split("_")[0];
+      horizontal = String(view.hAlignment || "").split("_")[0];
+    }
+    const flexPosition = { TOP: "flex-start", LEFT: "flex-start", BOTTOM: "flex-end", RIGHT: "flex-end" };
+    const textStyle = `color: ${this._argbToCss(engine.getProperty(view, "textColor"), "#000")};
+                       font-size: ${fontSize}px;
+                       font-weight: ${bold ? 700 : 400};
+                       align-items: ${flexPosition[vertical] || "center"};
+                       justify-content: ${flexPosition[horizontal] || "center"};`;
+
+    switch (nativeType) {
+      case "Label":
+      case "Button":
+        return `<span class="native-text" style="${textStyle}">${text}</span>`;
+      case "EditText": {
+        const hint = this._escapeHtml(engine.getProperty(view, "promptText") ?? engine.getProperty(view, "hint") ?? "");
+        return text
+          ? `<span class="native-text" style="${textStyle}">${engine.getProperty(view, "password") ? "•".repeat(text.length) : text}</span>`
+          : `<span class="native-text native-hint" style="${textStyle}">${hint}</span>`;
+      }
+      case "ImageView": {
+        const file = engine.getProperty(view, "imageFile") ?? engine.getProperty(view, "drawable.file");
+        return `<span class="native-image"><i class="ri-image-line"></i>${file ? `<small>${this._escapeHtml(file)}</small>` : ""}</span>`;
+      }
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * Converts a B4X color ("0xAARRGGBB") to a CSS rgba() value.
+   */
+  _argbToCss(value, fallback = "transparent") {
+    const match = /^(?:0x|#)?([0-9a-f]{8})$/i.exec(String(value || ""));
+    if (!match) return fallback;
+    const n = parseInt(match[1], 16);
+    const alpha = ((n >>> 24) & 255) / 255;
+    return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${Number(alpha.toFixed(3))})`;
+  }
 }
 
 customElements.define("bjl-designer", SithasoBJLDesigner);
@@ -0,0 +1,207 @@
+class SithasoBJLFileBrowser extends HTMLElement {
+    constructor() {
+        super();
+        this._folder = ''; // Name of the opened project folder
+        this._files = []; // { path, name, views, types, thumbnail, error, loading }
+        this._type = ''; // Component type filter, '' for all
+        this._styleInjected = false;
+    }
+
+    connectedCallback() {
+        if (!this._styleInjected) {
+            this._injectStyles();
+            this._styleInjected = true;
+        }
+        if (!this.querySelector('.files-container')) {
+            this.insertAdjacentHTML('beforeend', `
+                <div class="files-container">
+                    <div class="files-header">
+                        <span class="files-folder"></span>
+                        <button class="btn btn-xs btn-ghost" data-open-folder title="Open a B4X project folder">
+                            <i class="ri-folder-open-line"></i> Open
+                        </button>
+                    </div>
+                    <select class="select select-xs w-full files-filter"></select>
+                    <div class="files-list"></div>
+                </div>
+            `);
+            this._setupEvents();
+        }
+        this._render();
+    }
+
+    _injectStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            bjl-file-browser {
+                display: flex;
+                flex-direction: column;
+                width: 100%;
+                height: 100%;
+                overflow: hidden;
+            }
+            .files-container {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                height: 100%;
+                overflow: hidden;
+            }
+            .files-header {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 0.5rem;
+                font-size: 0.75rem;
+            }
+            .files-folder {
+                flex: 1;
+                min-width: 0;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+                font-weight: 700;
+            }
+            .files-list {
+                flex: 1;
+                overflow-y: auto;
+                display: grid;
+                grid-template-columns: repeat(auto-fill, minmax(110px, 1fr));
+                align-content: start;
+                gap: 0.5rem;
+                font-size: 0.7rem;
+                scrollbar-width: thin;
+            }
+            .file-card {
+                display: flex;
+                flex-direction: column;
+                gap: 0.25rem;
+                padding: 0.35rem;
+                border-radius: 0.5rem;
+                border: 1px solid color-mix(in oklch, var(--color-base-content), transparent 90%);
+                cursor: pointer;
+            }
+            .file-card:hover {
+                background: color-mix(in oklch, var(--color-base-content), transparent 92%);
+            }
+            .file-thumb {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                height: 80px;
+                border-radius: 0.35rem;
+                background: color-mix(in oklch, var(--color-base-content), transparent 95%);
+                color: var(--color-primary);
+                overflow: hidden;
+            }
+            .file-thumb svg {
+                width: 100%;
+                height: 100%;
+            }
+            .file-name {
+                font-family: monospace;
+                font-weight: 700;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .file-meta {
+                opacity: 0.5;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+        `;
+        this.appendChild(style);
+    }
+
+    /**
+     * Shows the files of a project folder.
+     * @param {string} folder - Folder name shown in the header
+     * @param {Object[]} files - { path, name, views, types, thumbnail, error, loading }; thumbnail is SVG markup
+     */
+    setFiles(folder, files = []) {
+        this._folder = folder || '';
+        this._files = Array.isArray(files) ? files : [];
+        const types = this._typeCounts();
+        if (this._type && !types.has(this._type)) this._type = '';
+        this._render();
+    }
+
+    get type() {
+        return this._type;
+    }
+
+    set type(value) {
+        this._type = value || '';
+        this._render();
+    }
+
+    /**
+     * How many files use each component type, by type name.
+     */
+    _typeCounts() {
+        const counts = new Map();
+        this._files.forEach(file => (file.types || []).forEach(type => counts.set(type, (counts.get(type) || 0) + 1)));
+        return counts;
+    }
+
+    _render() {
+        const folder = this.querySelector('.files-folder');
+        const filter = this.querySelector('.files-filter');
+        const list = this.querySelector('.files-list');
+        if (!folder || !filter || !list) return;
+
+        folder.textContent = this._folder || 'No folder open';
+        folder.title = this._folder;
+        const counts = this._typeCounts();
+        filter.innerHTML = `<option value="">All components (${this._files.length})</option>` +
+            Array.from(counts.keys()).sort((a, b) => a.localeCompare(b)).map(type =>
+                `<option value="${this._escape(type)}" ${type === this._type ? 'selected' : ''}>${this._escape(type)} (${counts.get(type)})</option>`
+            ).join('');
+        filter.classList.toggle('hidden', this._files.length === 0);
+
+        if (this._files.length === 0) {
+            list.innerHTML = `<div class="opacity-50 px-2 col-span-full">${this._folder ? 'No layouts in this folder' : 'Open a project folder to browse its layouts'}</div>`;
+            return;
+        }
+        const files = this._type ? this._files.filter(file => (file.types || []).includes(this._type)) : this._files;
+        list.innerHTML = files.map(file => `
+            <div class="file-card" data-path="${this._escape(file.path)}" title="${this._escape(file.path)}${file.error ? `\n${this._escape(file.error)}` : ''}">
+                <div class="file-thumb">
+                    ${file.loading
+                        ? '<span class="loading loading-spinner loading-xs"></span>'
+                        : file.error
+                            ? '<i class="ri-error-warning-line text-error text-2xl"></i>'
+                            : file.thumbnail || ''}
+                </div>
+                <span class="file-name">${this._escape(file.name)}</span>
+                <span class="file-meta">${file.error ? 'Could not be read' : file.loading ? 'Loading…' : `${file.views} view${file.views === 1 ? '' : 's'}`}</span>
+            </div>
+        `).join('');
+    }
+
+    _escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    _setupEvents() {
+        this.querySelector('.files-filter').addEventListener('change', (e) => {
+            this.type = e.target.value;
+        });
+        this.querySelector('.files-container').addEventListener('click', (e) => {
+            if (e.target.closest('[data-open-folder]')) {
+                this.dispatchEvent(new CustomEvent('open-folder'));
+                return;
+            }
+            const card = e.target.closest('.file-card');
+            if (card) this.dispatchEvent(new CustomEvent('open-file', { detail: { path: card.dataset.path } }));
+        });
+    }
+}
+
+customElements.define('bjl-file-browser', SithasoBJLFileBrowser);
@@ -0,0 +1,197 @@
+class SithasoBJLHistory extends HTMLElement {
+    constructor() {
+        super();
+        this._steps = []; // { label }, oldest first
+        this._current = 0; // Index into _steps of the layout being edited
+        this._snapshots = []; // { id, name, filename, created }
+        this._styleInjected = false;
+    }
+
+    connectedCallback() {
+        if (!this._styleInjected) {
+            this._injectStyles();
+            this._styleInjected = true;
+        }
+        if (!this.querySelector('.history-container')) {
+            this.insertAdjacentHTML('beforeend', `
+                <div class="history-container">
+                    <div class="history-heading">
+                        <span>History</span>
+                    </div>
+                    <div class="history-list history-steps"></div>
+                    <div class="history-heading">
+                        <span>Snapshots</span>
+                        <button class="btn btn-xs btn-ghost" data-save-snapshot title="Save the current layout as a named snapshot">
+                            <i class="ri-camera-line"></i> Save
+                        </button>
+                    </div>
+                    <div class="history-list history-snapshots"></div>
+                </div>
+            `);
+            this._setupEvents();
+        }
+        this._render();
+    }
+
+    _injectStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            bjl-history {
+                display: flex;
+                flex-direction: column;
+                width: 100%;
+                height: 100%;
+                overflow: hidden;
+            }
+            .history-container {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                height: 100%;
+                overflow: hidden;
+            }
+            .history-heading {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                font-size: 0.65rem;
+                font-weight: 700;
+                text-transform: uppercase;
+                opacity: 0.6;
+            }
+            .history-list {
+                overflow-y: auto;
+                font-size: 0.75rem;
+                scrollbar-width: thin;
+            }
+            .history-steps {
+                flex: 2;
+            }
+            .history-snapshots {
+                flex: 1;
+            }
+            .history-row {
+                display: flex;
+                align-items: center;
+                gap: 0.4rem;
+                padding: 0.3rem 0.5rem;
+                border-radius: 0.5rem;
+                cursor: pointer;
+            }
+            .history-row:hover {
+                background: color-mix(in oklch, var(--color-base-content), transparent 92%);
+            }
+            .history-row.current {
+                background: color-mix(in oklch, var(--color-primary), transparent 80%);
+                font-weight: 700;
+            }
+            .history-row.future {
+                opacity: 0.45;
+            }
+            .history-label {
+                flex: 1;
+                min-width: 0;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .history-meta {
+                font-size: 0.65rem;
+                opacity: 0.5;
+                white-space: nowrap;
+            }
+        `;
+        this.appendChild(style);
+    }
+
+    /**
+     * Replaces the listed undo steps.
+     * @param {Object[]} steps - { label } per step, oldest first; steps after current can be redone
+     * @param {number} current - Index of the step the layout is at
+     */
+    setHistory(steps = [], current = 0) {
+        this._steps = Array.isArray(steps) ? steps : [];
+        this._current = current;
+        this._render();
+    }
+
+    /**
+     * Replaces the listed snapshots.
+     * @param {Object[]} snapshots - { id, name, filename, created }, newest first
+     */
+    setSnapshots(snapshots = []) {
+        this._snapshots = Array.isArray(snapshots) ? snapshots : [];
+        this._render();
+    }
+
+    _render() {
+        const steps = this.querySelector('.history-steps');
+        const snapshots = this.querySelector('.history-snapshots');
+        if (!steps || !snapshots) return;
+
+        steps.innerHTML = this._steps.map((step, i) => {
+            const state = i === this._current ? 'current' : i > this._current ? 'future' : '';
+            return `
+                <div class="history-row ${state}" data-step="${i}">
+                    <i class="${i === 0 ? 'ri-file-line' : 'ri-arrow-right-s-line'}"></i>
+                    <span class="history-label" title="${this._escape(step.label)}">${this._escape(step.label)}</span>
+                </div>
+            `;
+        }).join('');
+        const current = steps.querySelector('.history-row.current');
+        if (current) current.scrollIntoView({ block: 'nearest' });
+
+        if (this._snapshots.length === 0) {
+            snapshots.innerHTML = `<div class="opacity-50 px-2">No snapshots yet</div>`;
+            return;
+        }
+        snapshots.innerHTML = this._snapshots.map(snapshot => `
+            <div class="history-row" data-snapshot="${snapshot.id}" title="Restore ${this._escape(snapshot.name)}">
+                <i class="ri-camera-line"></i>
+                <span class="history-label">${this._escape(snapshot.name)}</span>
+                <span class="history-meta">${this._escape(snapshot.filename)} · ${this._formatDate(snapshot.created)}</span>
+                <button class="btn btn-xs btn-ghost btn-square" data-delete-snapshot="${snapshot.id}" title="Delete snapshot">
+                    <i class="ri-delete-bin-line"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    _formatDate(time) {
+        const date = new Date(time);
+        if (isNaN(date.getTime())) return '';
+        return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+
+    _escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    _setupEvents() {
+        this.querySelector('.history-container').addEventListener('click', (e) => {
+            if (e.target.closest('[data-save-snapshot]')) {
+                this.dispatchEvent(new CustomEvent('save-snapshot'));
+                return;
+            }
+            const deleteBtn = e.target.closest('[data-delete-snapshot]');
+            if (deleteBtn) {
+                e.stopPropagation();
+                this.dispatchEvent(new CustomEvent('delete-snapshot', { detail: { id: Number(deleteBtn.dataset.deleteSnapshot) } }));
+                return;
+            }
+            const snapshot = e.target.closest('[data-snapshot]');
+            if (snapshot) {
+                this.dispatchEvent(new CustomEvent('restore-snapshot', { detail: { id: Number(snapshot.dataset.snapshot) } }));
+                return;
+            }
+            const step = e.target.closest('[data-step]');
+            if (step) this.dispatchEvent(new CustomEvent('jump', { detail: { index: parseInt(step.dataset.step, 10) } }));
+        });
+    }
+}
+
+customElements.define('bjl-history', SithasoBJLHistory);
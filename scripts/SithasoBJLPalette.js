@@ -0,0 +1,192 @@
+class SithasoBJLPalette extends HTMLElement {
+    constructor() {
+        super();
+        this._components = []; // { name, label, category }
+        this._filter = '';
+        this._collapsed = new Set(); // Categories the user has closed
+        this._styleInjected = false;
+    }
+
+    /**
+     * MIME type used on the drag payload so drop targets can ignore unrelated drags.
+     */
+    static get dragType() {
+        return 'application/x-bjl-component';
+    }
+
+    connectedCallback() {
+        if (!this._styleInjected) {
+            this._injectStyles();
+            this._styleInjected = true;
+        }
+        if (!this.querySelector('.palette-container')) {
+            this.insertAdjacentHTML('beforeend', `
+                <div class="palette-container">
+                    <input type="search" class="input input-sm input-bordered w-full palette-search" placeholder="Search components...">
+                    <div class="palette-body"></div>
+                </div>
+            `);
+            this._setupEvents();
+        }
+        this._renderGroups();
+    }
+
+    _injectStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            bjl-palette {
+                display: flex;
+                flex-direction: column;
+                width: 100%;
+                height: 100%;
+                overflow: hidden;
+            }
+            .palette-container {
+                display: flex;
+                flex-direction: column;
+                gap: 0.75rem;
+                height: 100%;
+                overflow: hidden;
+            }
+            .palette-body {
+                flex: 1;
+                overflow-y: auto;
+                overflow-x: hidden;
+                scrollbar-width: thin;
+                scrollbar-color: color-mix(in oklch, var(--color-base-content), transparent 70%) transparent;
+            }
+            .palette-group > summary {
+                font-size: 10px;
+                font-weight: 800;
+                text-transform: uppercase;
+                opacity: 0.5;
+                padding: 0.5rem 0.25rem;
+                cursor: pointer;
+                list-style: none;
+                display: flex;
+                justify-content: space-between;
+            }
+            .palette-items {
+                display: grid;
+                grid-template-columns: repeat(2, minmax(0, 1fr));
+                gap: 0.25rem;
+                padding-bottom: 0.5rem;
+            }
+            .palette-item {
+                display: flex;
+                align-items: center;
+                gap: 0.4rem;
+                font-size: 0.75rem;
+                padding: 0.35rem 0.5rem;
+                border-radius: 0.5rem;
+                border: 1px solid color-mix(in oklch, var(--color-base-content), transparent 90%);
+                background: color-mix(in oklch, var(--color-base-100), transparent 30%);
+                cursor: grab;
+                user-select: none;
+                overflow: hidden;
+                white-space: nowrap;
+                text-overflow: ellipsis;
+            }
+            .palette-item:hover {
+                border-color: var(--color-primary);
+            }
+            .palette-item:active {
+                cursor: grabbing;
+            }
+            .palette-empty {
+                font-size: 0.8rem;
+                opacity: 0.5;
+                text-align: center;
+                padding: 2rem 0.5rem;
+            }
+        `;
+        this.appendChild(style);
+    }
+
+    /**
+     * Replaces the listed components.
+     * @param {Object[]} components - Items of the form { name, label, category }
+     */
+    setComponents(components = []) {
+        this._components = (Array.isArray(components) ? components : [])
+            .filter(c => c && c.name)
+            .map(c => ({ name: c.name, label: c.label || c.name, category: c.category || 'Other' }));
+        this._renderGroups();
+    }
+
+    _renderGroups() {
+        const body = this.querySelector('.palette-body');
+        if (!body) return;
+
+        const filter = this._filter.toLowerCase();
+        const groups = new Map();
+        this._components
+            .filter(c => !filter ||
+                c.name.toLowerCase().includes(filter) ||
+                c.label.toLowerCase().includes(filter) ||
+                c.category.toLowerCase().includes(filter))
+            .forEach(c => {
+                if (!groups.has(c.category)) groups.set(c.category, []);
+                groups.get(c.category).push(c);
+            });
+
+        if (groups.size === 0) {
+            body.innerHTML = `<div class="palette-empty">${this._components.length === 0 ? 'No component schemas loaded.' : 'No matching components.'}</div>`;
+            return;
+        }
+
+        const categories = Array.from(groups.keys()).sort((a, b) => a.localeCompare(b));
+        body.innerHTML = categories.map(category => {
+            const items = groups.get(category).sort((a, b) => a.label.localeCompare(b.label));
+            // While searching, show every match regardless of collapsed state.
+            const open = filter || !this._collapsed.has(category);
+            return `
+                <details class="palette-group" data-category="${category}" ${open ? 'open' : ''}>
+                    <summary><span>${category}</span><span>${items.length}</span></summary>
+                    <div class="palette-items">
+                        ${items.map(c => `
+                            <div class="palette-item" draggable="true" data-name="${c.name}" title="${c.name}">
+                                <i class="ri-drag-move-2-line opacity-40"></i>
+                                <span class="truncate">${c.label}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </details>
+            `;
+        }).join('');
+    }
+
+    _setupEvents() {
+        const search = this.querySelector('.palette-search');
+        if (search) {
+            search.addEventListener('input', () => {
+                this._filter = search.value.trim();
+                this._renderGroups();
+            });
+        }
+
+        this.addEventListener('toggle', (e) => {
+            const group = e.target.closest && e.target.closest('.palette-group');
+            if (!group || this._filter) return;
+            if (group.open) this._collapsed.delete(group.dataset.category);
+            else this._collapsed.add(group.dataset.category);
+        }, true);
+
+        this.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.palette-item');
+            if (!item) return;
+            e.dataTransfer.setData(SithasoBJLPalette.dragType, item.dataset.name);
+            e.dataTransfer.setData('text/plain', item.dataset.name);
+            e.dataTransfer.effectAllowed = 'copy';
+        });
+
+        // Double-click adds the component at the engine's automatic position.
+        this.addEventListener('dblclick', (e) => {
+            const item = e.target.closest('.palette-item');
+            if (!item) return;
+            this.dispatchEvent(new CustomEvent('add-component', { detail: { name: item.dataset.name } }));
+        });
+    }
+}
+
+customElements.define('bjl-palette', SithasoBJLPalette);
@@ -0,0 +1,162 @@
+class SithasoBJLProblems extends HTMLElement {
+    constructor() {
+        super();
+        this._diagnostics = []; // { rule, severity, viewId, message, fix }
+        this._styleInjected = false;
+    }
+
+    static get severityIcons() {
+        return {
+            error: 'ri-close-circle-fill text-error',
+            warning: 'ri-error-warning-fill text-warning',
+            info: 'ri-information-fill text-info'
+        };
+    }
+
+    connectedCallback() {
+        if (!this._styleInjected) {
+            this._injectStyles();
+            this._styleInjected = true;
+        }
+        if (!this.querySelector('.problems-container')) {
+            this.insertAdjacentHTML('beforeend', `
+                <div class="problems-container">
+                    <div class="problems-summary"></div>
+                    <div class="problems-list"></div>
+                </div>
+            `);
+            this._setupEvents();
+        }
+        this._render();
+    }
+
+    _injectStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            bjl-problems {
+                display: flex;
+                flex-direction: column;
+                width: 100%;
+                height: 100%;
+                overflow: hidden;
+            }
+            .problems-container {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                height: 100%;
+                overflow: hidden;
+            }
+            .problems-summary {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 0.5rem;
+                font-size: 0.75rem;
+                opacity: 0.7;
+            }
+            .problems-list {
+                flex: 1;
+                overflow-y: auto;
+                font-size: 0.75rem;
+                scrollbar-width: thin;
+            }
+            .problem-row {
+                display: flex;
+                align-items: flex-start;
+                gap: 0.4rem;
+                padding: 0.35rem 0.5rem;
+                border-radius: 0.5rem;
+                cursor: pointer;
+            }
+            .problem-row:hover {
+                background: color-mix(in oklch, var(--color-base-content), transparent 92%);
+            }
+            .problem-body {
+                flex: 1;
+                min-width: 0;
+            }
+            .problem-view {
+                font-family: monospace;
+                font-weight: 700;
+            }
+            .problem-message {
+                display: block;
+                overflow-wrap: anywhere;
+                opacity: 0.8;
+            }
+        `;
+        this.appendChild(style);
+    }
+
+    /**
+     * Replaces the listed diagnostics.
+     * @param {Object[]} diagnostics - Items from lintLayout()
+     */
+    setDiagnostics(diagnostics = []) {
+        this._diagnostics = Array.isArray(diagnostics) ? diagnostics : [];
+        this._render();
+    }
+
+    get count() {
+        return this._diagnostics.length;
+    }
+
+    _render() {
+        const summary = this.querySelector('.problems-summary');
+        const list = this.querySelector('.problems-list');
+        if (!summary || !list) return;
+
+        const errors = this._diagnostics.filter(d => d.severity === 'error').length;
+        const warnings = this._diagnostics.length - errors;
+        const fixable = this._diagnostics.filter(d => d.fix).length;
+        summary.innerHTML = `
+            <span>${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}</span>
+            ${fixable > 1 ? `<button class="btn btn-xs btn-ghost" data-fix-all><i class="ri-magic-line"></i> Fix all</button>` : ''}
+        `;
+
+        if (this._diagnostics.length === 0) {
+            list.innerHTML = `<div class="opacity-50 px-2"><i class="ri-checkbox-circle-line text-success"></i> No problems found</div>`;
+            return;
+        }
+        list.innerHTML = this._diagnostics.map((d, i) => `
+            <div class="problem-row" data-index="${i}" title="${this._escape(d.rule)}">
+                <i class="${SithasoBJLProblems.severityIcons[d.severity] || SithasoBJLProblems.severityIcons.info}"></i>
+                <div class="problem-body">
+                    <span class="problem-view">${this._escape(d.viewId)}</span>
+                    <span class="problem-message">${this._escape(d.message)}</span>
+                </div>
+                ${d.fix ? `<button class="btn btn-xs btn-outline btn-primary" data-fix="${i}">${this._escape(d.fix)}</button>` : ''}
+            </div>
+        `).join('');
+    }
+
+    _escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    _setupEvents() {
+        this.querySelector('.problems-container').addEventListener('click', (e) => {
+            if (e.target.closest('[data-fix-all]')) {
+                this.dispatchEvent(new CustomEvent('fix-all'));
+                return;
+            }
+            const fixBtn = e.target.closest('[data-fix]');
+            if (fixBtn) {
+                e.stopPropagation();
+                const diagnostic = this._diagnostics[parseInt(fixBtn.dataset.fix, 10)];
+                if (diagnostic) this.dispatchEvent(new CustomEvent('quick-fix', { detail: { diagnostic } }));
+                return;
+            }
+            const row = e.target.closest('.problem-row');
+            const diagnostic = row && this._diagnostics[parseInt(row.dataset.index, 10)];
+            if (diagnostic) this.dispatchEvent(new CustomEvent('select-problem', { detail: { diagnostic } }));
+        });
+    }
+}
+
+customElements.define('bjl-problems', SithasoBJLProblems);
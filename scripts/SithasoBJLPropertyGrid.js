@@ -0,0 +1,311 @@
+class SithasoBJLPropertyGrid extends HTMLElement {
+    constructor() {
+        super();
+        this._properties = []; // Schema property definitions: { Key, DisplayName, FieldType, DefaultValue, Description, List }
+        this._values = {};
+        this._mixed = new Set(); // Keys whose values differ across a multi-selection
+        this._filter = '';
+        this._styleInjected = false;
+    }
+
+    connectedCallback() {
+        if (!this._styleInjected) {
+            this._injectStyles();
+            this._styleInjected = true;
+        }
+        if (!this.querySelector('.prop-grid-container')) {
+            this.insertAdjacentHTML('beforeend', `
+                <div class="prop-grid-container">
+                    <div class="prop-grid-header">
+                        <div class="prop-grid-title"></div>
+                        <div class="prop-grid-subtitle"></div>
+                    </div>
+                    <input type="search" class="input input-sm input-bordered w-full prop-grid-search" placeholder="Search properties...">
+                    <div class="prop-grid-body"></div>
+                </div>
+            `);
+            this._setupEvents();
+        }
+        this.clear();
+    }
+
+    _injectStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            bjl-properties {
+                display: flex;
+                flex-direction: column;
+                width: 100%;
+                height: 100%;
+                overflow: hidden;
+            }
+            .prop-grid-container {
+                display: flex;
+                flex-direction: column;
+                gap: 0.75rem;
+                height: 100%;
+                overflow: hidden;
+            }
+            .prop-grid-title {
+                font-weight: 900;
+                font-size: 0.95rem;
+                letter-spacing: -0.01em;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .prop-grid-subtitle {
+                font-size: 10px;
+                font-weight: 700;
+                text-transform: uppercase;
+                opacity: 0.4;
+            }
+            .prop-grid-body {
+                flex: 1;
+                overflow-y: auto;
+                overflow-x: hidden;
+                scrollbar-width: thin;
+                scrollbar-color: color-mix(in oklch, var(--color-base-content), transparent 70%) transparent;
+            }
+            .prop-grid-empty {
+                font-size: 0.8rem;
+                opacity: 0.5;
+                text-align: center;
+                padding: 2rem 0.5rem;
+            }
+            .prop-row {
+                display: flex;
+                flex-direction: column;
+                gap: 0.25rem;
+                padding: 0.5rem 0.25rem;
+                border-bottom: 1px solid color-mix(in oklch, var(--color-base-content), transparent 94%);
+            }
+            .prop-row-label {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 0.5rem;
+                font-size: 0.75rem;
+                font-weight: 700;
+            }
+            .prop-row-key {
+                font-size: 9px;
+                font-weight: 400;
+                opacity: 0.4;
+                font-family: monospace;
+            }
+            .prop-row-mixed {
+                font-size: 9px;
+                font-weight: 700;
+                text-transform: uppercase;
+                color: var(--color-warning);
+            }
+            .prop-row-help {
+                font-size: 10px;
+                line-height: 1.3;
+                opacity: 0.5;
+            }
+            .prop-color {
+                display: flex;
+                align-items: center;
+                gap: 0.25rem;
+            }
+            .prop-color input[type="color"] {
+                width: 2rem;
+                height: 2rem;
+                padding: 0;
+                border: none;
+                background: none;
+                cursor: pointer;
+                flex-shrink: 0;
+            }
+        `;
+        this.appendChild(style);
+    }
+
+    /**
+     * Removes all property rows and shows a placeholder message.
+     */
+    clear(message = 'Select a view to edit its properties.') {
+        this._properties = [];
+        this._values = {};
+        this._mixed = new Set();
+        this._setHeader('Properties', '');
+        const body = this.querySelector('.prop-grid-body');
+        if (body) body.innerHTML = `<div class="prop-grid-empty">${this._escape(message)}</div>`;
+    }
+
+    /**
+     * Renders one editor row per schema property.
+     * @param {Object} options
+     * @param {string} options.title - Header text (usually the view name)
+     * @param {string} options.subtitle - Secondary header text (usually the shortType)
+     * @param {Object[]} options.properties - Schema property definitions
+     * @param {Object} options.values - Current values keyed by property Key
+     * @param {string[]} options.mixed - Keys whose values differ across the edited views
+     */
+    load({ title = '', subtitle = '', properties = [], values = {}, mixed = [] } = {}) {
+        this._properties = Array.isArray(properties) ? properties : [];
+        this._values = { ...(values || {}) };
+        this._mixed = new Set(mixed || []);
+        this._setHeader(title, subtitle);
+        this._renderRows();
+    }
+
+    _setHeader(title, subtitle) {
+        const titleEl = this.querySelector('.prop-grid-title');
+        const subtitleEl = this.querySelector('.prop-grid-subtitle');
+        if (titleEl) titleEl.textContent = title;
+        if (subtitleEl) subtitleEl.textContent = subtitle;
+    }
+
+    _renderRows() {
+        const body = this.querySelector('.prop-grid-body');
+        if (!body) return;
+
+        // Keep the scroll position when the same view is reloaded after an edit.
+        const scrollTop = body.scrollTop;
+        const filter = this._filter.toLowerCase();
+        const rows = this._properties
+            .filter(p => p && p.Key)
+            .filter(p => !filter ||
+                String(p.Key).toLowerCase().includes(filter) ||
+                String(p.DisplayName || '').toLowerCase().includes(filter))
+            .map(p => this._renderRow(p));
+
+        body.innerHTML = rows.length > 0
+            ? rows.join('')
+            : `<div class="prop-grid-empty">No matching properties.</div>`;
+        // Indeterminate can only be set from script.
+        body.querySelectorAll('input[type="checkbox"][data-mixed]').forEach(cb => { cb.indeterminate = true; });
+        body.scrollTop = scrollTop;
+    }
+
+    _renderRow(prop) {
+        const key = prop.Key;
+        const label = prop.DisplayName || key;
+        const help = prop.Description || '';
+        const mixed = this._mixed.has(key);
+        return `
+            <div class="prop-row" data-key="${this._escape(key)}" title="${this._escape(help)}">
+                <label class="prop-row-label">
+                    <span class="truncate">${this._escape(label)}</span>
+                    ${mixed ? '<span class="prop-row-mixed">Mixed</span>' : ''}
+                    <span class="prop-row-key">${this._escape(key)}</span>
+                </label>
+                ${this._renderEditor(prop, mixed ? undefined : this._values[key], mixed)}
+                ${help && help !== label ? `<div class="prop-row-help">${this._escape(help)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    _renderEditor(prop, value, mixed = false) {
+        const key = this._escape(prop.Key);
+        const list = String(prop.List || '').split('|').map(s => s.trim()).filter(s => s.length > 0);
+        const placeholder = mixed ? 'placeholder="(mixed)"' : '';
+
+        if (list.length > 0) {
+            const current = value === undefined || value === null ? '' : String(value);
+            // Keep unknown values visible instead of silently replacing them with the first option.
+            const options = mixed || list.includes(current) ? list : [current, ...list];
+            return `
+                <select class="select select-bordered select-sm w-full" data-key="${key}" data-field-type="List">
+                    ${mixed ? '<option value="" disabled selected hidden>(mixed)</option>' : ''}
+                    ${options.map(o => `<option value="${this._escape(o)}" ${!mixed && o === current ? 'selected' : ''}>${this._escape(o === '' ? '(empty)' : o)}</option>`).join('')}
+                </select>
+            `;
+        }
+
+        switch (prop.FieldType) {
+            case 'Boolean': {
+                const checked = value === true || String(value).toLowerCase() === 'true';
+                return `<input type="checkbox" class="toggle toggle-primary toggle-sm" data-key="${key}" data-field-type="Boolean" ${checked ? 'checked' : ''} ${mixed ? 'data-mixed' : ''}>`;
+            }
+            case 'Int':
+            case 'Float': {
+                const step = prop.FieldType === 'Int' ? '1' : 'any';
+                return `<input type="number" step="${step}" class="input input-bordered input-sm w-full" data-key="${key}" data-field-type="${prop.FieldType}" value="${this._escape(value ?? '')}" ${placeholder}>`;
+            }
+            case 'Color': {
+                const text = value === undefined || value === null ? '' : String(value);
+                return `
+                    <div class="prop-color">
+                        <input type="color" data-key="${key}" data-field-type="ColorPicker" value="${this._toPickerColor(text)}">
+                        <input type="text" class="input input-bordered input-sm w-full" data-key="${key}" data-field-type="Color" value="${this._escape(text)}" ${placeholder}>
+                    </div>
+                `;
+            }
+            default:
+                return `<input type="text" class="input input-bordered input-sm w-full" data-key="${key}" data-field-type="String" value="${this._escape(value ?? '')}" ${placeholder}>`;
+        }
+    }
+
+    /**
+     * Converts #RGB, #RRGGBB, #AARRGGBB and 0xAARRGGBB values to the #RRGGBB form used by <input type="color">.
+     */
+    _toPickerColor(text) {
+        const hex = String(text || '').trim().replace(/^(#|0x)/i, '');
+        if (/^[0-9a-f]{3}$/i.test(hex)) return '#' + hex.split('').map(c => c + c).join('').toLowerCase();
+        if (/^[0-9a-f]{6}$/i.test(hex)) return '#' + hex.toLowerCase();
+        if (/^[0-9a-f]{8}$/i.test(hex)) return '#' + hex.substring(2).toLowerCase();
+        return '#000000';
+    }
+
+    _readEditorValue(input) {
+        switch (input.dataset.fieldType) {
+            case 'Boolean': return input.checked;
+            case 'Int': return parseInt(input.value, 10) || 0;
+            case 'Float': return parseFloat(input.value) || 0;
+            default: return input.value;
+        }
+    }
+
+    _escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    _setupEvents() {
+        const search = this.querySelector('.prop-grid-search');
+        if (search) {
+            search.addEventListener('input', () => {
+                this._filter = search.value.trim();
+                this._renderRows();
+            });
+        }
+
+        // Commit on change (blur/enter/toggle) so one edit is one undo step.
+        this.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-key][data-field-type]');
+            if (!input || !this.contains(input)) return;
+            e.stopPropagation();
+
+            const key = input.dataset.key;
+            let fieldType = input.dataset.fieldType;
+            let value = this._readEditorValue(input);
+
+            if (fieldType === 'ColorPicker') {
+                // Mirror the picked color into the text box, preserving an existing alpha prefix.
+                const textInput = this.querySelector(`input[data-field-type="Color"][data-key="${CSS.escape(key)}"]`);
+                const previous = textInput ? textInput.value.trim() : '';
+                const match = /^(#|0x)([0-9a-f]{2})[0-9a-f]{6}$/i.exec(previous);
+                const alpha = match ? match[2] : '';
+                value = '#' + alpha + input.value.substring(1);
+                if (textInput) textInput.value = value;
+                fieldType = 'Color';
+            }
+
+            const prop = this._properties.find(p => p.Key === key);
+            this._values[key] = value;
+            this._mixed.delete(key);
+            this.dispatchEvent(new CustomEvent('property-change', {
+                detail: { key, value, fieldType: prop ? prop.FieldType : fieldType }
+            }));
+        });
+    }
+}
+
+customElements.define('bjl-properties', SithasoBJLPropertyGrid);
@@ -0,0 +1,330 @@
+class SithasoBJLScriptEditor extends HTMLElement {
+    constructor() {
+        super();
+        this._sections = []; // { label, text }
+        this._active = 0;
+        this._problems = []; // { section, line, column, message }
+        this._styleInjected = false;
+    }
+
+    /**
+     * Designer-script methods highlighted as keywords.
+     */
+    static get keywords() {
+        return [
+            'AutoScaleAll', 'AutoScale', 'AutoScaleRate',
+            'SetLeftAndRight', 'SetTopAndBottom',
+            'HorizontalCenter', 'VerticalCenter'
+        ];
+    }
+
+    /**
+     * View properties highlighted when they follow a dot (Button1.Left).
+     */
+    static get properties() {
+        return ['Left', 'Right', 'Top', 'Bottom', 'Width', 'Height', 'Text', 'TextSize', 'Visible', 'Enabled'];
+    }
+
+    /**
+     * Language words and built-in functions.
+     */
+    static get controlWords() {
+        return ['If', 'Then', 'Else', 'ElseIf', 'End', 'And', 'Or', 'Not', 'Min', 'Max'];
+    }
+
+    connectedCallback() {
+        if (!this._styleInjected) {
+            this._injectStyles();
+            this._styleInjected = true;
+        }
+        if (!this.querySelector('.script-editor-container')) {
+            this.insertAdjacentHTML('beforeend', `
+                <div class="script-editor-container">
+                    <div role="tablist" class="tabs tabs-box tabs-sm script-editor-tabs"></div>
+                    <div class="script-editor-code">
+                        <pre class="script-editor-highlight" aria-hidden="true"><code></code></pre>
+                        <textarea class="script-editor-input" spellcheck="false" autocomplete="off" wrap="off"></textarea>
+                    </div>
+                    <div class="script-editor-problems"></div>
+                </div>
+            `);
+            this._setupEvents();
+        }
+        this._renderTabs();
+        this._renderCode();
+        this._renderProblems();
+    }
+
+    _injectStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            bjl-script-editor {
+                display: flex;
+                flex-direction: column;
+                width: 100%;
+                height: 100%;
+                overflow: hidden;
+            }
+            .script-editor-container {
+                display: flex;
+                flex-direction: column;
+                gap: 0.75rem;
+                height: 100%;
+                overflow: hidden;
+            }
+            .script-editor-tabs {
+                flex-wrap: nowrap;
+                overflow-x: auto;
+                flex-shrink: 0;
+            }
+            .script-editor-tabs .tab {
+                white-space: nowrap;
+            }
+            .script-editor-code {
+                position: relative;
+                flex: 1;
+                overflow: hidden;
+                border-radius: 0.5rem;
+                border: 1px solid color-mix(in oklch, var(--color-base-content), transparent 90%);
+                background: var(--color-base-100);
+            }
+            .script-editor-highlight,
+            .script-editor-input {
+                position: absolute;
+                inset: 0;
+                margin: 0;
+                padding: 0.75rem 1rem;
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 13px;
+                line-height: 1.5;
+                tab-size: 4;
+                white-space: pre;
+                overflow: auto;
+                border: none;
+            }
+            .script-editor-highlight {
+                pointer-events: none;
+                color: var(--color-base-content);
+            }
+            .script-editor-input {
+                resize: none;
+                outline: none;
+                color: transparent;
+                background: transparent;
+                caret-color: var(--color-base-content);
+            }
+            .script-editor-problems {
+                flex-shrink: 0;
+                max-height: 30%;
+                overflow-y: auto;
+                font-size: 0.75rem;
+            }
+            .script-problem {
+                display: flex;
+                gap: 0.5rem;
+                padding: 0.25rem 0.5rem;
+                border-radius: 0.375rem;
+                cursor: pointer;
+            }
+            .script-problem:hover {
+                background: color-mix(in oklch, var(--color-error), transparent 90%);
+            }
+            .script-problem-line {
+                font-family: monospace;
+                font-weight: 700;
+                color: var(--color-error);
+                white-space: nowrap;
+            }
+            .script-editor-tabs .tab .badge {
+                margin-left: 0.35rem;
+            }
+            .script-editor-highlight .tok-comment { color: #16a34a; font-style: italic; }
+            .script-editor-highlight .tok-string { color: #b45309; }
+            .script-editor-highlight .tok-number { color: #9333ea; }
+            .script-editor-highlight .tok-keyword { color: #2563eb; font-weight: 700; }
+            .script-editor-highlight .tok-property { color: #0891b2; }
+            .script-editor-highlight .tok-control { color: #db2777; font-weight: 700; }
+        `;
+        this.appendChild(style);
+    }
+
+    /**
+     * Replaces the edited scripts. The active section is kept when it still exists.
+     * @param {Object[]} sections - Items of the form { label, text }
+     */
+    setSections(sections = []) {
+        this._sections = (Array.isArray(sections) ? sections : [])
+            .map(s => ({ label: String(s.label || ''), text: String(s.text ?? '') }));
+        if (this._active >= this._sections.length) this._active = 0;
+        this._renderTabs();
+        this._renderCode();
+    }
+
+    get activeSection() {
+        return this._active;
+    }
+
+    setActiveSection(index) {
+        if (index < 0 || index >= this._sections.length) return;
+        this._active = index;
+        this._renderTabs();
+        this._renderCode();
+    }
+
+    getText(index = this._active) {
+        const section = this._sections[index];
+        return section ? section.text : '';
+    }
+
+    /**
+     * Shows script errors below the editor.
+     * @param {Object[]} problems - Items of the form { section, line, column, message }
+     */
+    setProblems(problems = []) {
+        this._problems = Array.isArray(problems) ? problems : [];
+        this._renderTabs();
+        this._renderProblems();
+    }
+
+    /**
+     * Activates a section and places the caret at the start of a 1-based line.
+     */
+    goToLine(section, line, column = 1) {
+        this.setActiveSection(section);
+        const input = this.querySelector('.script-editor-input');
+        if (!input) return;
+        const lines = input.value.split('\n');
+        let offset = 0;
+        for (let i = 0; i < Math.min(line - 1, lines.length); i++) offset += lines[i].length + 1;
+        offset = Math.min(input.value.length, offset + Math.max(0, column - 1));
+        input.focus();
+        input.setSelectionRange(offset, offset);
+    }
+
+    _renderTabs() {
+        const tabs = this.querySelector('.script-editor-tabs');
+        if (!tabs) return;
+        tabs.innerHTML = this._sections.map((s, i) => {
+            const count = this._problems.filter(p => p.section === i).length;
+            return `
+                <a role="tab" class="tab ${i === this._active ? 'tab-active' : ''}" data-section="${i}">
+                    ${this._escape(s.label)}${count > 0 ? `<span class="badge badge-error badge-xs">${count}</span>` : ''}
+                </a>
+            `;
+        }).join('');
+    }
+
+    _renderProblems() {
+        const pane = this.querySelector('.script-editor-problems');
+        if (!pane) return;
+        if (this._problems.length === 0) {
+            pane.innerHTML = `<div class="opacity-50 px-2"><i class="ri-checkbox-circle-line text-success"></i> No script errors</div>`;
+            return;
+        }
+        pane.innerHTML = this._problems.map((p, i) => `
+            <div class="script-problem" data-problem="${i}">
+                <span class="script-problem-line">${this._escape((this._sections[p.section] || {}).label || '')} · Line ${p.line}</span>
+                <span>${this._escape(p.message)}</span>
+            </div>
+        `).join('');
+    }
+
+    _renderCode() {
+        const input = this.querySelector('.script-editor-input');
+        if (!input) return;
+        const text = this.getText();
+        input.disabled = this._sections.length === 0;
+        if (input.value !== text) input.value = text;
+        this._renderHighlight();
+    }
+
+    _renderHighlight() {
+        const input = this.querySelector('.script-editor-input');
+        const code = this.querySelector('.script-editor-highlight code');
+        if (!input || !code) return;
+        // The trailing space keeps the last empty line the same height in both layers.
+        code.innerHTML = this.highlight(input.value) + ' ';
+        this._syncScroll();
+    }
+
+    _syncScroll() {
+        const input = this.querySelector('.script-editor-input');
+        const pre = this.querySelector('.script-editor-highlight');
+        if (!input || !pre) return;
+        pre.scrollTop = input.scrollTop;
+        pre.scrollLeft = input.scrollLeft;
+    }
+
+    /**
+     * Returns designer-script source as HTML with token spans.
+     */
+    highlight(source) {
+        const words = (list) => list.join('|');
+        const pattern = new RegExp(
+            `('.*$)|("[^"\\n]*"?)|(\\b\\d+(?:\\.\\d+)?(?:%x|%y|dip)?)` +
+            `|\\b(${words(SithasoBJLScriptEditor.keywords)})\\b` +
+            `|\\b(${words(SithasoBJLScriptEditor.controlWords)})\\b` +
+            `|(\\.(?:${words(SithasoBJLScriptEditor.properties)})\\b)`,
+            'gmi'
+        );
+        const text = String(source || '');
+        let html = '';
+        let last = 0;
+        text.replace(pattern, (match, comment, string, number, keyword, control, property, offset) => {
+            html += this._escape(text.substring(last, offset));
+            const cls = comment ? 'comment' : string ? 'string' : number ? 'number'
+                : keyword ? 'keyword' : control ? 'control' : 'property';
+            html += `<span class="tok-${cls}">${this._escape(match)}</span>`;
+            last = offset + match.length;
+            return match;
+        });
+        return html + this._escape(text.substring(last));
+    }
+
+    _escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    _setupEvents() {
+        const tabs = this.querySelector('.script-editor-tabs');
+        tabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-section]');
+            if (!tab) return;
+            e.preventDefault();
+            this.setActiveSection(parseInt(tab.dataset.section, 10));
+            this.dispatchEvent(new CustomEvent('section-change', { detail: { index: this._active } }));
+        });
+
+        this.querySelector('.script-editor-problems').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-problem]');
+            const problem = row && this._problems[parseInt(row.dataset.problem, 10)];
+            if (problem) this.goToLine(problem.section, problem.line, problem.column);
+        });
+
+        const input = this.querySelector('.script-editor-input');
+        input.addEventListener('input', () => {
+            const section = this._sections[this._active];
+            if (!section) return;
+            section.text = input.value;
+            this._renderHighlight();
+            this.dispatchEvent(new CustomEvent('script-change', {
+                detail: { index: this._active, text: input.value }
+            }));
+        });
+        input.addEventListener('scroll', () => this._syncScroll());
+        input.addEventListener('keydown', (e) => {
+            // Insert a tab instead of moving focus out of the editor.
+            if (e.key !== 'Tab' || e.shiftKey) return;
+            e.preventDefault();
+            const start = input.selectionStart;
+            input.setRangeText('\t', start, input.selectionEnd, 'end');
+            input.dispatchEvent(new Event('input'));
+        });
+    }
+}
+
+customElements.define('bjl-script-editor', SithasoBJLScriptEditor);
@@ -0,0 +1,361 @@
+/* ---------- Designer Script Interpreter ---------- */
+// Runs the common subset of the B4X designer script against resolved view rects.
+// Coordinates are in variant units: plain numbers are pixels, NNdip is NN * variant scale
+// and NN%x / NN%y are percentages of the variant width / height.
+
+class DesignerScriptError extends Error {
+    constructor(message, column = 0) {
+        super(message);
+        this.name = 'DesignerScriptError';
+        this.column = column;
+    }
+}
+
+class SithasoDesignerScript {
+    /**
+     * @param {Object} options
+     * @param {number} options.width - Variant width
+     * @param {number} options.height - Variant height
+     * @param {number} options.scale - Variant scale (used by dip)
+     */
+    constructor({ width = 600, height = 600, scale = 1 } = {}) {
+        this.width = Number(width) > 0 ? Number(width) : 600;
+        this.height = Number(height) > 0 ? Number(height) : 600;
+        this.scale = Number(scale) > 0 ? Number(scale) : 1;
+        this.autoScaleRate = 0.3;
+    }
+
+    static get methods() {
+        return ['SetLeftAndRight', 'SetTopAndBottom'];
+    }
+
+    static get writableProperties() {
+        return ['Left', 'Top', 'Right', 'Bottom', 'Width', 'Height', 'HorizontalCenter', 'VerticalCenter',
+            'Visible', 'Enabled', 'Text', 'TextSize'];
+    }
+
+    /**
+     * Runs the scripts in order (general script first, then the variant script).
+     * @param {Object[]} records - Items with { id, parentId, left, top, width, height }; like in
+     *   B4X, rects are relative to the view's parent (parentId, '' for the root)
+     * @param {Object[]} scripts - Items of the form { section, text }; section is echoed in errors
+     * @returns {{ views: Map<string, Object>, errors: Object[] }} Views keyed by id, with
+     *   parent-relative rects;
+     *   errors are { section, line, column, message } with 1-based line numbers.
+     */
+    run(records = [], scripts = []) {
+        this._views = new Map();
+        this._byName = new Map();
+        (records || []).forEach(r => {
+            if (!r || !r.id) return;
+            const view = {
+                id: r.id,
+                parentId: r.parentId || '',
+                left: Number(r.left) || 0,
+                top: Number(r.top) || 0,
+                width: Number(r.width) || 0,
+                height: Number(r.height) || 0,
+                visible: true,
+                changed: false,
+                props: {}
+            };
+            this._views.set(r.id, view);
+            this._byName.set(String(r.id).toLowerCase(), view);
+        });
+
+        const errors = [];
+        (scripts || []).forEach(({ section = 0, text = '' } = {}) => {
+            String(text || '').split(/\r?\n/).forEach((line, i) => {
+                try {
+                    this._runLine(line);
+                } catch (err) {
+                    errors.push({
+                        section,
+                        line: i + 1,
+                        column: err instanceof DesignerScriptError ? err.column + 1 : 1,
+                        message: err.message
+                    });
+                }
+            });
+        });
+        return { views: this._views, errors };
+    }
+
+    _runLine(line) {
+        this._tokens = this._tokenize(line);
+        this._pos = 0;
+        if (this._tokens.length === 0) return;
+
+        const first = this._expect('ident');
+        const name = first.value.toLowerCase();
+
+        if (name === 'autoscaleall' && this._atEnd()) {
+            this._views.forEach(v => this._autoScale(v));
+            return;
+        }
+        if (name === 'autoscale' || name === 'autoscalerate') {
+            this._expect('(');
+            if (name === 'autoscale') {
+                this._autoScale(this._getView(this._expect('ident')));
+            } else {
+                this.autoScaleRate = this._number(this._expression(), this._peek());
+            }
+            this._expect(')');
+            this._expectEnd();
+            return;
+        }
+
+        const view = this._getView(first);
+        this._expect('.');
+        const member = this._expect('ident');
+
+        if (this._peek() && this._peek().type === '(') {
+            const method = SithasoDesignerScript.methods.find(m => m.toLowerCase() === member.value.toLowerCase());
+            if (!method) throw new DesignerScriptError(`Unknown method: ${member.value}`, member.column);
+            this._expect('(');
+            const a = this._number(this._expression(), member);
+            this._expect(',');
+            const b = this._number(this._expression(), member);
+            this._expect(')');
+            this._expectEnd();
+            if (method === 'SetLeftAndRight') {
+                view.left = a;
+                view.width = b - a;
+            } else {
+                view.top = a;
+                view.height = b - a;
+            }
+            view.changed = true;
+            return;
+        }
+
+        const prop = SithasoDesignerScript.writableProperties.find(p => p.toLowerCase() === member.value.toLowerCase());
+        if (!prop) throw new DesignerScriptError(`Unknown property: ${member.value}`, member.column);
+        this._expect('=');
+        const value = this._expression();
+        this._expectEnd();
+        this._assign(view, prop, value, member);
+    }
+
+    _assign(view, prop, value, token) {
+        if (view.readOnly) throw new DesignerScriptError(`${view.id} cannot be changed`, token.column);
+        switch (prop) {
+            case 'Left': view.left = this._number(value, token); break;
+            case 'Top': view.top = this._number(value, token); break;
+            case 'Width': view.width = this._number(value, token); break;
+            case 'Height': view.height = this._number(value, token); break;
+            // Setting an edge or center moves the view and keeps its size, like B4X.
+            case 'Right': view.left = this._number(value, token) - view.width; break;
+            case 'Bottom': view.top = this._number(value, token) - view.height; break;
+            case 'HorizontalCenter': view.left = this._number(value, token) - view.width / 2; break;
+            case 'VerticalCenter': view.top = this._number(value, token) - view.height / 2; break;
+            case 'Visible': view.visible = this._boolean(value, token); break;
+            default: view.props[prop] = value;
+        }
+        view.changed = true;
+    }
+
+    /**
+     * Scales a view around the origin by 1 + rate * delta, where delta compares the variant
+     * size to the 320 x 430 dip reference used by B4X.
+     */
+    _autoScale(view) {
+        if (view.readOnly) return;
+        const delta = (this.width + this.height) / ((320 + 430) * this.scale) - 1;
+        const factor = 1 + this.autoScaleRate * delta;
+        view.left *= factor;
+        view.top *= factor;
+        view.width *= factor;
+        view.height *= factor;
+        if (typeof view.props.TextSize === 'number') view.props.TextSize *= factor;
+        view.changed = true;
+    }
+
+    _getView(token) {
+        const name = token.value.toLowerCase();
+        // The activity / main form is the variant itself.
+        if (name === 'activity' || name === 'main' || name === 'mainform') {
+            return { id: token.value, left: 0, top: 0, width: this.width, height: this.height, readOnly: true, props: {} };
+        }
+        const view = this._byName.get(name);
+        if (!view) throw new DesignerScriptError(`Unknown view: ${token.value}`, token.column);
+        return view;
+    }
+
+    _readProperty(view, token) {
+        switch (token.value.toLowerCase()) {
+            case 'left': return view.left;
+            case 'top': return view.top;
+            case 'width': return view.width;
+            case 'height': return view.height;
+            case 'right': return view.left + view.width;
+            case 'bottom': return view.top + view.height;
+            case 'horizontalcenter': return view.left + view.width / 2;
+            case 'verticalcenter': return view.top + view.height / 2;
+            case 'visible': return view.visible !== false;
+            default: {
+                const key = Object.keys(view.props || {}).find(k => k.toLowerCase() === token.value.toLowerCase());
+                if (key) return view.props[key];
+                throw new DesignerScriptError(`Unknown property: ${token.value}`, token.column);
+            }
+        }
+    }
+
+    /* ---------- Expressions ---------- */
+
+    _expression() {
+        let value = this._term();
+        while (this._peek() && (this._peek().type === '+' || this._peek().type === '-')) {
+            const op = this._next();
+            const right = this._term();
+            value = op.type === '+' && (typeof value === 'string' || typeof right === 'string')
+                ? String(value) + String(right)
+                : op.type === '+'
+                    ? this._number(value, op) + this._number(right, op)
+                    : this._number(value, op) - this._number(right, op);
+        }
+        return value;
+    }
+
+    _term() {
+        let value = this._unary();
+        while (this._peek() && (this._peek().type === '*' || this._peek().type === '/')) {
+            const op = this._next();
+            const right = this._number(this._unary(), op);
+            if (op.type === '/' && right === 0) throw new DesignerScriptError('Division by zero', op.column);
+            value = op.type === '*' ? this._number(value, op) * right : this._number(value, op) / right;
+        }
+        return value;
+    }
+
+    _unary() {
+        if (this._peek() && this._peek().type === '-') {
+            const op = this._next();
+            return -this._number(this._unary(), op);
+        }
+        return this._primary();
+    }
+
+    _primary() {
+        const token = this._next();
+        if (!token) throw new DesignerScriptError('Unexpected end of line', this._endColumn());
+
+        switch (token.type) {
+            case 'number': return token.value;
+            case 'string': return token.value;
+            case '(': {
+                const value = this._expression();
+                this._expect(')');
+                return value;
+            }
+            case 'ident': {
+                const name = token.value.toLowerCase();
+                if (name === 'true') return true;
+                if (name === 'false') return false;
+                if ((name === 'min' || name === 'max') && this._peek() && this._peek().type === '(') {
+                    this._expect('(');
+                    const a = this._number(this._expression(), token);
+                    this._expect(',');
+                    const b = this._number(this._expression(), token);
+                    this._expect(')');
+                    return name === 'min' ? Math.min(a, b) : Math.max(a, b);
+                }
+                const view = this._getView(token);
+                this._expect('.');
+                return this._readProperty(view, this._expect('ident'));
+            }
+            default:
+                throw new DesignerScriptError(`Unexpected '${token.text}'`, token.column);
+        }
+    }
+
+    _number(value, token) {
+        if (typeof value === 'number' && Number.isFinite(value)) return value;
+        throw new DesignerScriptError('Expected a number', token ? token.column : 0);
+    }
+
+    _boolean(value, token) {
+        if (typeof value === 'boolean') return value;
+        throw new DesignerScriptError('Expected True or False', token ? token.column : 0);
+    }
+
+    /* ---------- Tokens ---------- */
+
+    _tokenize(line) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)\s*(%x|%y|dip)?|([A-Za-z_][A-Za-z0-9_]*)|("[^"]*")|(')|([.(),=+\-*/]))/iy;
+        let index = 0;
+        while (index < line.length) {
+            pattern.lastIndex = index;
+            const m = pattern.exec(line);
+            if (!m) {
+                if (/^\s*$/.test(line.substring(index))) break;
+                const column = index + line.substring(index).search(/\S/);
+                throw new DesignerScriptError(`Unexpected character '${line[column]}'`, column);
+            }
+            const column = index + m[0].search(/\S/);
+            index = pattern.lastIndex;
+            if (m[5]) break; // Comment runs to the end of the line
+            if (m[1] !== undefined) {
+                tokens.push({ type: 'number', value: this._applyUnit(parseFloat(m[1]), m[2]), text: m[0].trim(), column });
+            } else if (m[3]) {
+                tokens.push({ type: 'ident', value: m[3], text: m[3], column });
+            } else if (m[4]) {
+                tokens.push({ type: 'string', value: m[4].slice(1, -1), text: m[4], column });
+            } else {
+                tokens.push({ type: m[6], text: m[6], column });
+            }
+        }
+        this._lineLength = line.length;
+        return tokens;
+    }
+
+    _applyUnit(value, unit) {
+        switch ((unit || '').toLowerCase()) {
+            case '%x': return value * this.width / 100;
+            case '%y': return value * this.height / 100;
+            case 'dip': return value * this.scale;
+            default: return value;
+        }
+    }
+
+    _peek() {
+        return this._tokens[this._pos];
+    }
+
+    _next() {
+        return this._tokens[this._pos++];
+    }
+
+    _atEnd() {
+        return this._pos >= this._tokens.length;
+    }
+
+    _endColumn() {
+        return this._lineLength || 0;
+    }
+
+    _expect(type) {
+        const token = this._next();
+        if (!token) throw new DesignerScriptError(`Expected '${type === 'ident' ? 'name' : type}' at end of line`, this._endColumn());
+        if (token.type !== type) {
+            throw new DesignerScriptError(`Expected '${type === 'ident' ? 'name' : type}' but found '${token.text}'`, token.column);
+        }
+        return token;
+    }
+
+    _expectEnd() {
+        const token = this._peek();
+        if (token) throw new DesignerScriptError(`Unexpected '${token.text}'`, token.column);
+    }
+}
+
+/* ---------- Export ---------- */
+if (typeof module !== 'undefined') {
+    module.exports = SithasoDesignerScript;
+    module.exports.DesignerScriptError = DesignerScriptError;
+}
+if (typeof window !== 'undefined') {
+    window.SithasoDesignerScript = SithasoDesignerScript;
+    window.DesignerScriptError = DesignerScriptError;
+}
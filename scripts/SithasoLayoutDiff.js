@@ -0,0 +1,430 @@
+/* ---------- Layout Diff & Merge ---------- */
+// Compares layouts view by view, matching views on their name.
+// Geometry is compared per variant block (variant0.left, ...), every other value by its
+// dotted path inside the view (text, customProperties.Color, font.fontSize, ...).
+
+/**
+ * Semantic diff from layout a to layout b.
+ * @returns {{ added: string[], removed: string[], changed: Object[], layout: Object[] }}
+ *   changed items are { viewId, geometry: [{ variant, key, from, to }],
+ *   properties: [{ path, from, to }], moved, parent }, where moved means the view changed z-order
+ *   among its siblings and parent is { from, to } when it now sits in another parent (else null).
+ *   layout lists { path, from, to } for Variants and each DesignerScript (LayoutHeader.DesignerScript.N).
+ */
+function diffLayouts(a, b) {
+    const before = diffIndexViews(a);
+    const after = diffIndexViews(b);
+    const result = { added: [], removed: [], changed: [], layout: [] };
+
+    after.forEach((entry, name) => {
+        if (!before.has(name)) result.added.push(name);
+    });
+    before.forEach((entry, name) => {
+        if (!after.has(name)) result.removed.push(name);
+    });
+
+    const moved = diffMovedViews(before, after);
+    before.forEach((entry, name) => {
+        const other = after.get(name);
+        if (!other) return;
+        const from = diffFlatten(entry.view);
+        const to = diffFlatten(other.view);
+        const parent = entry.parentName !== other.parentName ? { from: entry.parentName, to: other.parentName } : null;
+        const change = { viewId: name, geometry: [], properties: [], moved: moved.has(name), parent };
+        diffKeys(from, to).forEach(path => {
+            if (diffEqual(from[path], to[path])) return;
+            const geometry = /^variant(\d+)\.(.+)$/.exec(path);
+            if (geometry) change.geometry.push({ variant: Number(geometry[1]), key: geometry[2], from: from[path], to: to[path] });
+            else change.properties.push({ path, from: from[path], to: to[path] });
+        });
+        if (change.geometry.length || change.properties.length || change.moved || change.parent) result.changed.push(change);
+    });
+
+    const layoutFrom = diffLayoutValues(a);
+    const layoutTo = diffLayoutValues(b);
+    diffKeys(layoutFrom, layoutTo).forEach(path => {
+        if (!diffEqual(layoutFrom[path], layoutTo[path])) result.layout.push({ path, from: layoutFrom[path], to: layoutTo[path] });
+    });
+    return result;
+}
+
+/**
+ * Three-way merge of ours and theirs against their common base. Changes made on one side
+ * only are taken; values changed differently on both sides become conflicts, which keep
+ * ours in the merged layout until resolveConflicts() picks a side.
+ * @returns {{ layout: Object, conflicts: Object[] }} conflicts are
+ *   { kind: 'property' | 'view' | 'parent' | 'order' | 'layout', viewId, path, base, ours, theirs };
+ *   parent conflicts hold parent names
+ */
+function mergeLayouts(base, ours, theirs) {
+    const layout = JSON.parse(JSON.stringify(ours));
+    const conflicts = [];
+    const b = diffIndexViews(base);
+    const o = diffIndexViews(ours);
+    const t = diffIndexViews(theirs);
+    const names = new Set([...b.keys(), ...o.keys(), ...t.keys()]);
+    const reparents = [];
+
+    names.forEach(name => {
+        const inBase = b.get(name);
+        const inOurs = o.get(name);
+        const inTheirs = t.get(name);
+        const sameAsBase = (side) => diffEqual(diffFlatten(side.view), diffFlatten(inBase.view));
+
+        if (!inBase) {
+            // Added on one or both sides.
+            if (inTheirs && !inOurs) diffInsertView(layout, inTheirs);
+            else if (inTheirs && inOurs && !diffEqual(diffFlatten(inOurs.view), diffFlatten(inTheirs.view))) {
+                conflicts.push({ kind: 'view', viewId: name, path: '', base: null, ours: inOurs.view, theirs: inTheirs.view, theirsParent: inTheirs.parentName, theirsHeader: diffHeaderFor(theirs, name) });
+            }
+            return;
+        }
+        if (!inOurs && !inTheirs) return;
+        if (!inTheirs) {
+            // Deleted by them: follow unless we edited it.
+            if (sameAsBase(inOurs)) diffRemoveView(layout, name);
+            else conflicts.push({ kind: 'view', viewId: name, path: '', base: inBase.view, ours: inOurs.view, theirs: null });
+            return;
+        }
+        if (!inOurs) {
+            // Deleted by us: stays deleted unless they edited it.
+            if (!sameAsBase(inTheirs)) {
+                conflicts.push({ kind: 'view', viewId: name, path: '', base: inBase.view, ours: null, theirs: inTheirs.view, theirsParent: inTheirs.parentName, theirsHeader: diffHeaderFor(theirs, name) });
+            }
+            return;
+        }
+
+        if (inOurs.parentName !== inTheirs.parentName && inTheirs.parentName !== inBase.parentName) {
+            if (inOurs.parentName === inBase.parentName) reparents.push({ name, parentName: inTheirs.parentName, base: inBase.parentName });
+            else conflicts.push({ kind: 'parent', viewId: name, path: 'parent', base: inBase.parentName, ours: inOurs.parentName, theirs: inTheirs.parentName });
+        }
+
+        const target = diffFindView(layout.Data, name);
+        const bf = diffFlatten(inBase.view);
+        const of = diffFlatten(inOurs.view);
+        const tf = diffFlatten(inTheirs.view);
+        diffKeys(bf, of, tf).forEach(path => {
+            if (diffEqual(of[path], tf[path]) || diffEqual(tf[path], bf[path])) return;
+            if (diffEqual(of[path], bf[path])) diffSetPath(target, path, tf[path]);
+            else conflicts.push({ kind: 'property', viewId: name, path, base: bf[path], ours: of[path], theirs: tf[path] });
+        });
+    });
+
+    // Moved to another parent by them only: follow once views they added exist, unless that
+    // parent is gone or the move would put a view inside itself.
+    reparents.forEach(({ name, parentName, base: baseParent }) => {
+        if (!diffMoveView(layout, name, parentName)) {
+            conflicts.push({ kind: 'parent', viewId: name, path: 'parent', base: baseParent, ours: baseParent, theirs: parentName });
+        }
+    });
+
+    diffMergeOrder(layout, b, o, t, conflicts);
+    diffSyncHeaders(layout, theirs);
+
+    const lb = diffLayoutValues(base);
+    const lo = diffLayoutValues(ours);
+    const lt = diffLayoutValues(theirs);
+    diffKeys(lb, lo, lt).forEach(path => {
+        if (diffEqual(lo[path], lt[path]) || diffEqual(lt[path], lb[path])) return;
+        if (diffEqual(lo[path], lb[path])) diffSetPath(layout, path, lt[path]);
+        else conflicts.push({ kind: 'layout', viewId: '', path, base: lb[path], ours: lo[path], theirs: lt[path] });
+    });
+    diffCompactScripts(layout);
+    return { layout, conflicts };
+}
+
+/**
+ * Applies the chosen side of each conflict to merge.layout.
+ * @param {Object} merge - Result of mergeLayouts()
+ * @param {string[]} choices - 'ours' or 'theirs' per conflict index; missing entries keep ours
+ * @returns {Object} The merged layout
+ */
+function resolveConflicts(merge, choices = []) {
+    const layout = merge.layout;
+    merge.conflicts.forEach((conflict, i) => {
+        if (choices[i] !== 'theirs') return;
+        switch (conflict.kind) {
+            case 'property': {
+                const view = diffFindView(layout.Data, conflict.viewId);
+                if (view) diffSetPath(view, conflict.path, conflict.theirs);
+                break;
+            }
+            case 'view':
+                diffRemoveView(layout, conflict.viewId);
+                if (conflict.theirs) {
+                    diffInsertView(layout, { view: conflict.theirs, parentName: conflict.theirsParent });
+                    const headers = layout.LayoutHeader && layout.LayoutHeader.ControlsHeaders;
+                    if (headers && conflict.theirsHeader && !headers.some(h => h && h.Name === conflict.viewId)) {
+                        headers.push({ ...conflict.theirsHeader });
+                    }
+                }
+                break;
+            case 'parent':
+                diffMoveView(layout, conflict.viewId, conflict.theirs);
+                break;
+            case 'order':
+                diffApplyOrder(layout, conflict.viewId, conflict.theirs);
+                break;
+            case 'layout':
+                diffSetPath(layout, conflict.path, conflict.theirs);
+                break;
+        }
+    });
+    diffCompactScripts(layout);
+    diffSyncHeaders(layout);
+    return layout;
+}
+
+/* ---------- Helpers ---------- */
+
+/**
+ * Views keyed by name: { view, parentName, index } with index the z-order among siblings.
+ */
+function diffIndexViews(layout) {
+    const map = new Map();
+    const walk = (parent) => {
+        diffOrderedKids(parent).forEach((view, index) => {
+            if (!view || !view.name) return;
+            map.set(view.name, { view, parentName: parent.name || 'Main', index });
+            walk(view);
+        });
+    };
+    if (layout && layout.Data) walk(layout.Data);
+    return map;
+}
+
+function diffOrderedKids(view) {
+    const kids = view && view[':kids'];
+    if (!kids || typeof kids !== 'object') return [];
+    return Object.keys(kids).sort((x, y) => Number(x) - Number(y)).map(key => kids[key]);
+}
+
+/**
+ * Leaf values of a view by dotted path, without its children, name and parent. The parent
+ * is compared as parentName from diffIndexViews().
+ * Typed values ({ ValueType, Value }) count as one leaf.
+ */
+function diffFlatten(view) {
+    const out = {};
+    const walk = (obj, prefix) => {
+        Object.keys(obj).forEach(key => {
+            if (!prefix && (key === ':kids' || key === 'name' || key === 'parent')) return;
+            const value = obj[key];
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value) && !('ValueType' in value)) walk(value, path);
+            else out[path] = value;
+        });
+    };
+    if (view) walk(view, '');
+    return out;
+}
+
+function diffHeaderFor(layout, name) {
+    const headers = (layout && layout.LayoutHeader && layout.LayoutHeader.ControlsHeaders) || [];
+    return headers.find(h => h && h.Name === name) || null;
+}
+
+function diffLayoutValues(layout) {
+    const header = (layout && layout.LayoutHeader) || {};
+    const values = {
+        Variants: layout && layout.Variants,
+        'LayoutHeader.GridSize': header.GridSize
+    };
+    // One script per index (the general script, then one per variant); older layouts hold a single string.
+    if (Array.isArray(header.DesignerScript)) {
+        header.DesignerScript.forEach((script, i) => { values[`LayoutHeader.DesignerScript.${i}`] = script; });
+    } else {
+        values['LayoutHeader.DesignerScript'] = header.DesignerScript;
+    }
+    return values;
+}
+
+/**
+ * Closes the gaps diffSetPath leaves when a merge drops the script of a removed variant.
+ */
+function diffCompactScripts(layout) {
+    const header = layout && layout.LayoutHeader;
+    if (header && Array.isArray(header.DesignerScript)) header.DesignerScript = header.DesignerScript.filter(s => s !== undefined);
+}
+
+function diffKeys(...objects) {
+    return Array.from(new Set(objects.flatMap(obj => Object.keys(obj))));
+}
+
+function diffEqual(x, y) {
+    return JSON.stringify(x) === JSON.stringify(y);
+}
+
+function diffSetPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let obj = target;
+    keys.forEach((key, i) => {
+        if (!obj[key] || typeof obj[key] !== 'object') obj[key] = /^\d+$/.test(keys[i + 1] || last) ? [] : {};
+        obj = obj[key];
+    });
+    if (value === undefined) delete obj[last];
+    else obj[last] = JSON.parse(JSON.stringify(value));
+}
+
+function diffFindView(root, name) {
+    if (!root) return null;
+    if (root.name === name) return root;
+    for (const kid of diffOrderedKids(root)) {
+        const found = diffFindView(kid, name);
+        if (found) return found;
+    }
+    return null;
+}
+
+function diffRemoveView(layout, name) {
+    const walk = (parent) => {
+        const kids = parent[':kids'];
+        if (!kids) return false;
+        const key = Object.keys(kids).find(k => kids[k] && kids[k].name === name);
+        if (key !== undefined) {
+            delete kids[key];
+            diffRenumber(parent, diffOrderedKids(parent));
+            return true;
+        }
+        return Object.values(kids).some(kid => kid && walk(kid));
+    };
+    walk(layout.Data);
+}
+
+/**
+ * The parent view named, or the root when the name is the root's.
+ */
+function diffFindParent(layout, parentName) {
+    if (parentName === (layout.Data.name || 'Main')) return layout.Data;
+    return diffFindView(layout.Data, parentName);
+}
+
+/**
+ * Moves a view, with its children, to the end of another parent's `:kids`.
+ * Returns false when the parent is missing or inside the view.
+ */
+function diffMoveView(layout, name, parentName) {
+    const view = diffFindView(layout.Data, name);
+    const parent = diffFindParent(layout, parentName);
+    if (!view || !parent || diffFindView(view, parentName)) return false;
+    diffRemoveView(layout, name);
+    diffInsertView(layout, { view: { ...view, parent: parentName }, parentName });
+    return true;
+}
+
+function diffInsertView(layout, entry) {
+    const parent = (entry.parentName && diffFindView(layout.Data, entry.parentName)) || layout.Data;
+    if (!parent[':kids']) parent[':kids'] = {};
+    const kids = diffOrderedKids(parent);
+    kids.push(JSON.parse(JSON.stringify(entry.view)));
+    diffRenumber(parent, kids);
+}
+
+function diffRenumber(parent, kids) {
+    parent[':kids'] = {};
+    kids.forEach((kid, i) => { parent[':kids'][String(i)] = kid; });
+}
+
+/**
+ * Names of views whose order among the siblings they share in both layouts changed.
+ * Views on the longest common run keep their place; the others count as moved.
+ */
+function diffMovedViews(before, after) {
+    const moved = new Set();
+    const groups = new Map();
+    before.forEach((entry, name) => {
+        const other = after.get(name);
+        if (!other || other.parentName !== entry.parentName) return;
+        if (!groups.has(entry.parentName)) groups.set(entry.parentName, []);
+        groups.get(entry.parentName).push({ name, from: entry.index, to: other.index });
+    });
+    groups.forEach(list => {
+        list.sort((x, y) => x.from - y.from);
+        const keep = diffLongestIncreasing(list.map(item => item.to));
+        list.forEach((item, i) => { if (!keep.has(i)) moved.add(item.name); });
+    });
+    return moved;
+}
+
+function diffLongestIncreasing(values) {
+    const lengths = values.map(() => 1);
+    const previous = values.map(() => -1);
+    values.forEach((value, i) => {
+        for (let j = 0; j < i; j++) {
+            if (values[j] < value && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1;
+                previous[i] = j;
+            }
+        }
+    });
+    const keep = new Set();
+    let i = lengths.indexOf(Math.max(0, ...lengths));
+    while (i >= 0) {
+        keep.add(i);
+        i = previous[i];
+    }
+    return keep;
+}
+
+/**
+ * Takes their sibling order for a parent when we kept the base order; conflicts when both reordered.
+ */
+function diffMergeOrder(layout, base, ours, theirs, conflicts) {
+    const orderOf = (index, parentName) => Array.from(index.entries())
+        .filter(([, entry]) => entry.parentName === parentName)
+        .sort((x, y) => x[1].index - y[1].index)
+        .map(([name]) => name);
+    const parents = new Set(Array.from(theirs.values()).map(entry => entry.parentName));
+    parents.forEach(parentName => {
+        // Views that changed parent on any side are handled by the parent merge.
+        const common = (list) => list.filter(name => [base, ours, theirs].every(index => index.has(name) && index.get(name).parentName === parentName));
+        const b = common(orderOf(base, parentName));
+        const o = common(orderOf(ours, parentName));
+        const t = common(orderOf(theirs, parentName));
+        if (diffEqual(o, t) || diffEqual(t, b)) return;
+        if (diffEqual(o, b)) diffApplyOrder(layout, parentName, t);
+        else conflicts.push({ kind: 'order', viewId: parentName, path: ':kids', base: b, ours: o, theirs: t });
+    });
+}
+
+/**
+ * Reorders the listed children of a parent; unlisted children keep their slots.
+ */
+function diffApplyOrder(layout, parentName, names) {
+    const parent = diffFindParent(layout, parentName);
+    if (!parent) return;
+    const kids = diffOrderedKids(parent);
+    const listed = names.map(name => kids.find(kid => kid && kid.name === name)).filter(Boolean);
+    let next = 0;
+    const ordered = kids.map(kid => (listed.includes(kid) ? listed[next++] : kid));
+    diffRenumber(parent, ordered);
+}
+
+/**
+ * Keeps ControlsHeaders in step with the merged views: drops headers of removed views and
+ * copies headers for views that came from the other layout.
+ */
+function diffSyncHeaders(layout, source = null) {
+    const header = layout.LayoutHeader;
+    if (!header || !Array.isArray(header.ControlsHeaders)) return;
+    const names = new Set(Array.from(diffIndexViews(layout).keys()));
+    names.add(layout.Data.name || 'Main');
+    header.ControlsHeaders = header.ControlsHeaders.filter(h => h && names.has(h.Name));
+    const sourceHeaders = (source && source.LayoutHeader && source.LayoutHeader.ControlsHeaders) || [];
+    names.forEach(name => {
+        if (header.ControlsHeaders.some(h => h.Name === name)) return;
+        const copy = sourceHeaders.find(h => h && h.Name === name);
+        if (copy) header.ControlsHeaders.push({ ...copy });
+    });
+}
+
+/* ---------- Export ---------- */
+if (typeof module !== 'undefined') {
+    module.exports = { diffLayouts, mergeLayouts, resolveConflicts };
+}
+if (typeof window !== 'undefined') {
+    window.diffLayouts = diffLayouts;
+    window.mergeLayouts = mergeLayouts;
+    window.resolveConflicts = resolveConflicts;
+}
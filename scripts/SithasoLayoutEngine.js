@@ -3,6 +3,11 @@
    Fully Browser-Compatible (Pure JS + pako dependency)
    ============================================================ */
 
+// In Node the bundled pako is loaded from next to this file; browsers provide it via <script>.
+if (typeof pako === 'undefined' && typeof require === 'function') {
+  globalThis.pako = require('./pako.min.js');
+}
+
 /* ---------- Utilities ---------- */
 
 function toUint8(data) {
@@ -22,6 +27,23 @@ function concatBytes(...arrays) {
   return out;
 }
 
+/**
+ * Normalizes a color to the 0xAARRGGBB form CCOLOR values are stored in. Accepts that form,
+ * AARRGGBB, #RGB, #RRGGBB and #AARRGGBB (a missing alpha is opaque) and ARGB integers.
+ * @returns {string|null} null when the value is not a color
+ */
+function toColorValue(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return '0x' + (value >>> 0).toString(16).padStart(8, '0').toUpperCase();
+  }
+  const text = String(value == null ? '' : value).trim();
+  let hex = text.replace(/^(#|0x)/i, '');
+  if (!/^[0-9a-f]+$/i.test(hex)) return null;
+  if (text[0] === '#' && hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+  if (text[0] === '#' && hex.length === 6) hex = 'FF' + hex;
+  return hex.length === 8 ? '0x' + hex.toUpperCase() : null;
+}
+
 /* ---------- Binary Reader ---------- */
 
 class BinaryReader {
@@ -30,19 +52,27 @@ class BinaryReader {
     this.view = new DataView(this.buffer.buffer, this.buffer.byteOffset, this.buffer.byteLength);
     this.offset = 0;
   }
-  readByte() { return this.view.getUint8(this.offset++); }
-  readSignedByte() { return this.view.getInt8(this.offset++); }
+  need(len) {
+    if (len < 0 || this.offset + len > this.buffer.length) {
+      throw new RangeError(`Unexpected end of data: needed ${len} byte(s), ${Math.max(0, this.buffer.length - this.offset)} left`);
+    }
+  }
+  readByte() { this.need(1); return this.view.getUint8(this.offset++); }
+  readSignedByte() { this.need(1); return this.view.getInt8(this.offset++); }
   readInt() {
+    this.need(4);
     const v = this.view.getInt32(this.offset, true);
     this.offset += 4;
     return v;
   }
   readFloat() {
+    this.need(4);
     const v = this.view.getFloat32(this.offset, true);
     this.offset += 4;
     return v;
   }
   readBytes(len) {
+    this.need(len);
     const b = this.buffer.slice(this.offset, this.offset + len);
     this.offset += len;
     return b;
@@ -85,6 +115,24 @@ class BinaryWriter {
   getBuffer() { return this.buffer.slice(0, this.offset); }
 }
 
+/* ---------- Parse Errors ---------- */
+
+class BJLParseError extends Error {
+  /**
+   * @param {string} reason - What went wrong
+   * @param {Object} context - { offset, section, path } where section is e.g. 'Header' or 'Data'
+   *   and path is the map key path being read (e.g. 'Data > :kids > 0 > variant0')
+   */
+  constructor(reason, { offset = 0, section = '', path = '' } = {}) {
+    super(`${reason} at offset ${offset}${section ? ` in ${section}` : ''}${path ? ` (${path})` : ''}`);
+    this.name = 'BJLParseError';
+    this.reason = reason;
+    this.offset = offset;
+    this.section = section;
+    this.path = path;
+  }
+}
+
 /* ---------- TYPE CODES ---------- */
 
 const TYPE_CODES = {
@@ -106,9 +154,21 @@ class CompressedStreams {
 /* ---------- BJLConverter ---------- */
 
 class BJLConverter {
-  constructor(toBil = false) {
+  /**
+   * @param {boolean} toBil
+   * @param {Object} options
+   * @param {boolean} options.strict - Throw a BJLParseError on any problem. Otherwise whatever was
+   *   parsed is kept and the problems are listed in `warnings` (also attached to the returned layout).
+   */
+  constructor(toBil = false, options = {}) {
     this.toBil = toBil;
+    this.strict = !!(options && options.strict);
     this.compressor = new CompressedStreams();
+    this.warnings = []; // { message, offset, section, path } from the last read
+    this.skippedTypeCodes = []; // { code, offset, path } for unknown value types met by the last read
+    this._trace = null; // Byte regions recorded by verifyRoundTrip
+    this._section = '';
+    this._path = [];
   }
 
   async convertBjlToJsonFromFile(file) {
@@ -128,28 +188,129 @@ class BJLConverter {
 
   async convertBjlToJsonFromBytes(bytes) {
     const reader = new BinaryReader(bytes);
-    const header = this._readLayoutHeader(reader);
-    if (header.Version < 3) throw new Error("Unsupported BJL version");
+    this.skippedTypeCodes = [];
+    this.warnings = [];
+    this._section = 'Header';
+    this._path = [];
 
     const design = {
-      LayoutHeader: header, Variants: [], Data: {}, FontAwesome: false, MaterialIcons: false,
+      LayoutHeader: { Version: 0, GridSize: 10, ControlsHeaders: [], Files: [], DesignerScript: [] },
+      Variants: [], Data: {}, FontAwesome: false, MaterialIcons: false,
     };
 
-    const cache = this._loadStringsCache(reader);
-    const variantCount = reader.readInt();
-    for (let i = 0; i < variantCount; i++) {
-      design.Variants.push({
-        Scale: reader.readFloat(), Width: reader.readInt(), Height: reader.readInt(),
-      });
+    try {
+      this._readLayoutHeader(reader, design.LayoutHeader);
+      if (design.LayoutHeader.Version < 3) {
+        throw new BJLParseError(`Unsupported BJL version ${design.LayoutHeader.Version}`, { offset: 0, section: 'Header' });
+      }
+
+      this._section = 'String cache';
+      const cache = this._loadStringsCache(reader, 'String cache');
+      this._section = 'Variants';
+      let start = reader.offset;
+      const variantCount = reader.readInt();
+      this._mark('Variants', 'Variant count', start, reader.offset);
+      for (let i = 0; i < variantCount; i++) {
+        start = reader.offset;
+        design.Variants.push({
+          Scale: reader.readFloat(), Width: reader.readInt(), Height: reader.readInt(),
+        });
+        this._mark('Variants', `Variants[${i}]`, start, reader.offset);
+      }
+
+      this._section = 'Data';
+      start = reader.offset;
+      this._readMap(reader, cache, ['Data'], design.Data);
+      this._mark('Data', 'Data', start, reader.offset);
+      this._section = 'Footer';
+      this._path = [];
+      start = reader.offset;
+      // Layouts without icon fonts may end right after the view map; keep the defaults then.
+      if (reader.offset < reader.buffer.length) {
+        reader.readInt(); // footer padding
+        design.FontAwesome = reader.readSignedByte() === 1;
+        design.MaterialIcons = reader.readSignedByte() === 1;
+        this._mark('Footer', 'Footer (padding, FontAwesome, MaterialIcons)', start, reader.offset);
+      }
+    } catch (err) {
+      const parseError = err instanceof BJLParseError
+        ? err
+        : new BJLParseError(err.message, { offset: reader.offset, section: this._section, path: this._path.join(' > ') });
+      // Without a readable version there is nothing worth keeping, even in lenient mode.
+      if (this.strict || !(design.LayoutHeader.Version >= 3)) throw parseError;
+      this._warn(parseError.reason, parseError.offset);
     }
 
-    design.Data = this._readMap(reader, cache);
-    reader.readInt(); // footer padding
-    design.FontAwesome = reader.readSignedByte() === 1;
-    design.MaterialIcons = reader.readSignedByte() === 1;
+    // Not enumerable so it stays out of exported JSON.
+    Object.defineProperty(design, 'warnings', { value: this.warnings, enumerable: false, configurable: true, writable: true });
     return design;
   }
 
+  /**
+   * Records a recoverable problem, or throws it as a BJLParseError in strict mode.
+   */
+  _warn(reason, offset) {
+    const context = { offset, section: this._section, path: this._path.join(' > ') };
+    if (this.strict) throw new BJLParseError(reason, context);
+    this.warnings.push({ message: reason, ...context });
+  }
+
+  /**
+   * Converts BJL bytes to JSON and back, then compares the result with the input.
+   * Returns { ok, originalLength, roundTripLength, firstDifference, skippedTypeCodes } where
+   * firstDifference is null or { offset, expected, actual, context } and context names the
+   * structure that contains the offset in the original bytes (section, label, start, end).
+   */
+  async verifyRoundTrip(bytes) {
+    const original = toUint8(bytes);
+    this._trace = [];
+    let json, trace;
+    try {
+      json = await this.convertBjlToJsonFromBytes(original);
+    } finally {
+      trace = this._trace;
+      this._trace = null;
+    }
+    const skippedTypeCodes = this.skippedTypeCodes;
+    const output = toUint8(await this.convertJsonToBjlToBytes(json));
+
+    const length = Math.min(original.length, output.length);
+    let offset = -1;
+    for (let i = 0; i < length; i++) {
+      if (original[i] !== output[i]) { offset = i; break; }
+    }
+    if (offset === -1 && original.length !== output.length) offset = length;
+
+    return {
+      ok: offset === -1,
+      originalLength: original.length,
+      roundTripLength: output.length,
+      firstDifference: offset === -1 ? null : {
+        offset,
+        expected: offset < original.length ? original[offset] : null,
+        actual: offset < output.length ? output[offset] : null,
+        context: this._describeOffset(trace, offset),
+      },
+      skippedTypeCodes,
+    };
+  }
+
+  _mark(section, label, start, end) {
+    if (this._trace) this._trace.push({ section, label, start, end });
+  }
+
+  /**
+   * Finds the innermost recorded region that contains the offset.
+   */
+  _describeOffset(trace, offset) {
+    let best = null;
+    for (const region of trace || []) {
+      if (offset < region.start || offset >= region.end) continue;
+      if (!best || region.end - region.start < best.end - best.start) best = region;
+    }
+    return best || { section: 'End of data', label: 'Beyond the last decoded byte', start: offset, end: offset };
+  }
+
   async convertJsonToBjlToBytes(json) {
     const writer = new BinaryWriter();
     const variants = json.Variants || [];
@@ -160,12 +321,18 @@ class BJLConverter {
     return writer.getBuffer();
   }
 
-  _readMap(reader, cache) {
-    const map = {};
+  _readMap(reader, cache, path = [], map = {}) {
+    // Entries are added as they are read so a lenient parse keeps everything before an error.
     while (true) {
+      const start = reader.offset;
+      this._path = path;
       const key = this._readCachedString(reader, cache);
+      this._path = [...path, key];
       const type = reader.readSignedByte();
-      if (type === TYPE_CODES.ENDOFMAP) break;
+      if (type === TYPE_CODES.ENDOFMAP) {
+        this._mark('Data', `${path.join(' > ')} (end of map)`, start, reader.offset);
+        break;
+      }
 
       let value;
       switch (type) {
@@ -174,7 +341,10 @@ class BJLConverter {
         case TYPE_CODES.CFLOAT: value = { ValueType: type, Value: reader.readFloat() }; break;
         case TYPE_CODES.CSTRING: value = { ValueType: type, Value: this._readString(reader) }; break;
         case TYPE_CODES.BOOL: value = reader.readSignedByte() === 1; break;
-        case TYPE_CODES.CMAP: value = this._readMap(reader, cache); break;
+        case TYPE_CODES.CMAP:
+          value = map[key] = {};
+          this._readMap(reader, cache, [...path, key], value);
+          break;
         case TYPE_CODES.CNULL: value = { ValueType: type }; break;
         case TYPE_CODES.CCOLOR: {
           const d = reader.readBytes(4);
@@ -189,40 +359,93 @@ class BJLConverter {
           value = { ValueType: type, Value: shorts };
           break;
         }
-        default: return map;
+        default:
+          // The value size is unknown, so the rest of this map cannot be read.
+          this.skippedTypeCodes.push({ code: type, offset: reader.offset - 1, path: [...path, key].join(' > ') });
+          this._mark('Data', `${[...path, key].join(' > ')} (unknown type code ${type})`, start, reader.offset);
+          this._warn(`Unknown type code ${type}; the rest of this map was skipped`, reader.offset - 1);
+          this._path = path;
+          return map;
       }
       map[key] = value;
+      this._path = path;
+      this._mark('Data', [...path, key].join(' > '), start, reader.offset);
     }
     return map;
   }
 
-  _readLayoutHeader(reader) {
-    const h = { Version: 0, GridSize: 10, ControlsHeaders: [], Files: [], DesignerScript: [] };
+  _readLayoutHeader(reader, h = { Version: 0, GridSize: 10, ControlsHeaders: [], Files: [], DesignerScript: [] }) {
+    this._section = 'Header';
+    let start = reader.offset;
     const version = reader.readInt();
     h.Version = version;
+    this._mark('Header', 'Header.Version', start, reader.offset);
     if (version < 3) return h;
-    reader.offset += 4;
-    if (version >= 4) h.GridSize = reader.readInt();
+    start = reader.offset;
+    const size = reader.readInt();
+    const end = reader.offset + size;
+    this._mark('Header', 'Header size', start, reader.offset);
+    // Only the designers read the header; the B4A and B4J runtimes skip it by its size. Doing
+    // the same keeps header content this reader does not know from shifting what follows.
+    const skippable = size > 0 && end <= reader.buffer.length;
+    try {
+      this._readHeaderFields(reader, version, h);
+    } catch (err) {
+      if (this.strict || !skippable) throw err;
+      this._warn(`Designer header could not be read (${err.message}); skipped to its end`, reader.offset);
+    }
+    if (skippable && reader.offset !== end) {
+      this._warn(reader.offset < end
+        ? `Skipped ${end - reader.offset} unknown byte(s) at the end of the header`
+        : `Header fields ran ${reader.offset - end} byte(s) past the header size`, reader.offset);
+      reader.offset = end;
+    }
+    this._section = 'Header';
+    return h;
+  }
 
-    const cache = this._loadStringsCache(reader);
+  _readHeaderFields(reader, version, h) {
+    let start = reader.offset;
+    if (version >= 4) {
+      h.GridSize = reader.readInt();
+      this._mark('Header', 'Header.GridSize', start, reader.offset);
+    }
+
+    this._section = 'Header string cache';
+    const cache = this._loadStringsCache(reader, 'Header string cache');
+    this._section = 'Header';
+    start = reader.offset;
     const cCount = reader.readInt();
+    this._mark('Header', 'Header.ControlsHeaders count', start, reader.offset);
     for (let i = 0; i < cCount; i++) {
+        start = reader.offset;
         h.ControlsHeaders.push({
             Name: this._readCachedString(reader, cache),
             JavaType: this._readCachedString(reader, cache),
             DesignerType: this._readCachedString(reader, cache),
         });
+        this._mark('Header', `Header.ControlsHeaders[${i}] (${h.ControlsHeaders[i].Name})`, start, reader.offset);
     }
 
+    start = reader.offset;
     const fCount = reader.readInt();
-    for (let i = 0; i < fCount; i++) h.Files.push(this._readString(reader));
+    this._mark('Header', 'Header.Files count', start, reader.offset);
+    for (let i = 0; i < fCount; i++) {
+      start = reader.offset;
+      h.Files.push(this._readString(reader));
+      this._mark('Header', `Header.Files[${i}] "${h.Files[i]}"`, start, reader.offset);
+    }
+    start = reader.offset;
+    this._section = 'Header.DesignerScript';
     h.DesignerScript = this._readScripts(reader);
-    return h;
+    this._mark('Header', 'Header.DesignerScript (gzip)', start, reader.offset);
   }
 
   _readScripts(reader) {
     const len = reader.readInt();
+    const dataOffset = reader.offset;
     const rawData = reader.readBytes(len);
+    if (len === 0) return [];
     try {
       const decompressed = pako.ungzip(rawData);
       const script = new BinaryReader(decompressed);
@@ -234,7 +457,10 @@ class BJLConverter {
         res.push(this._readBinaryString(script));
       }
       return res;
-    } catch (_e) { return []; }
+    } catch (e) {
+      this._warn(`Designer script could not be read (${e && e.message ? e.message : e})`, dataOffset);
+      return [];
+    }
   }
 
   _readBinaryString(reader) {
@@ -269,7 +495,7 @@ class BJLConverter {
   _writeBinaryString(writer, s) {
     const text = String(s ?? "");
     const raw = new TextEncoder().encode(text);
-    let len = text.length;
+    let len = raw.length; // UTF-8 byte count, not UTF-16 code units
     while (true) {
       let b = len & 0x7f;
       len >>>= 7;
@@ -290,10 +516,16 @@ class BJLConverter {
     writer.writeInt(v.Height || 0);
   }
 
-  _loadStringsCache(reader) {
+  _loadStringsCache(reader, section = 'String cache') {
+    let start = reader.offset;
     const count = reader.readInt();
+    this._mark(section, `${section} count`, start, reader.offset);
     const arr = new Array(count);
-    for (let i = 0; i < count; i++) arr[i] = this._readString(reader);
+    for (let i = 0; i < count; i++) {
+      start = reader.offset;
+      arr[i] = this._readString(reader);
+      this._mark(section, `${section}[${i}] "${arr[i]}"`, start, reader.offset);
+    }
     return arr;
   }
 
@@ -437,7 +669,12 @@ class BJLConverter {
           switch (val.ValueType) {
             case TYPE_CODES.CSTRING: this._writeString(writer, val.Value); break;
             case TYPE_CODES.CFLOAT: writer.writeFloat(val.Value); break;
-            case TYPE_CODES.CCOLOR: writer.writeBytes(this._hexToBytes(String(val.Value).substring(2))); break;
+            case TYPE_CODES.CCOLOR: {
+              const color = toColorValue(val.Value);
+              if (!color) throw new Error(`Invalid color "${val.Value}" for ${k}`);
+              writer.writeBytes(this._hexToBytes(color.substring(2)));
+              break;
+            }
             case TYPE_CODES.RECT32: writer.writeBytes(this._shortsToBytes(val.Value)); break;
             case TYPE_CODES.CNULL: break;
           }
@@ -462,15 +699,481 @@ class BJLConverter {
 
 const BASE_LAYOUT_B64 = "H4sIAAAAAAACA5VTbWvbMBD+K+EY9IsT3MG6YdiHktRLtqWMpKQftny4yJdYqyoZSc5Lg//7TrbSdoV1m8H4Xh7dPff4dISveDC1HxMWZCE7woKsk0ZD9i6BT1YWc/lAkJ2nCQyN9tYo12EdZN+PcI33nIUpSg0JfMYt3hyqEBl8Q023FquK7Bs+KSx5ehZj9Iic3Giy8URIQrNMIJeKQvXlE2QurKw8x+DsUqneFq1E7V3PtfEfoffZogv2XEVCrqWIyax3kaZ7fhMnUNHHc0YvmwQivBtjHlI8ZQK3svAlZAEPY5Kb0rdO4DVCj0Eh4SLj0QqdFIMTycGUPEYl/D+rgKoq27ILVDV1ld8nnceMmOnKWNZ7aJSxL3AXjzhI93metg88Homz/KF0yjhhLBOfYSFr9yqwsLjDVdDolflHETRouZ68JzVehsXfR8rT/EOeQxPBX+jAif5631+huNtYU+ui35UJJGuLvt1d/nmkQ5cCMm9rYndL2j/b1tzYe6ZAe29x6Hh4YG8tw4TBKlEXimY82QNdhaOnOj//a8X1b9fDWMmVIkWYXI+vZpMbjldo2w6hscdNNKRvyUSiW+lkq39HI96ANKinaO3bkb2p2u+u++9vww6XcYc7B7Uog+RpqHCyWbnsThZhARq2c77mlztyJlBfo3LcboqeuKGaCKNdjDa/AHkjiXk8BAAA";
 
+/**
+ * Native B4X views the engine can create without a schema, keyed by the short name used with
+ * addComponent ('Label', 'Button', ...). Each entry holds the ControlsHeaders types and defaults.
+ */
+const NATIVE_VIEWS = {
+    Label: {
+        type: '.LabelWrapper', designerType: 'Label', csType: 'Dbasic.Designer.MetaLabel',
+        width: 120, height: 30, text: 'Label', textColor: '0xFF000000', background: '0x00FFFFFF', alignment: 'CENTER_LEFT'
+    },
+    Button: {
+        type: '.ButtonWrapper', designerType: 'Button', csType: 'Dbasic.Designer.MetaButton',
+        width: 100, height: 40, text: 'Button', textColor: '0xFF000000', background: '0xFFE0E0E0', alignment: 'CENTER'
+    },
+    Panel: {
+        type: '.PanelWrapper', designerType: 'Panel', csType: 'Dbasic.Designer.MetaPanel',
+        width: 200, height: 150, background: '0xFFFFFFFF'
+    },
+    EditText: {
+        type: '.EditTextWrapper', designerType: 'EditText', csType: 'Dbasic.Designer.MetaEditText',
+        width: 200, height: 40, text: '', textColor: '0xFF000000', background: '0xFFFFFFFF', alignment: 'CENTER_LEFT'
+    },
+    ImageView: {
+        type: '.ImageViewWrapper', designerType: 'ImageView', csType: 'Dbasic.Designer.MetaImageView',
+        width: 100, height: 100, background: '0x00FFFFFF'
+    }
+};
+
+// Property lists for native views, in the json/*.json schema format. Keys are paths into the
+// view itself (e.g. 'drawable.color') because native views have no customProperties.
+const NATIVE_COMMON_PROPERTIES = [
+    { Key: 'drawable.color', DisplayName: 'Background Color', FieldType: 'Color', Description: 'Background color (0xAARRGGBB)' },
+    { Key: 'alpha', DisplayName: 'Alpha', FieldType: 'Float', Description: 'Opacity from 0 to 1' },
+    { Key: 'enabled', DisplayName: 'Enabled', FieldType: 'Boolean' },
+    { Key: 'visible', DisplayName: 'Visible', FieldType: 'Boolean' },
+    { Key: 'tag', DisplayName: 'Tag', FieldType: 'String' }
+];
+
+const NATIVE_TEXT_PROPERTIES = [
+    { Key: 'text', DisplayName: 'Text', FieldType: 'String' },
+    { Key: 'textColor', DisplayName: 'Text Color', FieldType: 'Color' },
+    { Key: 'font.fontSize', DisplayName: 'Text Size', FieldType: 'Float' },
+    { Key: 'font.bold', DisplayName: 'Bold', FieldType: 'Boolean' },
+    { Key: 'alignment', DisplayName: 'Alignment', FieldType: 'String', List: 'TOP_LEFT|TOP_CENTER|TOP_RIGHT|CENTER_LEFT|CENTER|CENTER_RIGHT|BOTTOM_LEFT|BOTTOM_CENTER|BOTTOM_RIGHT' }
+];
+
+// B4A names for native view properties; null drops a property B4A does not have.
+const NATIVE_B4A_PROPERTIES = {
+    'font.fontSize': { Key: 'textSize', DisplayName: 'Text Size', FieldType: 'Float' },
+    'font.bold': { Key: 'style', DisplayName: 'Style', FieldType: 'String', List: 'NORMAL|BOLD|ITALIC|BOLD_ITALIC' },
+    alignment: [
+        { Key: 'hAlignment', DisplayName: 'Horizontal Alignment', FieldType: 'String', List: 'LEFT|CENTER_HORIZONTAL|RIGHT' },
+        { Key: 'vAlignment', DisplayName: 'Vertical Alignment', FieldType: 'String', List: 'TOP|CENTER_VERTICAL|BOTTOM' }
+    ],
+    promptText: { Key: 'hint', DisplayName: 'Hint', FieldType: 'String' },
+    imageFile: { Key: 'drawable.file', DisplayName: 'Image File', FieldType: 'String' },
+    preserveRatio: null
+};
+
+// View types that hold real children in `:kids` when the engine runs with `nested: true`.
+const CONTAINER_TYPES = ['.PanelWrapper', '.PaneWrapper$ConcretePaneWrapper'];
+
+/* ---------- Platforms (B4J .bjl / B4A .bal) ---------- */
+
+// .bjl and .bal files share one container: version, header size, the designer header (controls,
+// files, designer scripts), string cache, variants (scale, width, height) and the typed view map.
+// The B4A and B4J runtimes both load layouts that way and skip the designer header by its size,
+// so BJLConverter reads and writes both and skips header bytes it does not know the same way.
+// They differ in what the maps hold: the root view, the wrapper types of most native views, text
+// and image properties, and B4A keeps backgrounds in drawables (color, gradient, bitmap, state
+// list) and padding as a rect. The tests use .bal files this converter writes; no layout saved
+// by the B4A IDE is in the repository yet.
+const LAYOUT_PLATFORMS = {
+    b4j: {
+        label: 'B4J', extension: '.bjl',
+        root: { name: 'Main', javaType: '.PaneWrapper$ConcretePaneWrapper', csType: 'Dbasic.Designer.MetaMain', designerType: 'Pane', eventName: 'MainForm' },
+        placeholder: ['.PaneWrapper$ConcretePaneWrapper', 'Pane']
+    },
+    b4a: {
+        label: 'B4A', extension: '.bal',
+        root: { name: 'Activity', javaType: '.ActivityWrapper', csType: 'Dbasic.Designer.MetaActivity', designerType: 'Activity', eventName: 'Activity' },
+        placeholder: ['.PanelWrapper', 'Panel']
+    }
+};
+
+// Native views with an equivalent on the other platform, as [javaType, designer type].
+// `b4a` props are set when converting to B4A and pick the B4J view when converting back.
+const PLATFORM_VIEWS = [
+    { b4j: ['.LabelWrapper', 'Label'], b4a: ['.LabelWrapper', 'Label'] },
+    { b4j: ['.ButtonWrapper', 'Button'], b4a: ['.ButtonWrapper', 'Button'] },
+    { b4j: ['.TextFieldWrapper', 'TextField'], b4a: ['.EditTextWrapper', 'EditText'], props: { singleLine: true } },
+    { b4j: ['.TextAreaWrapper', 'TextArea'], b4a: ['.EditTextWrapper', 'EditText'], props: { singleLine: false } },
+    { b4j: ['.PaneWrapper$ConcretePaneWrapper', 'Pane'], b4a: ['.PanelWrapper', 'Panel'] },
+    { b4j: ['.ImageViewWrapper', 'ImageView'], b4a: ['.ImageViewWrapper', 'ImageView'] },
+    { b4j: ['.CheckboxWrapper', 'CheckBox'], b4a: ['.CompoundButtonWrapper$CheckBoxWrapper', 'CheckBox'] },
+    { b4j: ['.RadioButtonWrapper', 'RadioButton'], b4a: ['.CompoundButtonWrapper$RadioButtonWrapper', 'RadioButton'] },
+    { b4j: ['.ToggleButtonWrapper', 'ToggleButton'], b4a: ['.CompoundButtonWrapper$ToggleButtonWrapper', 'ToggleButton'] },
+    { b4j: ['.ComboBoxWrapper', 'ComboBox'], b4a: ['.SpinnerWrapper', 'Spinner'] },
+    { b4j: ['.ListViewWrapper', 'ListView'], b4a: ['.ListViewWrapper', 'ListView'] },
+    { b4j: ['.ProgressIndicatorWrapper$ProgressBarWrapper', 'ProgressBar'], b4a: ['.ProgressBarWrapper', 'ProgressBar'] },
+    { b4j: ['.SliderWrapper', 'Slider'], b4a: ['.SeekBarWrapper', 'SeekBar'] },
+    { b4j: ['.ScrollPaneWrapper', 'ScrollPane'], b4a: ['.ScrollViewWrapper', 'ScrollView'] },
+    { b4j: ['.TabPaneWrapper', 'TabPane'], b4a: ['.TabHostWrapper', 'TabHost'] },
+    { b4j: ['.WebViewWrapper', 'WebView'], b4a: ['.WebViewWrapper', 'WebView'] },
+    { b4j: ['.CustomViewWrapper', 'CustomView'], b4a: ['.CustomViewWrapper', 'CustomView'] }
+];
+
+// Properties only one platform has, with the value that means "not used". They are dropped on
+// conversion, with a warning when they hold anything else (null: never worth a warning).
+const PLATFORM_ONLY_PROPERTIES = {
+    b4j: { extraCss: '', toolTip: '', contextMenu: '', orientation: 'INHERIT', handleResizeEvent: null, editable: true },
+    b4a: { inputType: 'TEXT', fullScreen: false, includeTitle: null, singleLine: null, forceDoneButton: false }
+};
+
+const B4J_ALIGNMENT_V = { TOP: 'TOP', CENTER: 'CENTER_VERTICAL', BOTTOM: 'BOTTOM', BASELINE: 'CENTER_VERTICAL' };
+const B4J_ALIGNMENT_H = { LEFT: 'LEFT', CENTER: 'CENTER_HORIZONTAL', RIGHT: 'RIGHT' };
+
+/**
+ * Tells B4J and B4A layouts apart and converts between them. Views without an equivalent
+ * become panels; properties that cannot be carried across are dropped. Both are listed in
+ * `warnings` as { viewId, message }.
+ */
+class PlatformConverter {
+    constructor() {
+        this.warnings = [];
+    }
+
+    /**
+     * 'b4j' or 'b4a' for a layout: from its root view, else from the view types only one
+     * platform has, else from the file extension. Defaults to 'b4j'.
+     */
+    static detect(layout, fileName = '') {
+        const root = (layout && layout.Data) || {};
+        const rootType = root.javaType || root.type;
+        for (const [platform, def] of Object.entries(LAYOUT_PLATFORMS)) {
+            if (rootType === def.root.javaType && root.csType === def.root.csType) return platform;
+        }
+        const votes = { b4j: 0, b4a: 0 };
+        const walk = (view) => Object.values((view && view[':kids']) || {}).forEach(kid => {
+            const type = kid.javaType || kid.type;
+            // The designer's own native views (Panel, EditText) are used in B4J layouts too.
+            const shared = Object.values(NATIVE_VIEWS).some(def => def.type === type);
+            const b4j = !shared && PLATFORM_VIEWS.some(m => m.b4j[0] === type);
+            const b4a = !shared && PLATFORM_VIEWS.some(m => m.b4a[0] === type);
+            if (b4j !== b4a) votes[b4j ? 'b4j' : 'b4a']++;
+            const drawable = kid.drawable && kid.drawable.type;
+            if (drawable && drawable !== 'ColorDrawable') votes.b4a++;
+            walk(kid);
+        });
+        walk(root);
+        if (votes.b4j !== votes.b4a) return votes.b4a > votes.b4j ? 'b4a' : 'b4j';
+        return PlatformConverter.forFile(fileName) || 'b4j';
+    }
+
+    /**
+     * The platform a file name belongs to by its extension, or null.
+     */
+    static forFile(fileName) {
+        const name = String(fileName || '').toLowerCase();
+        const match = Object.entries(LAYOUT_PLATFORMS).find(([, def]) => name.endsWith(def.extension));
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Returns a converted copy of the layout; the input is left alone.
+     */
+    convert(layout, target) {
+        if (!LAYOUT_PLATFORMS[target]) throw new Error(`Unknown platform: ${target}`);
+        this.warnings = [];
+        const copy = JSON.parse(JSON.stringify(layout));
+        const source = PlatformConverter.detect(layout);
+        if (source === target) return copy;
+
+        const from = LAYOUT_PLATFORMS[source];
+        const to = LAYOUT_PLATFORMS[target];
+        const root = copy.Data;
+        const oldRoot = root.name || from.root.name;
+        this._convertRoot(root, source, target);
+        const designerTypes = new Map([[root.name, to.root.designerType]]);
+        const walk = (view) => Object.values(view[':kids'] || {}).forEach(kid => {
+            if (kid.parent === oldRoot) kid.parent = root.name;
+            designerTypes.set(kid.name, this._convertView(kid, source, target));
+            walk(kid);
+        });
+        walk(root);
+
+        const header = copy.LayoutHeader || (copy.LayoutHeader = {});
+        header.ControlsHeaders = (header.ControlsHeaders || []).map(c => {
+            const name = c.Name === oldRoot ? root.name : c.Name;
+            const view = name === root.name ? root : this._find(root, name);
+            if (!view) return c;
+            return { Name: name, JavaType: view.javaType || view.type, DesignerType: designerTypes.get(name) || c.DesignerType };
+        });
+        // Designer scripts address the root by name.
+        const rootRef = new RegExp(`\\b${oldRoot.replace(/[$.]/g, '\\$&')}\\.`, 'g');
+        if (Array.isArray(header.DesignerScript)) {
+            header.DesignerScript = header.DesignerScript.map(script => String(script).replace(rootRef, `${root.name}.`));
+        }
+        return copy;
+    }
+
+    _convertRoot(root, source, target) {
+        const def = LAYOUT_PLATFORMS[target].root;
+        if (root.eventName === LAYOUT_PLATFORMS[source].root.eventName) root.eventName = def.eventName;
+        Object.assign(root, { name: def.name, javaType: def.javaType, type: def.javaType, csType: def.csType });
+        this._convertProperties(root, source, target);
+    }
+
+    /**
+     * Converts one view in place and returns its designer type on the target platform.
+     */
+    _convertView(view, source, target) {
+        const type = view.javaType || view.type;
+        const mapping = PLATFORM_VIEWS.find(m => m[source][0] === type &&
+            (!m.props || target === 'b4a' || Object.entries(m.props).every(([k, v]) => (view[k] ?? true) === v)));
+        // Views that already use a target type, like the designer's Panel in a B4J layout, keep it.
+        const kept = !mapping && PLATFORM_VIEWS.find(m => m[target][0] === type);
+        let [javaType, designerType] = mapping ? mapping[target] : kept ? kept[target] : LAYOUT_PLATFORMS[target].placeholder;
+        if (!mapping && !kept) {
+            const name = String(type || 'View').replace(/^\./, '').replace(/Wrapper.*$/, '');
+            this._warn(view.name, `${name} has no ${LAYOUT_PLATFORMS[target].label} equivalent and was replaced by a ${designerType}`);
+        } else if (mapping && mapping[source][1] !== designerType && Object.values(NATIVE_VIEWS).some(def => def.type === type)) {
+            // The designer's own Panel and EditText become other view types here.
+            this._warn(view.name, `${mapping[source][1]} was converted to the ${LAYOUT_PLATFORMS[target].label} ${designerType}; converting back restores the ${mapping[source][1]}`);
+        }
+        if (type !== '.CustomViewWrapper') view.csType = `Dbasic.Designer.Meta${designerType}`;
+        view.javaType = javaType;
+        view.type = javaType;
+        if (mapping && mapping.props && target === 'b4a') Object.assign(view, mapping.props);
+        if (type === '.CustomViewWrapper' && view.customType) {
+            this._warn(view.name, `Custom view ${view.customType} must also exist in the ${LAYOUT_PLATFORMS[target].label} project`);
+        }
+        this._convertProperties(view, source, target);
+        return designerType;
+    }
+
+    _convertProperties(view, source, target) {
+        if (target === 'b4a') this._toB4A(view);
+        else this._toB4J(view);
+        Object.entries(PLATFORM_ONLY_PROPERTIES[source]).forEach(([key, unused]) => {
+            if (!(key in view)) return;
+            const value = view[key] && typeof view[key] === 'object' && 'Value' in view[key] ? view[key].Value : view[key];
+            if (unused !== null && value !== unused && value !== undefined) {
+                this._warn(view.name, `${key} (${JSON.stringify(value)}) has no ${LAYOUT_PLATFORMS[target].label} equivalent and was dropped`);
+            }
+            delete view[key];
+        });
+    }
+
+    _toB4A(view) {
+        const T = TYPE_CODES;
+        // B4J custom views and the root keep the border next to the drawable; B4A draws it with the drawable.
+        const drawable = view.drawable;
+        if (drawable) delete drawable.colorKey;
+        ['cornerRadius', 'borderColor', 'borderWidth'].forEach(key => {
+            if (!(key in view)) return;
+            if (drawable && drawable.type === 'ColorDrawable' && !(key in drawable)) drawable[key] = view[key];
+            delete view[key];
+        });
+
+        const css = typeof view.extraCss === 'string' ? view.extraCss : '';
+        const padding = css.match(/-fx-padding\s*:\s*([-\d.]+)(?:px)?\s+([-\d.]+)(?:px)?\s+([-\d.]+)(?:px)?\s+([-\d.]+)(?:px)?\s*;?/);
+        if (padding) {
+            const [top, right, bottom, left] = padding.slice(1).map(n => Math.round(Number(n)));
+            view.padding = { ValueType: T.RECT32, Value: [left, top, right, bottom] };
+            view.extraCss = css.replace(padding[0], '').trim();
+        }
+
+        if (view.font && typeof view.font === 'object') {
+            const font = view.font;
+            view.textSize = font.fontSize || { ValueType: T.CFLOAT, Value: 15 };
+            view.typeface = font.fontName || 'DEFAULT';
+            view.style = font.bold ? (font.italic ? 'BOLD_ITALIC' : 'BOLD') : font.italic ? 'ITALIC' : 'NORMAL';
+            delete view.font;
+        }
+        if (typeof view.alignment === 'string') {
+            const [v, h = v] = view.alignment.split('_');
+            view.vAlignment = B4J_ALIGNMENT_V[v] || 'CENTER_VERTICAL';
+            view.hAlignment = B4J_ALIGNMENT_H[h] || 'LEFT';
+            delete view.alignment;
+        }
+        // B4A has no read-only EditText; input type NONE keeps the keyboard away.
+        if ('editable' in view && (view.javaType || view.type) === '.EditTextWrapper') {
+            if (view.editable === false) view.inputType = 'NONE';
+            delete view.editable;
+        }
+        if ('wrapText' in view) {
+            if ((view.javaType || view.type) !== '.EditTextWrapper') {
+                view.singleLine = !view.wrapText;
+            } else if (view.wrapText === !!view.singleLine) {
+                this._warn(view.name, `wrapText (${view.wrapText}) was dropped; in B4A ${view.singleLine ? 'single-line EditTexts never wrap' : 'multi-line EditTexts always wrap'}`);
+            }
+            delete view.wrapText;
+        }
+        if ('promptText' in view) {
+            view.hint = view.promptText;
+            delete view.promptText;
+        }
+        if ('imageFile' in view) {
+            if (view.imageFile) {
+                view.drawable = {
+                    csType: 'Dbasic.Designer.Drawable.BitmapDrawable', type: 'BitmapDrawable',
+                    file: view.imageFile, gravity: view.preserveRatio === false ? 'FILL' : 'CENTER'
+                };
+            }
+            delete view.imageFile;
+            delete view.preserveRatio;
+        }
+    }
+
+    _toB4J(view) {
+        const T = TYPE_CODES;
+        view.drawable = this._colorDrawable(view, view.drawable);
+        if (view.drawable) {
+            const type = view.javaType || view.type;
+            if (type === '.CustomViewWrapper' || type === LAYOUT_PLATFORMS.b4j.root.javaType && view.name === LAYOUT_PLATFORMS.b4j.root.name) {
+                ['cornerRadius', 'borderColor', 'borderWidth'].forEach(key => {
+                    if (key in view.drawable) view[key] = view.drawable[key];
+                    delete view.drawable[key];
+                });
+            }
+            view.drawable.colorKey = '-fx-background-color';
+        } else {
+            delete view.drawable;
+        }
+
+        if (view.padding && Array.isArray(view.padding.Value)) {
+            const [left, top, right, bottom] = view.padding.Value;
+            if (left || top || right || bottom) {
+                view.extraCss = `${view.extraCss ? `${view.extraCss} ` : ''}-fx-padding: ${top} ${right} ${bottom} ${left};`;
+            }
+            delete view.padding;
+        }
+
+        if ('textSize' in view || 'typeface' in view || 'style' in view) {
+            const style = String(view.style || 'NORMAL');
+            view.font = {
+                csType: 'Dbasic.Designer.FontGrid', type: 'B4IFontWrapper',
+                bold: style.includes('BOLD'), fontName: view.typeface || 'DEFAULT',
+                fontSize: view.textSize || { ValueType: T.CFLOAT, Value: 15 }, italic: style.includes('ITALIC')
+            };
+            delete view.textSize;
+            delete view.typeface;
+            delete view.style;
+        }
+        if ('vAlignment' in view || 'hAlignment' in view) {
+            const v = Object.keys(B4J_ALIGNMENT_V).find(k => B4J_ALIGNMENT_V[k] === view.vAlignment) || 'CENTER';
+            const h = Object.keys(B4J_ALIGNMENT_H).find(k => B4J_ALIGNMENT_H[k] === view.hAlignment) || 'LEFT';
+            view.alignment = v === 'CENTER' && h === 'CENTER' ? 'CENTER' : `${v}_${h}`;
+            delete view.vAlignment;
+            delete view.hAlignment;
+        }
+        const type = view.javaType || view.type;
+        if (view.inputType === 'NONE' && (type === '.TextFieldWrapper' || type === '.TextAreaWrapper')) {
+            view.editable = false;
+            delete view.inputType;
+        }
+        // Single-line EditTexts became TextFields; other text views keep it as wrapText.
+        if ('singleLine' in view && type !== '.TextFieldWrapper' && type !== '.TextAreaWrapper') {
+            view.wrapText = !view.singleLine;
+            delete view.singleLine;
+        }
+        if ('hint' in view) {
+            view.promptText = view.hint;
+            delete view.hint;
+        }
+    }
+
+    /**
+     * B4J only has plain color backgrounds. Other B4A drawables are reduced to one, and an
+     * ImageView's bitmap becomes its imageFile.
+     */
+    _colorDrawable(view, drawable) {
+        if (!drawable || typeof drawable !== 'object') return drawable;
+        const T = TYPE_CODES;
+        const color = (value) => ({
+            csType: 'Dbasic.Designer.Drawable.ColorDrawable', type: 'ColorDrawable',
+            color: { ValueType: T.CCOLOR, Value: value }
+        });
+        switch (drawable.type) {
+            case 'ColorDrawable':
+                return drawable;
+            case 'BitmapDrawable':
+                if ((view.javaType || view.type) === '.ImageViewWrapper') {
+                    view.imageFile = drawable.file || '';
+                    view.preserveRatio = drawable.gravity !== 'FILL';
+                } else {
+                    this._warn(view.name, `Background image ${drawable.file || ''} was dropped; B4J backgrounds are plain colors`);
+                }
+                return color('0x00FFFFFF');
+            case 'GradientDrawable': {
+                const first = Object.values(drawable).find(v => v && v.ValueType === T.CCOLOR);
+                this._warn(view.name, 'Gradient background was replaced by its first color');
+                const result = color(first ? first.Value : '0x00FFFFFF');
+                if ('cornerRadius' in drawable) result.cornerRadius = drawable.cornerRadius;
+                return result;
+            }
+            case 'StateListDrawable': {
+                const states = Object.values(drawable).filter(v => v && typeof v === 'object' && v.type);
+                const enabled = drawable.enabledDrawable || states[0];
+                this._warn(view.name, 'Pressed and disabled backgrounds were dropped; only the enabled state was kept');
+                return enabled ? this._colorDrawable(view, enabled) : color('0x00FFFFFF');
+            }
+            case 'DefaultDrawable':
+                return undefined;
+            default:
+                this._warn(view.name, `${drawable.type || 'Unknown'} background was dropped`);
+                return undefined;
+        }
+    }
+
+    _find(root, name) {
+        for (const kid of Object.values(root[':kids'] || {})) {
+            if (kid.name === name) return kid;
+            const found = this._find(kid, name);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    _warn(viewId, message) {
+        this.warnings.push({ viewId: viewId || '', message });
+    }
+}
+
+/* ---------- Anchors ---------- */
+
+// Size of a new view when the component gives none.
+const DEFAULT_VIEW_SIZE = { width: 100, height: 60 };
+
+/**
+ * Turns a variant block into a rect. hanchor/vanchor 1 measure from the right/bottom
+ * edge; 2 stretch, with width/height holding the right/bottom margin.
+ */
+function resolveAnchoredRect(variant, parentRect) {
+    const left = Number(variant.left) || 0;
+    const top = Number(variant.top) || 0;
+    const w = Number(variant.width) || 0;
+    const h = Number(variant.height) || 0;
+    const hanchor = Number(variant.hanchor) || 0;
+    const vanchor = Number(variant.vanchor) || 0;
+    return {
+        left: parentRect.left + (hanchor === 1 ? parentRect.width - left - w : left),
+        top: parentRect.top + (vanchor === 1 ? parentRect.height - top - h : top),
+        width: hanchor === 2 ? Math.max(0, parentRect.width - left - w) : w,
+        height: vanchor === 2 ? Math.max(0, parentRect.height - top - h) : h
+    };
+}
+
+/**
+ * Inverse of resolveAnchoredRect: writes a rect into a variant block, keeping its anchors.
+ */
+function placeAnchoredRect(variant, parentRect, rect) {
+    if (!rect) return;
+    const left = rect.left - parentRect.left;
+    const top = rect.top - parentRect.top;
+    const hanchor = Number(variant.hanchor) || 0;
+    const vanchor = Number(variant.vanchor) || 0;
+    variant.left = hanchor === 1 ? parentRect.width - left - rect.width : left;
+    variant.width = hanchor === 2 ? parentRect.width - left - rect.width : rect.width;
+    variant.top = vanchor === 1 ? parentRect.height - top - rect.height : top;
+    variant.height = vanchor === 2 ? parentRect.height - top - rect.height : rect.height;
+}
+
 class SithasoLayoutEngine {
     constructor(bjlJson = null, options = {}) {
         this.margin = options.margin !== undefined ? options.margin : 10;
         this.innerMargin = options.innerMargin !== undefined ? options.innerMargin : 5;
-        this.defaultWidth = options.defaultWidth || 100;
-        this.defaultHeight = options.defaultHeight || 60;
+        this.defaultWidth = options.defaultWidth || DEFAULT_VIEW_SIZE.width;
+        this.defaultHeight = options.defaultHeight || DEFAULT_VIEW_SIZE.height;
         this.variantWidth = Number(options.variantWidth) > 0 ? Number(options.variantWidth) : 600;
         this.variantHeight = Number(options.variantHeight) > 0 ? Number(options.variantHeight) : 600;
+        // Store views under their Panel parent (relative variant rects) instead of flat under Main.
+        this.nested = options.nested === true;
         this.TYPE_CODES = TYPE_CODES;
+        this.warnings = []; // Problems reported by the last lenient load
         this.layout = bjlJson || this.newLayout();
         if (bjlJson) {
             this.syncVariantBoundsFromLayout(bjlJson);
@@ -498,29 +1201,33 @@ class SithasoLayoutEngine {
 
     /**
      * Loads a remote BJL file into this instance.
+     * Accepts the same options as loadBytes().
      */
-    async loadURL(url) {
-        const converter = new BJLConverter();
+    async loadURL(url, options = {}) {
+        const converter = new BJLConverter(false, options);
         this.layout = await converter.convertBjlToJsonFromURL(url);
+        this.warnings = converter.warnings;
         this.syncVariantBoundsFromLayout();
         return this.layout;
     }
 
     /**
      * Loads a local BJL File/Blob object into this instance.
+     * Accepts the same options as loadBytes().
      */
-    async loadFile(file) {
-        const converter = new BJLConverter();
+    async loadFile(file, options = {}) {
+        const converter = new BJLConverter(false, options);
         this.layout = await converter.convertBjlToJsonFromFile(file);
+        this.warnings = converter.warnings;
         this.syncVariantBoundsFromLayout();
         return this.layout;
     }
 
-    syncVariantBoundsFromLayout(layout = this.layout) {
+    syncVariantBoundsFromLayout(layout = this.layout, variantIndex = 0) {
         const variants = layout && Array.isArray(layout.Variants) ? layout.Variants : [];
-        const variant0 = variants[0] || null;
-        const width = Number(variant0 && variant0.Width);
-        const height = Number(variant0 && variant0.Height);
+        const variant = variants[variantIndex] || variants[0] || null;
+        const width = Number(variant && variant.Width);
+        const height = Number(variant && variant.Height);
 
         if (Number.isFinite(width) && width > 0) this.variantWidth = width;
         if (Number.isFinite(height) && height > 0) this.variantHeight = height;
@@ -528,6 +1235,18 @@ class SithasoLayoutEngine {
         return { width: this.variantWidth, height: this.variantHeight };
     }
 
+    /**
+     * Loads BJL bytes (Uint8Array/ArrayBuffer/Buffer) into this instance.
+     * Options are passed to BJLConverter ({ strict }); lenient-mode problems end up in this.warnings.
+     */
+    async loadBytes(bytes, options = {}) {
+        const converter = new BJLConverter(false, options);
+        this.layout = await converter.convertBjlToJsonFromBytes(toUint8(bytes));
+        this.warnings = converter.warnings;
+        this.syncVariantBoundsFromLayout();
+        return this.layout;
+    }
+
     /**
      * Gets the current layout state.
      */
@@ -536,14 +1255,57 @@ class SithasoLayoutEngine {
     }
 
     /**
-     * Downloads the current layout as a .bjl file (Browser only).
+     * The platform of the current layout: 'b4j' (.bjl) or 'b4a' (.bal).
+     */
+    get platform() {
+        return PlatformConverter.detect(this.layout);
+    }
+
+    /**
+     * Name of the root view: Main for B4J, Activity for B4A.
+     */
+    get rootName() {
+        return (this.layout && this.layout.Data && this.layout.Data.name) || LAYOUT_PLATFORMS[this.platform].root.name;
+    }
+
+    _isRoot(name) {
+        return !name || name === 'Main' || name === this.rootName;
+    }
+
+    /**
+     * Converts the current layout to another platform in place.
+     * @param {string} platform - 'b4j' or 'b4a'
+     * @returns {{layout: Object, warnings: Object[]}} warnings are { viewId, message }
+     */
+    convertTo(platform) {
+        const converter = new PlatformConverter();
+        this.layout = converter.convert(this.layout, platform);
+        return { layout: this.layout, warnings: converter.warnings };
+    }
+
+    /**
+     * Serializes the current layout to BJL/BAL bytes. With a platform, refuses a layout of
+     * the other one instead of writing a file its IDE cannot open.
+     */
+    async toBytes(platform = null) {
+        const current = this.platform;
+        if (platform && platform !== current) {
+            const from = LAYOUT_PLATFORMS[current];
+            const to = LAYOUT_PLATFORMS[platform];
+            throw new Error(`This is a ${from.label} layout; convert it to ${to.label} before saving it as ${to.extension}`);
+        }
+        const converter = new BJLConverter();
+        return converter.convertJsonToBjlToBytes(this.layout);
+    }
+
+    /**
+     * Downloads the current layout as a .bjl or .bal file (Browser only).
      */
     async download(fileName = 'custom_layout.bjl') {
         if (typeof window === 'undefined' || typeof document === 'undefined') {
             throw new Error("download() is only supported in browser environments.");
         }
-        const converter = new BJLConverter();
-        const outputBytes = await converter.convertJsonToBjlToBytes(this.layout);
+        const outputBytes = await this.toBytes(PlatformConverter.forFile(fileName));
 
         const blob = new Blob([outputBytes], { type: 'application/octet-stream' });
         const url = URL.createObjectURL(blob);
@@ -555,12 +1317,14 @@ class SithasoLayoutEngine {
     }
 
     /**
-     * Creates a new layout base from the embedded gzipped template.
+     * Creates a new layout base from the embedded gzipped template. The template is a B4J
+     * layout; a B4A one is converted from it.
      */
-    newLayout() {
+    newLayout(platform = 'b4j') {
         const compressed = this._decodeB64(BASE_LAYOUT_B64);
         const bytes = pako.ungzip(compressed);
-        return JSON.parse(new TextDecoder().decode(bytes));
+        const layout = JSON.parse(new TextDecoder().decode(bytes));
+        return platform === 'b4j' ? layout : new PlatformConverter().convert(layout, platform);
     }
 
     _decodeB64(b64) {
@@ -586,6 +1350,11 @@ class SithasoLayoutEngine {
     }
 
     _createView(componentNameOrDef, name, parentName, overrides = {}) {
+        const nativeName = typeof componentNameOrDef === 'string' && !this.schemas[componentNameOrDef]
+            ? this.getNativeTypeName(componentNameOrDef)
+            : null;
+        if (nativeName) return this._forPlatform(this._createNativeView(nativeName, name, overrides));
+
         let componentDef = componentNameOrDef;
         if (typeof componentNameOrDef === 'string') {
             componentDef = this.schemas[componentNameOrDef];
@@ -598,18 +1367,14 @@ class SithasoLayoutEngine {
         // Load defaults from schema
         if (Array.isArray(componentDef.properties)) {
             componentDef.properties.forEach(p => {
-                let val = p.DefaultValue || "";
-                if (p.FieldType === "Boolean") val = String(val).toLowerCase() === "true";
-                else if (p.FieldType === "Int") val = parseInt(val) || 0;
-                else if (p.FieldType === "Float") val = parseFloat(val) || 0;
-                props[p.Key] = val;
+                props[p.Key] = this._schemaDefault(p);
             });
         }
         
         // Merge flattened overrides
         Object.assign(props, overrides);
 
-        return {
+        return this._forPlatform({
             csType: "Dbasic.Designer.MetaCustomView",
             type: ".CustomViewWrapper",
             alignment: "CENTER",
@@ -653,37 +1418,245 @@ class SithasoLayoutEngine {
                 height: Number(overrides.Height) || this.defaultHeight, 
                 hanchor: 0, vanchor: 0
             }
+        });
+    }
+
+    /**
+     * New views are built with B4J properties; in a B4A layout they get the B4A ones instead.
+     */
+    _forPlatform(view) {
+        if (this.platform !== 'b4a') return view;
+        new PlatformConverter()._convertProperties(view, 'b4j', 'b4a');
+        return view;
+    }
+
+    /**
+     * Builds a native view (Label, Button, Panel, EditText, ImageView) with designer defaults.
+     */
+    _createNativeView(nativeName, name, overrides = {}) {
+        const def = NATIVE_VIEWS[nativeName];
+        const T = this.TYPE_CODES;
+        const width = Number(overrides.Width) || def.width;
+        const height = Number(overrides.Height) || def.height;
+        const view = {
+            csType: def.csType,
+            type: def.type,
+            alpha: { ValueType: T.CFLOAT, Value: 1 },
+            contextMenu: "",
+            drawable: {
+                csType: "Dbasic.Designer.Drawable.ColorDrawable",
+                type: "ColorDrawable",
+                color: { ValueType: T.CCOLOR, Value: def.background },
+                cornerRadius: { ValueType: T.CFLOAT, Value: nativeName === 'Button' || nativeName === 'EditText' ? 4 : 0 },
+                borderColor: { ValueType: T.CCOLOR, Value: "0xFF000000" },
+                borderWidth: { ValueType: T.CFLOAT, Value: nativeName === 'EditText' ? 1 : 0 }
+            },
+            enabled: true, eventName: name, extraCss: "",
+            hanchor: 0, height, javaType: def.type, left: 0,
+            name, parent: "Main", tag: "", toolTip: "", top: 0, vanchor: 0,
+            visible: true, width,
+            variant0: { left: 0, top: 0, width, height, hanchor: 0, vanchor: 0 }
         };
+
+        if (def.text !== undefined) {
+            Object.assign(view, {
+                text: overrides.Text !== undefined ? String(overrides.Text) : def.text,
+                textColor: { ValueType: T.CCOLOR, Value: def.textColor },
+                alignment: def.alignment,
+                wrapText: nativeName === 'Label',
+                font: {
+                    csType: "Dbasic.Designer.FontGrid", type: "B4IFontWrapper", bold: false, fontName: "DEFAULT",
+                    fontSize: { ValueType: T.CFLOAT, Value: 15 }, italic: false
+                }
+            });
+        }
+        if (nativeName === 'EditText') {
+            Object.assign(view, { promptText: "", editable: true, password: false, singleLine: true });
+        }
+        if (nativeName === 'ImageView') {
+            Object.assign(view, { imageFile: "", preserveRatio: true });
+        }
+        return view;
+    }
+
+    /**
+     * Returns the NATIVE_VIEWS key for a short name ('Label'), a view type ('.LabelWrapper')
+     * or a view object, or null when it is not a native view.
+     */
+    getNativeTypeName(nameOrView) {
+        const value = nameOrView && typeof nameOrView === 'object' ? nameOrView.type : nameOrView;
+        if (!value) return null;
+        if (NATIVE_VIEWS[value]) return value;
+        return Object.keys(NATIVE_VIEWS).find(k => NATIVE_VIEWS[k].type === value) || null;
+    }
+
+    /**
+     * Short names of the native views that addComponent accepts.
+     */
+    getNativeTypes() {
+        return Object.keys(NATIVE_VIEWS);
+    }
+
+    /**
+     * Returns the property definitions for a view: its loaded schema for custom views,
+     * or the built-in list for native views. Null when neither is known.
+     */
+    getViewSchema(view) {
+        if (!view) return null;
+        const nativeName = this.getNativeTypeName(view);
+        if (nativeName) {
+            const properties = [...NATIVE_COMMON_PROPERTIES];
+            if (NATIVE_VIEWS[nativeName].text !== undefined) properties.unshift(...NATIVE_TEXT_PROPERTIES);
+            if (nativeName === 'EditText') {
+                properties.unshift(
+                    { Key: 'promptText', DisplayName: 'Hint', FieldType: 'String' },
+                    { Key: 'password', DisplayName: 'Password', FieldType: 'Boolean' }
+                );
+            }
+            if (nativeName === 'ImageView') {
+                properties.unshift(
+                    { Key: 'imageFile', DisplayName: 'Image File', FieldType: 'String' },
+                    { Key: 'preserveRatio', DisplayName: 'Preserve Ratio', FieldType: 'Boolean' }
+                );
+            }
+            if (this.platform === 'b4a') {
+                return {
+                    name: nativeName, native: true,
+                    properties: properties.flatMap(p => p.Key in NATIVE_B4A_PROPERTIES ? (NATIVE_B4A_PROPERTIES[p.Key] || []) : [p])
+                };
+            }
+            return { name: nativeName, native: true, properties };
+        }
+        const shortType = view.shortType || (view.customProperties && view.customProperties.shortType);
+        return this.schemas[shortType] || null;
+    }
+
+    /**
+     * Reads a property the way setProperty writes it: customProperties for custom views,
+     * a (dotted) path into the view for native views. Typed values are unwrapped.
+     */
+    getProperty(name, key) {
+        const view = typeof name === 'object' ? name : this._findView(this.layout.Data, name);
+        if (!view) return undefined;
+        if (!this.getNativeTypeName(view)) return view.customProperties ? view.customProperties[key] : undefined;
+        const value = String(key).split('.').reduce((obj, k) => (obj && typeof obj === 'object' ? obj[k] : undefined), view);
+        if (!value || typeof value !== 'object' || !('ValueType' in value)) return value;
+        return value.ValueType === TYPE_CODES.CCOLOR ? toColorValue(value.Value) || value.Value : value.Value;
+    }
+
+    /** Schema DefaultValue converted to the property's FieldType. */
+    _schemaDefault(property) {
+        const val = property.DefaultValue || "";
+        if (property.FieldType === "Boolean") return String(val).toLowerCase() === "true";
+        if (property.FieldType === "Int") return parseInt(val) || 0;
+        if (property.FieldType === "Float") return parseFloat(val) || 0;
+        return val;
+    }
+
+    /**
+     * Compares each custom view's customProperties with its current schema, without changing
+     * anything. Renames come from the schema's own `renames` ({ OldKey: "NewKey" }) plus
+     * the `renames` argument, keyed by shortType: { SDUI5Button: { OldKey: "NewKey" } }.
+     * @returns {Object[]} One entry per view that differs:
+     *   { viewId, shortType, added: [{ key, value }], renamed: [{ from, to }], stale: [key] }
+     */
+    planMigration(renames = {}) {
+        // Keys the engine and designer keep next to the schema properties (geometry is mirrored).
+        const bookkeeping = ['csType', 'type', 'customType', 'shortType', 'eventName', 'Left', 'Top', 'Width', 'Height'];
+        const plan = [];
+        this._collectViews(this.layout.Data).forEach(view => {
+            if (this.getNativeTypeName(view) || !view.customProperties) return;
+            const schema = this.getViewSchema(view);
+            if (!schema || !Array.isArray(schema.properties)) return;
+
+            const props = view.customProperties;
+            const keys = new Set(schema.properties.map(p => p.Key));
+            const renameMap = { ...(schema.renames || {}), ...((renames || {})[schema.name] || {}) };
+            const renamed = Object.keys(renameMap)
+                .filter(from => from in props && keys.has(renameMap[from]) && !(renameMap[from] in props))
+                .map(from => ({ from, to: renameMap[from] }));
+            const renamedTo = new Set(renamed.map(r => r.to));
+            const added = schema.properties
+                .filter(p => !(p.Key in props) && !renamedTo.has(p.Key))
+                .map(p => ({ key: p.Key, value: this._schemaDefault(p) }));
+            const renamedFrom = new Set(renamed.map(r => r.from));
+            const stale = Object.keys(props)
+                .filter(key => !keys.has(key) && !bookkeeping.includes(key) && !renamedFrom.has(key));
+
+            if (added.length || renamed.length || stale.length) {
+                plan.push({ viewId: view.name, shortType: schema.name, added, renamed, stale });
+            }
+        });
+        return plan;
+    }
+
+    /**
+     * Applies a plan from planMigration(). Stale keys are only reported unless dropStale is set.
+     * @returns {number} Number of views changed
+     */
+    applyMigration(plan, { dropStale = false } = {}) {
+        let changed = 0;
+        (plan || []).forEach(entry => {
+            const view = this._findView(this.layout.Data, entry.viewId);
+            if (!view || !view.customProperties) return;
+            const props = view.customProperties;
+            entry.renamed.forEach(({ from, to }) => {
+                props[to] = props[from];
+                delete props[from];
+            });
+            entry.added.forEach(({ key, value }) => {
+                if (!(key in props)) props[key] = value;
+            });
+            if (dropStale) entry.stale.forEach(key => delete props[key]);
+            if (entry.renamed.length || entry.added.length || (dropStale && entry.stale.length)) changed++;
+        });
+        return changed;
     }
 
+    /**
+     * Appends a view to the `:kids` of its parent. Views go to Main unless the named
+     * parent is a container; the view's variant rects must already be relative to it.
+     */
     _inject(parentName, view) {
-        // ALWAYS inject into Main for physical flatness in BJL file
-        const root = this.layout.Data;
-        if (!root[':kids']) root[':kids'] = {};
-        const index = Object.keys(root[':kids']).length;
-        root[':kids'][String(index)] = view;
+        const parent = !this._isRoot(parentName) ? this._findView(this.layout.Data, parentName) : null;
+        const target = parent && this.isContainer(parent) ? parent : this.layout.Data;
+        this._appendKid(target, view);
+        this._seedMissingVariants(view);
         
-        // Ensure header exists
-        if (view.type === ".CustomViewWrapper") {
-            this._ensureHeader(view.name, view.shortType);
-        }
+        this._ensureHeader(view.name, view);
         return view;
     }
 
+    _appendKid(parent, view) {
+        if (!parent[':kids']) parent[':kids'] = {};
+        // Use the next free numeric key; the key count collides with existing keys after a delete.
+        const index = Object.keys(parent[':kids']).reduce((max, k) => {
+            const n = parseInt(k, 10);
+            return Number.isFinite(n) && n >= max ? n + 1 : max;
+        }, Object.keys(parent[':kids']).length);
+        parent[':kids'][String(index)] = view;
+        view.parent = parent.name || this.rootName;
+    }
+
     addComponent(componentNameOrDef, name, parentOrOverrides = "Main", overrides = {}) {
-        let parentName = "Main";
+        let parentName = this.rootName;
         let finalOverrides = overrides;
         
         if (typeof parentOrOverrides === 'object') {
             finalOverrides = parentOrOverrides;
-        } else {
+        } else if (!this._isRoot(parentOrOverrides)) {
             parentName = parentOrOverrides;
         }
 
         const view = this._createView(componentNameOrDef, name, parentName, finalOverrides);
+
+        const container = this.nested && parentName !== this.rootName
+            ? this._findView(this.layout.Data, parentName)
+            : null;
+        if (container && this.isContainer(container)) return this._addNested(view, container);
         
         const allViews = Object.values(this.layout.Data[':kids'] || {});
-        const parentComp = parentName !== "Main"
+        const parentComp = parentName !== this.rootName
             ? this._findView(this.layout.Data, parentName)
             : null;
 
@@ -710,7 +1683,7 @@ class SithasoLayoutEngine {
             );
         };
 
-        const siblings = parentName === "Main"
+        const siblings = parentName === this.rootName
             ? allViews.filter(v =>
                 !allViews.some(other =>
                     other.name !== v.name && isStrictlyInside(v, other)
@@ -718,11 +1691,11 @@ class SithasoLayoutEngine {
             )
             : (parentComp ? getDirectChildren(parentComp) : []);
         
-        const m = parentName === "Main" ? this.margin : this.innerMargin;
+        const m = parentName === this.rootName ? this.margin : this.innerMargin;
         const w = view.variant0.width;
 
         if (siblings.length === 0) {
-            if (parentName === "Main") {
+            if (parentName === this.rootName) {
                 view.variant0.top = m;
                 view.variant0.left = m;
             } else {
@@ -737,7 +1710,7 @@ class SithasoLayoutEngine {
             }
         } else {
             const last = siblings[siblings.length - 1];
-            if (parentName === "Main") {
+            if (parentName === this.rootName) {
                 // Horizontal wrapping logic on root
                 let nextLeft = last.variant0.left + last.variant0.width + m;
                 if (nextLeft + w + m > this.variantWidth) {
@@ -759,10 +1732,11 @@ class SithasoLayoutEngine {
             }
         }
         
-        const injected = this._inject(parentName, view);
+        // Flat mode: every view lives under Main; parentName only guides the placement.
+        const injected = this._inject(this.rootName, view);
 
         // Auto-expand parent container (if not Main)
-        if (parentName !== "Main") {
+        if (parentName !== this.rootName) {
             if (parentComp) {
                 const right = view.variant0.left + view.variant0.width + this.innerMargin;
                 const bottom = view.variant0.top + view.variant0.height + this.innerMargin;
@@ -788,6 +1762,29 @@ class SithasoLayoutEngine {
         return injected;
     }
 
+    /**
+     * Places a new view inside a container's `:kids`, stacked below the last child,
+     * with variant0 relative to the container. Grows the container to fit.
+     */
+    _addNested(view, container) {
+        const m = this.innerMargin;
+        const kids = this._orderedKids(container);
+        const last = kids[kids.length - 1];
+        view.variant0.left = last ? last.variant0.left : m;
+        view.variant0.top = last ? last.variant0.top + last.variant0.height + m : m;
+
+        this._inject(container.name, view);
+
+        const cv = container.variant0;
+        if (!cv.hanchor) cv.width = Math.max(cv.width, view.variant0.left + view.variant0.width + m);
+        if (!cv.vanchor) cv.height = Math.max(cv.height, view.variant0.top + view.variant0.height + m);
+        if (container.customProperties) {
+            container.customProperties.Width = cv.width;
+            container.customProperties.Height = cv.height;
+        }
+        return view;
+    }
+
     addInside(componentNameOrDef, name, parentOrOverrides = "Main", overrides = {}) {
         return this.addComponent(componentNameOrDef, name, parentOrOverrides, overrides);
     }
@@ -906,6 +1903,22 @@ class SithasoLayoutEngine {
 
         if (view.customProperties) {
             view.customProperties[key] = value;
+        } else if (this.getNativeTypeName(view)) {
+            // Native views keep their properties on the view; keys may be paths like 'drawable.color'.
+            const parts = String(key).split('.');
+            const last = parts.pop();
+            const target = parts.reduce((obj, k) => (obj[k] && typeof obj[k] === 'object' ? obj[k] : (obj[k] = {})), view);
+            const current = target[last];
+            if (current && typeof current === 'object' && current.ValueType === this.TYPE_CODES.CCOLOR) {
+                // The property grid's picker gives #RRGGBB; the file stores 0xAARRGGBB.
+                const color = toColorValue(value);
+                if (!color) throw new Error(`Invalid color: ${value}`);
+                current.Value = color;
+            } else if (current && typeof current === 'object' && 'ValueType' in current) {
+                current.Value = current.ValueType === this.TYPE_CODES.CFLOAT ? Number(value) || 0 : value;
+            } else {
+                target[last] = value;
+            }
         }
     }
 
@@ -931,10 +1944,12 @@ class SithasoLayoutEngine {
         // Update identifying properties
         newView.name = newName;
         newView.eventName = newName;
-        newView.customProperties.eventName = newName;
+        if (newView.customProperties) newView.customProperties.eventName = newName;
+        // Nested children would repeat their names; the copy starts empty.
+        delete newView[':kids'];
         
         // Ensure header exists
-        this._ensureHeader(newName, sourceView.shortType);
+        this._ensureHeader(newName, sourceView);
 
         // Apply overrides and default offset
         Object.assign(newView.variant0, {
@@ -952,7 +1967,7 @@ class SithasoLayoutEngine {
     bringToFront(name) {
         const view = this._findView(this.layout.Data, name);
         if (!view) throw new Error(`View not found: ${name}`);
-        const parent = this._findView(this.layout.Data, view.parent || "Main");
+        const parent = this._findView(this.layout.Data, view.parent || this.rootName);
         if (!parent || !parent[':kids']) return;
 
         const kids = parent[':kids'];
@@ -987,7 +2002,7 @@ class SithasoLayoutEngine {
     sendToBack(name) {
         const view = this._findView(this.layout.Data, name);
         if (!view) throw new Error(`View not found: ${name}`);
-        const parent = this._findView(this.layout.Data, view.parent || "Main");
+        const parent = this._findView(this.layout.Data, view.parent || this.rootName);
         if (!parent || !parent[':kids']) return;
 
         const kids = parent[':kids'];
@@ -1016,12 +2031,326 @@ class SithasoLayoutEngine {
         parent[':kids'] = newKids;
     }
 
-    _ensureHeader(name, componentType) {
-        if (!this.layout.LayoutHeader.ControlsHeaders.some(h => h.Name === name)) {
-            this.layout.LayoutHeader.ControlsHeaders.push({
-                Name: name, JavaType: '.CustomViewWrapper', DesignerType: 'CustomView'
+    /**
+     * Adds a layout variant and seeds every view's variantN block from an existing variant,
+     * scaling positions and sizes by the ratio between the two variant sizes.
+     * Returns the index of the new variant.
+     */
+    addVariant(width, height, scale = 1, sourceIndex = 0) {
+        const variants = this.layout.Variants || (this.layout.Variants = []);
+        const w = Number(width), h = Number(height);
+        if (!(w > 0) || !(h > 0)) throw new Error(`Invalid variant size: ${width}x${height}`);
+        const source = variants.length > 0 ? Math.min(Math.max(0, sourceIndex | 0), variants.length - 1) : -1;
+        const index = variants.length;
+        const s = Number(scale) > 0 ? Number(scale) : 1;
+        // Pad scripts for the existing variants first so the new entry lands at index + 1.
+        this._ensureDesignerScripts();
+        variants.push({ Scale: s, Width: w, Height: h });
+
+        if (source >= 0) {
+            this._forEachView(this.layout.Data, view => this._seedVariant(view, source, index));
+        }
+
+        this.layout.LayoutHeader.DesignerScript.splice(index + 1, 0, `'Variant specific script: ${w}x${h},scale=${s}\n`);
+        return index;
+    }
+
+    /**
+     * Removes a layout variant, its per-view blocks and its designer script.
+     * Higher variants are renumbered so variantN keys stay contiguous.
+     */
+    removeVariant(index) {
+        const variants = this.layout.Variants || [];
+        if (index < 0 || index >= variants.length) throw new Error(`Variant not found: ${index}`);
+        if (variants.length === 1) throw new Error('A layout needs at least one variant.');
+        variants.splice(index, 1);
+
+        this._forEachView(this.layout.Data, view => {
+            delete view[`variant${index}`];
+            for (let i = index + 1; i <= variants.length; i++) {
+                if (view[`variant${i}`]) view[`variant${i - 1}`] = view[`variant${i}`];
+                delete view[`variant${i}`];
+            }
+        });
+
+        const scripts = this.layout.LayoutHeader && this.layout.LayoutHeader.DesignerScript;
+        if (Array.isArray(scripts) && scripts.length > index + 1) scripts.splice(index + 1, 1);
+        this.syncVariantBoundsFromLayout();
+    }
+
+    /**
+     * Seeds any variantN block missing from views (e.g. layouts saved before a variant was added).
+     */
+    ensureVariants() {
+        this._forEachView(this.layout.Data, view => this._seedMissingVariants(view));
+        this._ensureDesignerScripts();
+    }
+
+    /**
+     * Returns the designer scripts: the general script followed by one script per variant.
+     */
+    getDesignerScripts() {
+        this._ensureDesignerScripts();
+        return this.layout.LayoutHeader.DesignerScript;
+    }
+
+    /**
+     * Replaces one designer script. Index 0 is the general script, index N + 1 belongs to variant N.
+     */
+    setDesignerScript(index, text) {
+        const scripts = this.getDesignerScripts();
+        if (index < 0 || index >= scripts.length) throw new Error(`Designer script not found: ${index}`);
+        scripts[index] = String(text ?? '');
+    }
+
+    _ensureDesignerScripts() {
+        const header = this.layout.LayoutHeader || (this.layout.LayoutHeader = {});
+        const scripts = Array.isArray(header.DesignerScript) ? header.DesignerScript : (header.DesignerScript = []);
+        const variants = this.layout.Variants || [];
+        if (scripts.length === 0) scripts.push(`'All variants script\n`);
+        while (scripts.length < variants.length + 1) {
+            const v = variants[scripts.length - 1];
+            scripts.push(`'Variant specific script: ${v.Width}x${v.Height},scale=${v.Scale || 1}\n`);
+        }
+    }
+
+    _seedMissingVariants(view) {
+        const count = (this.layout.Variants || []).length;
+        if (!view || !view.variant0) return;
+        for (let i = 1; i < count; i++) {
+            if (!view[`variant${i}`]) this._seedVariant(view, 0, i);
+        }
+    }
+
+    _seedVariant(view, fromIndex, toIndex) {
+        const from = view && view[`variant${fromIndex}`];
+        if (!from) return;
+        const variants = this.layout.Variants || [];
+        const src = variants[fromIndex] || {}, dst = variants[toIndex] || {};
+        const sx = Number(src.Width) > 0 && Number(dst.Width) > 0 ? dst.Width / src.Width : 1;
+        const sy = Number(src.Height) > 0 && Number(dst.Height) > 0 ? dst.Height / src.Height : 1;
+        view[`variant${toIndex}`] = {
+            ...from,
+            left: Math.round((Number(from.left) || 0) * sx),
+            top: Math.round((Number(from.top) || 0) * sy),
+            width: Math.round((Number(from.width) || 0) * sx),
+            height: Math.round((Number(from.height) || 0) * sy),
+        };
+    }
+
+    /**
+     * Calls fn for a view (Main when called with layout.Data) and all of its descendants.
+     */
+    _forEachView(view, fn) {
+        if (!view || typeof view !== 'object') return;
+        fn(view);
+        if (view[':kids']) {
+            for (const kid of Object.values(view[':kids'])) this._forEachView(kid, fn);
+        }
+    }
+
+    /**
+     * Adds the ControlsHeaders entry for a view, taken from the view's own type.
+     */
+    _ensureHeader(name, view) {
+        const headers = this.layout.LayoutHeader.ControlsHeaders;
+        if (headers.some(h => h.Name === name)) return;
+        const javaType = view.javaType || view.type || '.CustomViewWrapper';
+        headers.push({ Name: name, JavaType: javaType, DesignerType: this._designerTypeOf(view, javaType) });
+    }
+
+    /**
+     * The IDE's designer type for a view: from the native and platform view tables, a header
+     * already using the same type, or the view's Meta csType. CustomView only for custom views.
+     */
+    _designerTypeOf(view, javaType = view.javaType || view.type) {
+        const nativeName = this.getNativeTypeName(javaType);
+        if (nativeName) return NATIVE_VIEWS[nativeName].designerType;
+        if (javaType === '.CustomViewWrapper') return 'CustomView';
+        const known = PLATFORM_VIEWS.find(m => m.b4j[0] === javaType || m.b4a[0] === javaType);
+        if (known) return (known.b4j[0] === javaType ? known.b4j : known.b4a)[1];
+        const header = this.layout.LayoutHeader.ControlsHeaders.find(h => h.JavaType === javaType && h.DesignerType);
+        if (header) return header.DesignerType;
+        const meta = /^Dbasic\.Designer\.Meta(\w+)$/.exec(view.csType || '');
+        if (meta) return meta[1];
+        return String(javaType).split('$').pop().replace(/^\./, '').replace(/Wrapper$/, '') || 'CustomView';
+    }
+
+    /**
+     * True for views that can hold children in `:kids` (Panels and Panes).
+     */
+    isContainer(view) {
+        return !!view && CONTAINER_TYPES.includes(view.javaType || view.type);
+    }
+
+    /**
+     * Returns the view that holds `name` in its `:kids` (Main for top-level views), or null.
+     */
+    getParent(name) {
+        let result = null;
+        this._forEachView(this.layout.Data, view => {
+            if (!result && view[':kids'] && Object.values(view[':kids']).some(kid => kid.name === name)) result = view;
+        });
+        return result;
+    }
+
+    /**
+     * Returns a view's rect in variant coordinates (relative to Main), resolving the
+     * anchors of the view and all its parents.
+     */
+    getAbsoluteRect(name, variantIndex = 0) {
+        return this._resolveAll(variantIndex).get(name) || null;
+    }
+
+    /**
+     * Moves every nested view to Main, keeping where it appears in each variant.
+     * Views are ordered parent first, so the z-order inside each former container is kept.
+     */
+    flatten() {
+        const root = this.layout.Data;
+        const variantCount = Math.max(1, (this.layout.Variants || []).length);
+        const rects = [];
+        for (let i = 0; i < variantCount; i++) rects.push(this._resolveAll(i));
+
+        const ordered = this._collectViews(root);
+        root[':kids'] = {};
+        ordered.forEach(view => {
+            delete view[':kids'];
+            this._appendKid(root, view);
+            rects.forEach((map, i) => {
+                const variant = view[`variant${i}`];
+                if (variant) this._placeRect(variant, this._variantRect(i), map.get(view.name));
             });
+        });
+        return ordered.length;
+    }
+
+    /**
+     * Moves views into the innermost container that encloses them in variant 0 (edges may touch).
+     * Without names every top-level view is considered; named views that no longer sit inside
+     * their container move back to Main. Returns the names of the views that moved.
+     */
+    nest(names = null) {
+        const root = this.layout.Data;
+        const candidates = names
+            ? names.map(n => this._findView(root, n)).filter(v => v && v !== root)
+            : this._orderedKids(root);
+        const moved = [];
+        candidates.forEach(view => {
+            const rects = this._resolveAll(0);
+            const order = this._collectViews(root);
+            const rect = rects.get(view.name);
+            const own = new Set();
+            this._forEachView(view, v => own.add(v));
+
+            const containers = order.filter(c => !own.has(c) && this.isContainer(c) && rects.has(c.name));
+            const enclosing = containers.filter(c => {
+                const r = rects.get(c.name);
+                return rect.left >= r.left && rect.top >= r.top &&
+                    rect.left + rect.width <= r.left + r.width && rect.top + rect.height <= r.top + r.height;
+            });
+            // Smallest container wins; on a tie prefer the one drawn below the view.
+            enclosing.sort((a, b) => {
+                const ra = rects.get(a.name), rb = rects.get(b.name);
+                return ra.width * ra.height - rb.width * rb.height || order.indexOf(a) - order.indexOf(b);
+            });
+            const target = enclosing[0] || (names ? root : null);
+            if (!target || target === this.getParent(view.name)) return;
+            this._moveView(view, target);
+            moved.push(view.name);
+        });
+        return moved;
+    }
+
+    /**
+     * Re-parents a view, rewriting every variant rect relative to the new parent.
+     */
+    _moveView(view, newParent) {
+        const variantCount = Math.max(1, (this.layout.Variants || []).length);
+        const before = [];
+        for (let i = 0; i < variantCount; i++) before.push(this._resolveAll(i));
+
+        const oldParent = this.getParent(view.name);
+        if (oldParent) {
+            const kids = oldParent[':kids'];
+            const key = Object.keys(kids).find(k => kids[k] === view);
+            delete kids[key];
         }
+        this._appendKid(newParent, view);
+
+        before.forEach((map, i) => {
+            const variant = view[`variant${i}`];
+            const parentRect = newParent === this.layout.Data ? this._variantRect(i) : map.get(newParent.name);
+            if (variant && parentRect) this._placeRect(variant, parentRect, map.get(view.name));
+        });
+    }
+
+    /**
+     * A view's children in z-order: numeric keys ascending, other keys after them by name.
+     */
+    _orderedKids(view) {
+        const kids = view[':kids'] || {};
+        return Object.keys(kids)
+            .sort((a, b) => {
+                const na = Number(a);
+                const nb = Number(b);
+                if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+                return String(a).localeCompare(String(b));
+            })
+            .map(k => kids[k]);
+    }
+
+    /**
+     * All views below `view` in drawing order (parents before their children).
+     */
+    _collectViews(view, list = []) {
+        this._orderedKids(view).forEach(kid => {
+            list.push(kid);
+            this._collectViews(kid, list);
+        });
+        return list;
+    }
+
+    _variantRect(variantIndex) {
+        const variant = (this.layout.Variants || [])[variantIndex] || {};
+        return {
+            left: 0,
+            top: 0,
+            width: Number(variant.Width) || this.variantWidth,
+            height: Number(variant.Height) || this.variantHeight
+        };
+    }
+
+    /**
+     * Resolves every view of one variant to Main-relative rects, keyed by name.
+     */
+    _resolveAll(variantIndex) {
+        const rects = new Map();
+        const walk = (view, parentRect) => {
+            this._orderedKids(view).forEach(kid => {
+                const variant = kid[`variant${variantIndex}`] || kid.variant0;
+                if (!variant) return;
+                const rect = this._resolveRect(variant, parentRect);
+                rects.set(kid.name, rect);
+                walk(kid, rect);
+            });
+        };
+        walk(this.layout.Data, this._variantRect(variantIndex));
+        return rects;
+    }
+
+    /**
+     * Turns a variant block into a rect (see resolveAnchoredRect).
+     */
+    _resolveRect(variant, parentRect) {
+        return resolveAnchoredRect(variant, parentRect);
+    }
+
+    /**
+     * Writes a Main-relative rect into a variant block, keeping its anchors.
+     */
+    _placeRect(variant, parentRect, rect) {
+        placeAnchoredRect(variant, parentRect, rect);
     }
 
     _findView(root, name) {
@@ -1039,17 +2368,26 @@ class SithasoLayoutEngine {
 /* ---------- Export ---------- */
 const SithasoLib = {
     Engine: SithasoLayoutEngine,
+    NativeViews: NATIVE_VIEWS,
     Converter: BJLConverter,
-    Types: TYPE_CODES
+    ParseError: BJLParseError,
+    PlatformConverter,
+    Platforms: LAYOUT_PLATFORMS,
+    Types: TYPE_CODES,
+    DefaultViewSize: DEFAULT_VIEW_SIZE,
+    resolveRect: resolveAnchoredRect,
+    placeRect: placeAnchoredRect
 };
 
 if (typeof module !== 'undefined') {
     module.exports = SithasoLib;
     module.exports.BJLConverter = BJLConverter;
+    module.exports.BJLParseError = BJLParseError;
     module.exports.TYPE_CODES = TYPE_CODES;
 }
 if (typeof window !== 'undefined') {
     window.SithasoLib = SithasoLib;
     window.BJLConverter = BJLConverter;
+    window.BJLParseError = BJLParseError;
     window.TYPE_CODES = TYPE_CODES;
 }
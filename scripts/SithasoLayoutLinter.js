@@ -0,0 +1,236 @@
+/* ---------- Layout Linter ---------- */
+// Finds layout problems that B4X would otherwise only report at runtime.
+// lintLayout() returns diagnostics; applyLintFix() repairs the ones that carry a fix.
+
+const LINT_RULES = {
+    'duplicate-name': { severity: 'error', fix: 'Rename' },
+    'out-of-bounds': { severity: 'warning', fix: 'Move inside' },
+    'orphan-header': { severity: 'warning', fix: 'Remove header' },
+    'zero-size': { severity: 'warning', fix: 'Set default size' },
+    'boolean-string': { severity: 'error', fix: 'Convert to Boolean' },
+    'list-value': { severity: 'warning', fix: 'Use default' }
+};
+
+// In Node the engine is loaded from next to this file; browsers load it first via <script>.
+if (typeof SithasoLib === 'undefined' && typeof require === 'function') {
+    globalThis.SithasoLib = require('./SithasoLayoutEngine.js');
+}
+
+/**
+ * Checks a layout against the component schemas.
+ * @param {Object} layout - Layout JSON ({ LayoutHeader, Variants, Data })
+ * @param {Object} schemas - Component schemas keyed by shortType
+ * @returns {Object[]} Diagnostics of the form
+ *   { rule, severity, viewId, message, fix, variant?, property?, occurrence? }, where fix is
+ *   the quick-fix label or null. Errors come first, then warnings, in layout order.
+ */
+function lintLayout(layout, schemas = {}) {
+    const diagnostics = [];
+    if (!layout || !layout.Data) return diagnostics;
+    const report = (rule, viewId, message, extra = {}) => {
+        diagnostics.push({ rule, severity: LINT_RULES[rule].severity, viewId, message, fix: LINT_RULES[rule].fix, ...extra });
+    };
+    const views = lintViews(layout);
+
+    // B4X names are case-insensitive, so Button1 and button1 clash.
+    const seen = new Map();
+    views.forEach(({ view }) => {
+        const key = String(view.name).toLowerCase();
+        const count = seen.get(key) || 0;
+        seen.set(key, count + 1);
+        if (count > 0) {
+            report('duplicate-name', view.name, `Another view is already named "${view.name}"`, { occurrence: count });
+        }
+    });
+
+    const headers = (layout.LayoutHeader && layout.LayoutHeader.ControlsHeaders) || [];
+    const names = new Set(views.map(({ view }) => String(view.name).toLowerCase()));
+    names.add(String(layout.Data.name || 'Main').toLowerCase());
+    headers.forEach(header => {
+        if (header && !names.has(String(header.Name).toLowerCase())) {
+            report('orphan-header', header.Name, `ControlsHeaders lists "${header.Name}" but no view has that name`);
+        }
+    });
+
+    const variants = Array.isArray(layout.Variants) && layout.Variants.length > 0 ? layout.Variants : [{}];
+    const rectsByVariant = variants.map((variant, index) => lintRects(layout, index));
+    views.forEach(({ view }) => {
+        let zeroReported = false;
+        let boundsReported = false;
+        variants.forEach((variant, index) => {
+            const rect = rectsByVariant[index].get(view);
+            if (!rect) return;
+            const size = `${Number(variant.Width) || 0} x ${Number(variant.Height) || 0}`;
+            if (!zeroReported && (rect.width <= 0 || rect.height <= 0)) {
+                zeroReported = true;
+                report('zero-size', view.name, `Size is ${rect.width} x ${rect.height} in variant ${size}`, { variant: index });
+            }
+            const bounds = lintRootRect(layout, index);
+            const outside = rect.left < -0.5 || rect.top < -0.5
+                || rect.left + rect.width > bounds.width + 0.5
+                || rect.top + rect.height > bounds.height + 0.5;
+            if (!boundsReported && outside) {
+                boundsReported = true;
+                report('out-of-bounds', view.name, `Lies outside the ${size} variant`, { variant: index });
+            }
+        });
+
+        const shortType = view.shortType || (view.customProperties && view.customProperties.shortType);
+        const schema = shortType && schemas ? schemas[shortType] : null;
+        const props = view.customProperties;
+        if (!schema || !Array.isArray(schema.properties) || !props) return;
+        schema.properties.forEach(p => {
+            if (!(p.Key in props)) return;
+            const value = props[p.Key];
+            if (p.FieldType === 'Boolean' && typeof value !== 'boolean') {
+                report('boolean-string', view.name, `${p.Key} should be True or False but holds "${value}"`, { property: p.Key });
+            }
+            const options = String(p.List || '').split('|').filter(Boolean);
+            if (p.FieldType !== 'Boolean' && options.length > 0 && value !== '' && !options.includes(String(value))) {
+                report('list-value', view.name, `${p.Key} is "${value}", expected one of ${options.join(', ')}`, { property: p.Key });
+            }
+        });
+    });
+
+    const order = { error: 0, warning: 1, info: 2 };
+    return diagnostics
+        .map((d, i) => ({ d, i }))
+        .sort((a, b) => order[a.d.severity] - order[b.d.severity] || a.i - b.i)
+        .map(({ d }) => d);
+}
+
+/**
+ * Applies the quick-fix of one diagnostic to the layout in place.
+ * @returns {boolean} true when the layout changed
+ */
+function applyLintFix(layout, diagnostic, schemas = {}) {
+    if (!layout || !diagnostic || !diagnostic.fix) return false;
+    const header = layout.LayoutHeader || {};
+    const sameName = ({ view }) => String(view.name).toLowerCase() === String(diagnostic.viewId).toLowerCase();
+    const matches = lintViews(layout).filter(sameName);
+    const target = matches[diagnostic.occurrence || 0];
+    const view = target && target.view;
+
+    switch (diagnostic.rule) {
+        case 'orphan-header': {
+            const list = header.ControlsHeaders || [];
+            const index = list.findIndex(h => h && h.Name === diagnostic.viewId);
+            if (index < 0) return false;
+            list.splice(index, 1);
+            return true;
+        }
+        case 'duplicate-name': {
+            if (!view) return false;
+            const taken = new Set(lintViews(layout).map(({ view: v }) => String(v.name).toLowerCase()));
+            const base = String(view.name).replace(/\d+$/, '');
+            let n = 1;
+            while (taken.has(`${base}${n}`.toLowerCase())) n++;
+            const original = (header.ControlsHeaders || []).find(h => h && h.Name === view.name);
+            view.name = `${base}${n}`;
+            if ('eventName' in view) view.eventName = view.name;
+            const hasHeader = (header.ControlsHeaders || []).some(h => h && String(h.Name).toLowerCase() === view.name.toLowerCase());
+            if (original && !hasHeader) header.ControlsHeaders.push({ ...original, Name: view.name });
+            return true;
+        }
+        case 'zero-size':
+        case 'out-of-bounds': {
+            const index = diagnostic.variant || 0;
+            const variant = view && (view[`variant${index}`] || view.variant0);
+            if (!variant) return false;
+            const rects = lintRects(layout, index);
+            const rect = { ...rects.get(view) };
+            const parentRect = rects.get(target.parent) || lintRootRect(layout, index);
+            if (diagnostic.rule === 'zero-size') {
+                if (rect.width <= 0) rect.width = SithasoLib.DefaultViewSize.width;
+                if (rect.height <= 0) rect.height = SithasoLib.DefaultViewSize.height;
+            } else {
+                const bounds = lintRootRect(layout, index);
+                rect.width = Math.min(rect.width, bounds.width);
+                rect.height = Math.min(rect.height, bounds.height);
+                rect.left = Math.min(Math.max(0, rect.left), bounds.width - rect.width);
+                rect.top = Math.min(Math.max(0, rect.top), bounds.height - rect.height);
+            }
+            SithasoLib.placeRect(variant, parentRect, rect);
+            return true;
+        }
+        case 'boolean-string':
+        case 'list-value': {
+            const shortType = view && (view.shortType || (view.customProperties && view.customProperties.shortType));
+            const schema = shortType && schemas ? schemas[shortType] : null;
+            const prop = schema && Array.isArray(schema.properties)
+                ? schema.properties.find(p => p.Key === diagnostic.property)
+                : null;
+            if (!prop || !view.customProperties) return false;
+            const current = String(view.customProperties[prop.Key]).trim().toLowerCase();
+            if (diagnostic.rule === 'boolean-string') {
+                const fallback = String(prop.DefaultValue).toLowerCase() === 'true';
+                view.customProperties[prop.Key] = current === 'true' ? true : current === 'false' ? false : fallback;
+            } else {
+                const options = String(prop.List || '').split('|').filter(Boolean);
+                const caseMatch = options.find(o => o.toLowerCase() === current);
+                view.customProperties[prop.Key] = caseMatch
+                    || (options.includes(prop.DefaultValue) ? prop.DefaultValue : options[0]);
+            }
+            return true;
+        }
+        default:
+            return false;
+    }
+}
+
+/* ---------- Helpers ---------- */
+
+/**
+ * Every view below Data in depth-first order, with its parent view.
+ */
+function lintViews(layout) {
+    const list = [];
+    const walk = (parent) => {
+        const kids = parent && parent[':kids'];
+        if (!kids || typeof kids !== 'object') return;
+        Object.keys(kids)
+            .sort((a, b) => Number(a) - Number(b))
+            .forEach(key => {
+                const view = kids[key];
+                if (!view || typeof view !== 'object') return;
+                list.push({ view, parent: parent === layout.Data ? null : parent });
+                walk(view);
+            });
+    };
+    walk(layout.Data);
+    return list;
+}
+
+function lintRootRect(layout, variantIndex) {
+    const variant = (layout.Variants || [])[variantIndex] || {};
+    return { left: 0, top: 0, width: Number(variant.Width) || 0, height: Number(variant.Height) || 0 };
+}
+
+/**
+ * Variant-absolute rects of all views for one variant, keyed by view object.
+ */
+function lintRects(layout, variantIndex) {
+    const rects = new Map();
+    const walk = (parent, parentRect) => {
+        const kids = parent && parent[':kids'];
+        if (!kids || typeof kids !== 'object') return;
+        Object.values(kids).forEach(view => {
+            const variant = view && (view[`variant${variantIndex}`] || view.variant0);
+            if (!variant) return;
+            const rect = SithasoLib.resolveRect(variant, parentRect);
+            rects.set(view, rect);
+            walk(view, rect);
+        });
+    };
+    walk(layout.Data, lintRootRect(layout, variantIndex));
+    return rects;
+}
+
+/* ---------- Export ---------- */
+if (typeof module !== 'undefined') {
+    module.exports = { lintLayout, applyLintFix, LINT_RULES };
+}
+if (typeof window !== 'undefined') {
+    window.lintLayout = lintLayout;
+    window.applyLintFix = applyLintFix;
+}
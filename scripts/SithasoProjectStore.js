@@ -0,0 +1,344 @@
+/* ---------- Project Store ---------- */
+// Keeps a project in the browser's IndexedDB: layouts with the component schemas they use,
+// and the asset files their LayoutHeader.Files list. The designer also keeps its snapshots
+// and undo history in the same database.
+
+const PROJECT_DB_NAME = 'bjl_designer';
+const PROJECT_DB_VERSION = 2;
+const PROJECT_STORES = {
+    snapshots: { keyPath: 'id', autoIncrement: true },
+    history: { keyPath: 'key' },
+    layouts: { keyPath: 'id' },
+    assets: { keyPath: 'name' }
+};
+
+class SithasoProjectStore {
+    constructor(dbName = PROJECT_DB_NAME) {
+        this.dbName = dbName;
+        this._db = null;
+    }
+
+    /**
+     * Opens the database, creating missing object stores.
+     */
+    open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, PROJECT_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.entries(PROJECT_STORES).forEach(([name, options]) => {
+                        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, options);
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call retry, e.g. after the user allowed storage.
+            this._db.catch(() => { this._db = null; });
+        }
+        return this._db;
+    }
+
+    /**
+     * Runs one request against an object store and resolves with its result once committed.
+     */
+    async request(storeName, mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = makeRequest(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /* ---------- Layouts ---------- */
+
+    /**
+     * Lists the project's layouts, most recently modified first, without their layout JSON.
+     * @returns {Promise<Object[]>} { id, name, created, modified, views, files }
+     */
+    async listLayouts() {
+        const all = await this.request('layouts', 'readonly', store => store.getAll());
+        return (all || [])
+            .map(record => ({
+                id: record.id,
+                name: record.name,
+                created: record.created,
+                modified: record.modified,
+                views: projectCountViews(record.layout && record.layout.Data),
+                files: projectLayoutFiles(record.layout)
+            }))
+            .sort((a, b) => b.modified - a.modified);
+    }
+
+    async getLayout(id) {
+        return this.request('layouts', 'readonly', store => store.get(id));
+    }
+
+    /**
+     * Stores a layout together with the schemas of the component types it uses.
+     * @param {Object} record - { id, name, layout, ... }; extra keys are kept as they are
+     * @param {Object} schemas - Every known schema keyed by shortType; only the used ones are stored
+     */
+    async putLayout(record, schemas = null) {
+        const now = Date.now();
+        const stored = {
+            ...record,
+            created: record.created || now,
+            modified: now,
+            schemas: schemas ? projectUsedSchemas(record.layout, schemas) : (record.schemas || {})
+        };
+        await this.request('layouts', 'readwrite', store => store.put(stored));
+        return stored;
+    }
+
+    async renameLayout(id, name) {
+        const record = await this.getLayout(id);
+        if (!record) throw new Error(`Layout not found: ${id}`);
+        record.name = name;
+        return this.putLayout(record);
+    }
+
+    /**
+     * Copies a layout under a new id and a "copy" name.
+     */
+    async duplicateLayout(id) {
+        const record = await this.getLayout(id);
+        if (!record) throw new Error(`Layout not found: ${id}`);
+        const names = new Set((await this.listLayouts()).map(l => l.name.toLowerCase()));
+        const dot = record.name.lastIndexOf('.');
+        const base = dot > 0 ? record.name.slice(0, dot) : record.name;
+        const ext = dot > 0 ? record.name.slice(dot) : '';
+        let name = `${base} copy${ext}`;
+        for (let n = 2; names.has(name.toLowerCase()); n++) name = `${base} copy ${n}${ext}`;
+        return this.putLayout({
+            ...JSON.parse(JSON.stringify(record)),
+            id: SithasoProjectStore.newId(),
+            name,
+            created: 0
+        });
+    }
+
+    async deleteLayout(id) {
+        await this.request('layouts', 'readwrite', store => store.delete(id));
+    }
+
+    static newId() {
+        return `doc-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`;
+    }
+
+    /* ---------- Assets ---------- */
+
+    /**
+     * Lists the stored asset files without their data.
+     * @returns {Promise<Object[]>} { name, size, type, modified }, sorted by name
+     */
+    async listAssets() {
+        const all = await this.request('assets', 'readonly', store => store.getAll());
+        return (all || [])
+            .map(({ name, size, type, modified }) => ({ name, size, type, modified }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Stores an asset file under its name. B4X looks files up case-insensitively, so the name
+     * is kept as given and a file with the same name replaces the old one.
+     */
+    async putAsset(name, blob) {
+        await this.request('assets', 'readwrite', store => store.put({
+            name,
+            data: blob,
+            size: blob.size,
+            type: blob.type || '',
+            modified: Date.now()
+        }));
+    }
+
+    async getAsset(name) {
+        return this.request('assets', 'readonly', store => store.get(name));
+    }
+
+    async deleteAsset(name) {
+        await this.request('assets', 'readwrite', store => store.delete(name));
+    }
+
+    /* ---------- Export ---------- */
+
+    /**
+     * Packs the whole project into a zip: each layout as BJL (or as JSON when it cannot be
+     * encoded), the schemas under schemas/ and the assets under Files/.
+     * @returns {Promise<Blob>}
+     */
+    async exportZip() {
+        const layouts = await this.request('layouts', 'readonly', store => store.getAll());
+        const assets = await this.request('assets', 'readonly', store => store.getAll());
+        const encoder = new TextEncoder();
+        const entries = [];
+        const used = new Set();
+        const unique = (name) => {
+            let result = name;
+            for (let n = 2; used.has(result.toLowerCase()); n++) result = name.replace(/(\.[^.]*)?$/, ` (${n})$1`);
+            used.add(result.toLowerCase());
+            return result;
+        };
+        const schemas = {};
+
+        for (const record of layouts || []) {
+            const name = /\.(bjl|bal)$/i.test(record.name) ? record.name : `${record.name}.bjl`;
+            try {
+                const data = await new SithasoLib.Engine(JSON.parse(JSON.stringify(record.layout))).toBytes();
+                entries.push({ name: `Layouts/${unique(name)}`, data: new Uint8Array(data) });
+            } catch (err) {
+                console.warn(`${record.name} exported as JSON: ${err.message}`);
+                entries.push({ name: `Layouts/${unique(`${name}.json`)}`, data: encoder.encode(JSON.stringify(record.layout, null, 2)) });
+            }
+            Object.assign(schemas, record.schemas || {});
+        }
+        Object.keys(schemas).sort().forEach(type => {
+            entries.push({ name: `schemas/${type}.json`, data: encoder.encode(JSON.stringify(schemas[type], null, 2)) });
+        });
+        for (const asset of assets || []) {
+            entries.push({ name: `Files/${asset.name}`, data: new Uint8Array(await asset.data.arrayBuffer()) });
+        }
+        return new Blob([projectZip(entries)], { type: 'application/zip' });
+    }
+}
+
+/* ---------- Helpers ---------- */
+
+function projectCountViews(view) {
+    const kids = view && view[':kids'];
+    if (!kids || typeof kids !== 'object') return 0;
+    return Object.values(kids).reduce((count, kid) => count + 1 + projectCountViews(kid), 0);
+}
+
+function projectLayoutFiles(layout) {
+    const files = layout && layout.LayoutHeader && layout.LayoutHeader.Files;
+    return Array.isArray(files) ? files.map(String) : [];
+}
+
+/**
+ * The schemas of the component types a layout uses, keyed by shortType.
+ */
+function projectUsedSchemas(layout, schemas) {
+    const used = {};
+    const walk = (view) => {
+        const kids = view && view[':kids'];
+        if (!kids || typeof kids !== 'object') return;
+        Object.values(kids).forEach(kid => {
+            const type = kid && (kid.shortType || (kid.customProperties && kid.customProperties.shortType));
+            if (type && schemas[type]) used[type] = schemas[type];
+            walk(kid);
+        });
+    };
+    walk(layout && layout.Data);
+    return used;
+}
+
+const PROJECT_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function projectCrc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = PROJECT_CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a zip archive. Entries are deflated with pako when it is loaded and that makes them
+ * smaller, otherwise stored.
+ * @param {{name: string, data: Uint8Array}[]} entries
+ * @returns {Uint8Array}
+ */
+function projectZip(entries) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const name = encoder.encode(entry.name);
+        const crc = projectCrc32(entry.data);
+        let method = 0;
+        let body = entry.data;
+        if (typeof pako !== 'undefined' && entry.data.length > 0) {
+            const deflated = pako.deflateRaw(entry.data);
+            if (deflated.length < entry.data.length) {
+                method = 8;
+                body = deflated;
+            }
+        }
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, method, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, body.length, true);
+        local.setUint32(22, entry.data.length, true);
+        local.setUint16(26, name.length, true);
+        locals.push(new Uint8Array(local.buffer), name, body);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, method, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, body.length, true);
+        central.setUint32(24, entry.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centrals.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + body.length;
+    });
+
+    const centralSize = centrals.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        out.set(part, position);
+        position += part.length;
+    });
+    return out;
+}
+
+/* ---------- Export ---------- */
+if (typeof module !== 'undefined') {
+    module.exports = { SithasoProjectStore, projectZip };
+}
+if (typeof window !== 'undefined') {
+    window.SithasoProjectStore = SithasoProjectStore;
+}
@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+/* ============================================================
+   bjl-tool: headless BJL <-> JSON conversion
+   Usage: node scripts/bjl-tool.js <command> <input> [output]
+   ============================================================ */
+
+const fs = require('fs');
+const path = require('path');
+const { Engine, Converter, PlatformConverter, Platforms } = require('./SithasoLayoutEngine.js');
+const { diffLayouts, mergeLayouts, resolveConflicts } = require('./SithasoLayoutDiff.js');
+
+const LAYOUT_EXTENSIONS = ['.bjl', '.bal'];
+
+// Set from command-line flags in main().
+const parseOptions = { strict: false };
+const migrateOptions = { schemas: path.join(__dirname, '..', 'json'), renames: null, dropStale: false };
+const mergeOptions = { prefer: null };
+const platformOptions = { target: null };
+
+const USAGE = `Usage: bjl-tool <command> <input> [output] [--strict]
+
+Commands:
+  to-json <in.bjl> <out.json>   Convert a binary layout to JSON
+  to-bjl  <in.json> <out.bjl>   Convert a JSON layout to a binary layout
+  info    <in.bjl>              Print variants, control count and files
+  verify  <in.bjl>              Check that BJL -> JSON -> BJL reproduces the file byte for byte
+  migrate <in> [out]            Update customProperties to the current component schemas.
+                                Without [out] only the changes are printed.
+  diff    <a> <b>               Print the views added, removed and changed from a to b
+  merge   <base> <ours> <theirs> <out>
+                                Three-way merge; conflicts keep ours and are listed
+  convert <in> <out>            Convert between B4J (.bjl) and B4A (.bal); the target
+                                platform follows the output extension
+
+<input> may be a directory: to-json, to-bjl and convert then write every matching
+file below it to the <output> directory, keeping the folder structure.
+info and verify process every layout below the directory.
+
+--strict fails on the first parse problem instead of keeping a partial
+layout and printing warnings.
+
+migrate options:
+  --schemas=<dir>     Folder with the component schema JSON files (default: json/)
+  --renames=<file>    JSON rename map { "SDUI5Button": { "OldKey": "NewKey" } }
+  --drop-stale        Remove keys that are no longer in the schema
+
+merge options:
+  --ours / --theirs   Resolve every conflict to that side (exit code 0)
+
+convert options:
+  --to=b4j|b4a        Target platform, needed for JSON output and directories`;
+
+/**
+ * Lists files under a directory (recursively) whose extension is in the list.
+ */
+function listFiles(dir, extensions) {
+    const results = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) results.push(...listFiles(full, extensions));
+        else if (extensions.includes(path.extname(entry.name).toLowerCase())) results.push(full);
+    }
+    return results.sort();
+}
+
+async function readLayout(file) {
+    const engine = new Engine();
+    if (LAYOUT_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        await engine.loadBytes(fs.readFileSync(file), parseOptions);
+        engine.warnings.forEach(w => console.warn(`${file}: warning: ${w.message} at offset ${w.offset} in ${w.section}${w.path ? ` (${w.path})` : ''}`));
+    } else {
+        engine.layout = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return engine;
+}
+
+/**
+ * Loads every schema JSON in a folder into the engine, named after the file.
+ */
+function loadSchemas(engine, dir) {
+    listFiles(dir, ['.json']).forEach(file => {
+        const schema = JSON.parse(fs.readFileSync(file, 'utf8'));
+        schema.name = schema.name || path.basename(file, '.json');
+        engine.schemas[schema.name] = schema;
+    });
+}
+
+function writeFile(file, data) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, data);
+}
+
+async function toJson(input, output) {
+    const engine = await readLayout(input);
+    writeFile(output, JSON.stringify(engine.getLayout(), null, 2));
+}
+
+async function toBjl(input, output) {
+    const engine = await readLayout(input);
+    writeFile(output, await engine.toBytes(PlatformConverter.forFile(output)));
+}
+
+function countViews(view) {
+    const kids = view && view[':kids'] ? Object.values(view[':kids']) : [];
+    return kids.reduce((n, kid) => n + 1 + countViews(kid), 0);
+}
+
+async function info(input) {
+    const layout = (await readLayout(input)).getLayout();
+    const header = layout.LayoutHeader || {};
+    const variants = layout.Variants || [];
+    const files = header.Files || [];
+    return [
+        input,
+        `  Version:  ${header.Version ?? '?'}`,
+        `  Platform: ${Platforms[PlatformConverter.detect(layout, input)].label}`,
+        `  Variants: ${variants.map(v => `${v.Width}x${v.Height} (scale ${v.Scale})`).join(', ') || 'none'}`,
+        `  Controls: ${countViews(layout.Data)}`,
+        `  Files:    ${files.length > 0 ? files.join(', ') : 'none'}`
+    ].join('\n');
+}
+
+async function verify(input) {
+    const result = await new Converter(false, parseOptions).verifyRoundTrip(fs.readFileSync(input));
+    const lines = [`${input}: ${result.ok ? 'OK' : 'MISMATCH'} (${result.originalLength} -> ${result.roundTripLength} bytes)`];
+    const diff = result.firstDifference;
+    if (diff) {
+        const hex = b => (b === null ? 'none' : '0x' + b.toString(16).padStart(2, '0'));
+        lines.push(`  First difference at offset ${diff.offset}: expected ${hex(diff.expected)}, got ${hex(diff.actual)}`);
+        lines.push(`  In ${diff.context.section}: ${diff.context.label} (bytes ${diff.context.start}-${diff.context.end})`);
+    }
+    result.skippedTypeCodes.forEach(s => lines.push(`  Skipped unknown type code ${s.code} at offset ${s.offset} (${s.path})`));
+    return { ok: result.ok && result.skippedTypeCodes.length === 0, text: lines.join('\n') };
+}
+
+/**
+ * Formats a migration plan as a diff: + added key, ~ renamed key, ! stale key.
+ */
+function formatMigration(file, plan) {
+    if (plan.length === 0) return `${file}: up to date`;
+    const lines = [`${file}: ${plan.length} view(s) to update`];
+    plan.forEach(entry => {
+        lines.push(`  ${entry.viewId} (${entry.shortType})`);
+        entry.renamed.forEach(r => lines.push(`    ~ ${r.from} -> ${r.to}`));
+        entry.added.forEach(a => lines.push(`    + ${a.key} = ${JSON.stringify(a.value)}`));
+        entry.stale.forEach(key => lines.push(`    ! ${key} is not in the schema${migrateOptions.dropStale ? ' (removed)' : ''}`));
+    });
+    return lines.join('\n');
+}
+
+async function migrate(input, output) {
+    const engine = await readLayout(input);
+    loadSchemas(engine, migrateOptions.schemas);
+    const renames = migrateOptions.renames ? JSON.parse(fs.readFileSync(migrateOptions.renames, 'utf8')) : {};
+    const plan = engine.planMigration(renames);
+    console.log(formatMigration(input, plan));
+    if (!output) return;
+    engine.applyMigration(plan, { dropStale: migrateOptions.dropStale });
+    writeFile(output, LAYOUT_EXTENSIONS.includes(path.extname(output).toLowerCase())
+        ? await engine.toBytes(PlatformConverter.forFile(output))
+        : JSON.stringify(engine.getLayout(), null, 2));
+}
+
+/**
+ * Formats a layout diff: + added view, - removed view, ~ changed view.
+ */
+function formatDiff(a, b, diff) {
+    const count = diff.added.length + diff.removed.length + diff.changed.length + diff.layout.length;
+    if (count === 0) return `${a} and ${b} are the same`;
+    const value = v => (v === undefined ? '(none)' : JSON.stringify(v));
+    const lines = [`${a} -> ${b}`];
+    diff.layout.forEach(c => lines.push(`  ~ ${c.path}: ${value(c.from)} -> ${value(c.to)}`));
+    diff.added.forEach(name => lines.push(`  + ${name}`));
+    diff.removed.forEach(name => lines.push(`  - ${name}`));
+    diff.changed.forEach(change => {
+        lines.push(`  ~ ${change.viewId}${change.moved ? ' (z-order moved)' : ''}`);
+        if (change.parent) lines.push(`      parent: ${change.parent.from} -> ${change.parent.to}`);
+        change.geometry.forEach(g => lines.push(`      variant${g.variant}.${g.key}: ${value(g.from)} -> ${value(g.to)}`));
+        change.properties.forEach(p => lines.push(`      ${p.path}: ${value(p.from)} -> ${value(p.to)}`));
+    });
+    return lines.join('\n');
+}
+
+async function diff(a, b) {
+    const before = (await readLayout(a)).getLayout();
+    const after = (await readLayout(b)).getLayout();
+    console.log(formatDiff(a, b, diffLayouts(before, after)));
+}
+
+/**
+ * Merges theirs into ours against base and writes the result.
+ * Returns the number of conflicts left unresolved.
+ */
+async function merge(base, ours, theirs, output) {
+    if (!ours || !theirs) throw new Error('merge needs <base> <ours> <theirs> <out>.');
+    if (!output) throw new Error('Missing output path.');
+    for (const file of [ours, theirs]) {
+        if (!fs.existsSync(file)) throw new Error(`Input not found: ${file}`);
+    }
+    const result = mergeLayouts(
+        (await readLayout(base)).getLayout(),
+        (await readLayout(ours)).getLayout(),
+        (await readLayout(theirs)).getLayout()
+    );
+    result.conflicts.forEach(c => {
+        const where = [c.viewId, c.path].filter(Boolean).join('.');
+        console.log(`conflict (${c.kind}) ${where}: ours ${JSON.stringify(c.ours)}, theirs ${JSON.stringify(c.theirs)}`);
+    });
+    const layout = resolveConflicts(result, result.conflicts.map(() => mergeOptions.prefer || 'ours'));
+    const engine = new Engine(layout);
+    writeFile(output, LAYOUT_EXTENSIONS.includes(path.extname(output).toLowerCase())
+        ? await engine.toBytes(PlatformConverter.forFile(output))
+        : JSON.stringify(layout, null, 2));
+    console.log(`${output}: merged with ${result.conflicts.length} conflict(s)${mergeOptions.prefer && result.conflicts.length ? `, resolved to ${mergeOptions.prefer}` : ''}`);
+    return mergeOptions.prefer ? 0 : result.conflicts.length;
+}
+
+/**
+ * Converts a layout to the platform of the output file and prints what could not be carried across.
+ */
+async function convertPlatform(input, output) {
+    const target = platformOptions.target || PlatformConverter.forFile(output);
+    if (!target) throw new Error(`Cannot tell the target platform from ${output}; pass --to=b4j or --to=b4a.`);
+    const engine = await readLayout(input);
+    const source = PlatformConverter.detect(engine.getLayout(), input);
+    const { warnings } = engine.convertTo(target);
+    warnings.forEach(w => console.warn(`${input}: ${w.viewId ? `${w.viewId}: ` : ''}${w.message}`));
+    writeFile(output, LAYOUT_EXTENSIONS.includes(path.extname(output).toLowerCase())
+        ? await engine.toBytes(PlatformConverter.forFile(output))
+        : JSON.stringify(engine.getLayout(), null, 2));
+    if (source === target) console.log(`${input}: already ${Platforms[target].label}`);
+}
+
+/**
+ * Runs a conversion for one file or, when input is a directory, for every matching file below it.
+ * Returns the number of failures.
+ */
+async function convert(convertFn, input, output, inputExtensions, outputExtension) {
+    if (!output) throw new Error('Missing output path.');
+    if (!fs.statSync(input).isDirectory()) {
+        await convertFn(input, output);
+        console.log(`${input} -> ${output}`);
+        return 0;
+    }
+
+    const files = listFiles(input, inputExtensions);
+    let failures = 0;
+    for (const file of files) {
+        const relative = path.relative(input, file);
+        const extension = outputExtension || path.extname(relative);
+        const target = path.join(output, relative.slice(0, -path.extname(relative).length) + extension);
+        try {
+            await convertFn(file, target);
+            console.log(`${file} -> ${target}`);
+        } catch (err) {
+            failures++;
+            console.error(`${file}: ${err.message}`);
+        }
+    }
+    console.log(`${files.length - failures} of ${files.length} file(s) converted.`);
+    return failures;
+}
+
+async function main(argv) {
+    parseOptions.strict = argv.includes('--strict');
+    const option = name => (argv.find(arg => arg.startsWith(`--${name}=`)) || '').slice(name.length + 3) || null;
+    migrateOptions.schemas = option('schemas') || migrateOptions.schemas;
+    migrateOptions.renames = option('renames');
+    migrateOptions.dropStale = argv.includes('--drop-stale');
+    mergeOptions.prefer = argv.includes('--theirs') ? 'theirs' : argv.includes('--ours') ? 'ours' : null;
+    platformOptions.target = option('to');
+    if (platformOptions.target && !Platforms[platformOptions.target]) throw new Error(`Unknown platform: ${platformOptions.target}`);
+    const [command, input, output, ...rest] = argv.filter(arg => !arg.startsWith('--') || arg === '--help');
+    if (!command || command === '-h' || command === '--help') {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!input) throw new Error('Missing input path.');
+    if (!fs.existsSync(input)) throw new Error(`Input not found: ${input}`);
+
+    switch (command) {
+        case 'to-json':
+            return convert(toJson, input, output, LAYOUT_EXTENSIONS, '.json');
+        case 'to-bjl':
+            return convert(toBjl, input, output, ['.json'], '.bjl');
+        case 'migrate': {
+            if (!fs.existsSync(migrateOptions.schemas)) throw new Error(`Schema folder not found: ${migrateOptions.schemas}`);
+            if (output) return convert(migrate, input, output, [...LAYOUT_EXTENSIONS, '.json'], null);
+            const files = fs.statSync(input).isDirectory() ? listFiles(input, [...LAYOUT_EXTENSIONS, '.json']) : [input];
+            for (const file of files) await migrate(file);
+            return 0;
+        }
+        case 'diff':
+            if (!output) throw new Error('Missing second layout to compare.');
+            if (!fs.existsSync(output)) throw new Error(`Input not found: ${output}`);
+            await diff(input, output);
+            return 0;
+        case 'merge':
+            return merge(input, output, rest[0], rest[1]);
+        case 'convert': {
+            const target = platformOptions.target;
+            if (fs.existsSync(input) && fs.statSync(input).isDirectory() && !target) throw new Error('Converting a directory needs --to=b4j or --to=b4a.');
+            return convert(convertPlatform, input, output, [...LAYOUT_EXTENSIONS, '.json'], target ? Platforms[target].extension : null);
+        }
+        case 'info':
+        case 'verify': {
+            const files = fs.statSync(input).isDirectory() ? listFiles(input, LAYOUT_EXTENSIONS) : [input];
+            let failures = 0;
+            for (const file of files) {
+                try {
+                    if (command === 'info') {
+                        console.log(await info(file));
+                    } else {
+                        const result = await verify(file);
+                        if (!result.ok) failures++;
+                        console.log(result.text);
+                    }
+                } catch (err) {
+                    failures++;
+                    console.error(`${file}: ${err.message}`);
+                }
+            }
+            return failures;
+        }
+        default:
+            throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(failures => { process.exitCode = failures > 0 ? 1 : 0; })
+        .catch(err => {
+            console.error(`bjl-tool: ${err.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { main, toJson, toBjl, info, verify, migrate, diff, merge };
@@ -0,0 +1,74 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffLayouts, mergeLayouts, resolveConflicts } = require('../scripts/SithasoLayoutDiff.js');
+
+const view = (name, parent, kids = []) => ({
+    name, parent, type: '.PanelWrapper',
+    variant0: { left: 0, top: 0, width: 10, height: 10 },
+    ':kids': Object.fromEntries(kids.map((kid, i) => [String(i), kid]))
+});
+const layout = (kids) => ({ LayoutHeader: { ControlsHeaders: [] }, Variants: [], Data: view('Main', '', kids) });
+const parentOf = (l, name) => {
+    const find = (p) => {
+        for (const kid of Object.values(p[':kids'] || {})) {
+            if (kid.name === name) return p.name;
+            const found = find(kid);
+            if (found) return found;
+        }
+        return null;
+    };
+    return find(l.Data);
+};
+
+// base: a, b and p under Main; theirs moves b into p.
+const base = () => layout([view('a', 'Main'), view('b', 'Main'), view('p', 'Main')]);
+const moved = () => layout([view('a', 'Main'), view('p', 'Main', [view('b', 'p')])]);
+
+test('diffLayouts reports a view moved to another parent', () => {
+    const diff = diffLayouts(base(), moved());
+    const change = diff.changed.find(c => c.viewId === 'b');
+    assert.ok(change, 'b is listed as changed');
+    assert.deepStrictEqual(change.parent, { from: 'Main', to: 'p' });
+    assert.deepStrictEqual(change.properties, []);
+    assert.ok(diff.changed.filter(c => c.viewId !== 'b').every(c => !c.parent));
+});
+
+test('mergeLayouts takes a reparent made on one side', () => {
+    const result = mergeLayouts(base(), base(), moved());
+    assert.deepStrictEqual(result.conflicts, []);
+    assert.strictEqual(parentOf(result.layout, 'b'), 'p');
+    assert.strictEqual(result.layout.Data[':kids'][1][':kids'][0].parent, 'p');
+    assert.deepStrictEqual(Object.values(result.layout.Data[':kids']).map(v => v.name), ['a', 'p']);
+});
+
+test('mergeLayouts keeps our reparent when they did not move the view', () => {
+    const result = mergeLayouts(base(), moved(), base());
+    assert.deepStrictEqual(result.conflicts, []);
+    assert.strictEqual(parentOf(result.layout, 'b'), 'p');
+});
+
+test('mergeLayouts raises a conflict when both sides reparent differently', () => {
+    const ours = layout([view('p', 'Main', [view('b', 'p')]), view('a', 'Main')]);
+    const theirs = layout([view('a', 'Main', [view('b', 'a')]), view('p', 'Main')]);
+    const result = mergeLayouts(base(), ours, theirs);
+    const conflict = result.conflicts.find(c => c.kind === 'parent');
+    assert.deepStrictEqual(
+        { viewId: conflict.viewId, base: conflict.base, ours: conflict.ours, theirs: conflict.theirs },
+        { viewId: 'b', base: 'Main', ours: 'p', theirs: 'a' }
+    );
+    assert.strictEqual(parentOf(result.layout, 'b'), 'p');
+    const resolved = resolveConflicts(result, result.conflicts.map(c => (c.kind === 'parent' ? 'theirs' : 'ours')));
+    assert.strictEqual(parentOf(resolved, 'b'), 'a');
+});
+
+test('mergeLayouts takes a designer script changed on one side and keeps the script list', () => {
+    const withScripts = (scripts) => ({ ...base(), LayoutHeader: { ControlsHeaders: [], DesignerScript: scripts } });
+    const theirs = withScripts(["'All variants\n", "'Variant 1\nb.Left = 5\n"]);
+    const result = mergeLayouts(withScripts(["'All variants\n", "'Variant 1\n"]), withScripts(["'All variants\n", "'Variant 1\n"]), theirs);
+    assert.deepStrictEqual(result.conflicts, []);
+    assert.deepStrictEqual(result.layout.LayoutHeader.DesignerScript, theirs.LayoutHeader.DesignerScript);
+
+    const diff = diffLayouts(withScripts(["'All variants\n", "'Variant 1\n"]), theirs);
+    assert.deepStrictEqual(diff.layout.map(c => c.path), ['LayoutHeader.DesignerScript.1']);
+});
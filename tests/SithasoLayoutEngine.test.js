@@ -0,0 +1,115 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { Engine, Converter, PlatformConverter } = require('../scripts/SithasoLayoutEngine.js');
+
+test('a color picked in the property grid survives save and reload', async () => {
+    const engine = new Engine();
+    engine.addComponent('Label', 'Label1');
+    engine.setProperty('Label1', 'drawable.color', '#112233');
+    engine.setProperty('Label1', 'textColor', '#80445566');
+    assert.strictEqual(engine.getProperty('Label1', 'drawable.color'), '0xFF112233');
+
+    const reloaded = new Engine();
+    await reloaded.loadBytes(await engine.toBytes());
+    assert.deepStrictEqual(reloaded.warnings, []);
+    assert.strictEqual(reloaded.getProperty('Label1', 'drawable.color'), '0xFF112233');
+    assert.strictEqual(reloaded.getProperty('Label1', 'textColor'), '0x80445566');
+});
+
+test('setProperty rejects a value that is not a color', () => {
+    const engine = new Engine();
+    engine.addComponent('Label', 'Label1');
+    assert.throws(() => engine.setProperty('Label1', 'textColor', 'red'), /Invalid color/);
+    assert.strictEqual(engine.getProperty('Label1', 'textColor'), '0xFF000000');
+});
+
+test('the writer refuses a color it cannot parse instead of writing short bytes', async () => {
+    const engine = new Engine();
+    engine.addComponent('Label', 'Label1');
+    engine._findView(engine.getLayout().Data, 'Label1').textColor.Value = '0x123';
+    await assert.rejects(() => new Converter().convertJsonToBjlToBytes(engine.getLayout()), /Invalid color "0x123" for textColor/);
+});
+
+test('planMigration does not report the eventName duplicate() writes', () => {
+    const engine = new Engine();
+    const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '../json/SDUI5Alert.json'), 'utf8'));
+    schema.name = schema.name || 'SDUI5Alert';
+    engine.schemas[schema.name] = schema;
+    engine.addComponent(schema.name, 'Alert1');
+    engine.duplicate('Alert1', 'Alert2');
+    assert.strictEqual(engine._findView(engine.getLayout().Data, 'Alert2').customProperties.eventName, 'Alert2');
+    assert.deepStrictEqual(engine.planMigration(), []);
+});
+
+/* ---------- B4A layouts ---------- */
+
+const b4aLayout = () => {
+    const engine = new Engine();
+    engine.layout = engine.newLayout('b4a');
+    engine.addComponent('Panel', 'Panel1');
+    engine.addComponent('EditText', 'Name');
+    const name = engine._findView(engine.getLayout().Data, 'Name');
+    name.inputType = 'NONE';
+    name.singleLine = true;
+    return engine;
+};
+const kid = (layout, name) => Object.values(layout.Data[':kids']).find(v => v.name === name);
+
+test('PlatformConverter.detect uses the root view, then platform-only views, then the extension', () => {
+    assert.strictEqual(PlatformConverter.detect(new Engine().getLayout()), 'b4j');
+    assert.strictEqual(PlatformConverter.detect(b4aLayout().getLayout()), 'b4a');
+
+    const anonymous = (type) => ({ Data: { name: 'x', ':kids': { 0: { name: 'v', javaType: type } } } });
+    assert.strictEqual(PlatformConverter.detect(anonymous('.SpinnerWrapper')), 'b4a');
+    assert.strictEqual(PlatformConverter.detect(anonymous('.ComboBoxWrapper')), 'b4j');
+    assert.strictEqual(PlatformConverter.detect(anonymous('.LabelWrapper'), 'Main.bal'), 'b4a');
+    assert.strictEqual(PlatformConverter.detect(anonymous('.LabelWrapper'), 'Main.bjl'), 'b4j');
+});
+
+test('PlatformConverter.convert maps views to B4J and leaves its input alone', () => {
+    const layout = b4aLayout().getLayout();
+    const before = JSON.stringify(layout);
+    const converter = new PlatformConverter();
+    const b4j = converter.convert(layout, 'b4j');
+    assert.strictEqual(JSON.stringify(layout), before);
+    assert.strictEqual(b4j.Data.name, 'Main');
+    assert.strictEqual(kid(b4j, 'Name').javaType, '.TextFieldWrapper');
+    assert.strictEqual(kid(b4j, 'Name').editable, false);
+    assert.strictEqual(kid(b4j, 'Panel1').javaType, '.PaneWrapper$ConcretePaneWrapper');
+    assert.ok(converter.warnings.some(w => w.viewId === 'Panel1' && /Pane/.test(w.message)));
+});
+
+test('a .bal layout survives save and reload byte for byte, and converting there and back', async () => {
+    const bytes = await b4aLayout().toBytes('b4a');
+    const reloaded = new Engine();
+    await reloaded.loadBytes(bytes);
+    assert.deepStrictEqual(reloaded.warnings, []);
+    assert.strictEqual(reloaded.platform, 'b4a');
+    assert.deepStrictEqual(await reloaded.toBytes('b4a'), bytes);
+
+    const there = new PlatformConverter().convert(reloaded.getLayout(), 'b4j');
+    const back = new PlatformConverter().convert(there, 'b4a');
+    assert.strictEqual(back.Data.name, 'Activity');
+    assert.strictEqual(kid(back, 'Name').javaType, '.EditTextWrapper');
+    assert.strictEqual(kid(back, 'Name').inputType, 'NONE');
+    assert.strictEqual(kid(back, 'Panel1').javaType, '.PanelWrapper');
+});
+
+test('the reader skips header bytes it does not know by the header size', async () => {
+    const bytes = await b4aLayout().toBytes('b4a');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = 8 + view.getInt32(4, true);
+    const padded = new Uint8Array(bytes.length + 3);
+    padded.set(bytes.subarray(0, end));
+    padded.set([1, 2, 3], end);
+    padded.set(bytes.subarray(end), end + 3);
+    new DataView(padded.buffer).setInt32(4, end - 8 + 3, true);
+
+    const engine = new Engine();
+    await engine.loadBytes(padded);
+    assert.deepStrictEqual(engine.warnings.map(w => w.message), ['Skipped 3 unknown byte(s) at the end of the header']);
+    assert.strictEqual(kid(engine.getLayout(), 'Name').inputType, 'NONE');
+});
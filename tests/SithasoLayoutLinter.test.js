@@ -0,0 +1,32 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const { lintLayout, applyLintFix } = require('../scripts/SithasoLayoutLinter.js');
+const { DefaultViewSize } = require('../scripts/SithasoLayoutEngine.js');
+
+const view = (name, variant0) => ({ name, parent: 'Main', type: '.LabelWrapper', variant0 });
+const layout = (kids) => ({
+    LayoutHeader: { ControlsHeaders: [] },
+    Variants: [{ Width: 200, Height: 200 }],
+    Data: { name: 'Main', ':kids': Object.fromEntries(kids.map((kid, i) => [String(i), kid])) }
+});
+
+test('zero-size fix gives the engine default view size', () => {
+    const l = layout([view('z', { left: 10, top: 10, width: 0, height: 0 })]);
+    const [diagnostic] = lintLayout(l);
+    assert.strictEqual(diagnostic.rule, 'zero-size');
+    assert.ok(applyLintFix(l, diagnostic));
+    const { width, height } = l.Data[':kids'][0].variant0;
+    assert.deepStrictEqual({ width, height }, DefaultViewSize);
+});
+
+test('out-of-bounds fix keeps the view anchored', () => {
+    // Right-anchored 30px past the right edge.
+    const l = layout([view('r', { left: -30, top: 0, width: 50, height: 20, hanchor: 1 })]);
+    const [diagnostic] = lintLayout(l);
+    assert.strictEqual(diagnostic.rule, 'out-of-bounds');
+    assert.ok(applyLintFix(l, diagnostic));
+    const variant = l.Data[':kids'][0].variant0;
+    assert.deepStrictEqual([variant.hanchor, variant.left, variant.width], [1, 0, 50]);
+    assert.deepStrictEqual(lintLayout(l), []);
+});